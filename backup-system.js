@@ -1,752 +1,627 @@
 const fs = require('fs');
 const path = require('path');
-const { exec } = require('child_process');
-const axios = require('axios');
-const util = require('util');
-const execPromise = util.promisify(exec);
 
-// Configuration
-const config = {
-  webhookUrl: '',
-  maxBackups: 4, // Default max backups
-  backupRootDir: './',
-  webhookUsername: 'Oracle Backup',
-};
+const { loadConfig, ConfigError } = require('./lib/config');
+const { loadModules } = require('./lib/modules');
+const { loadDestinations } = require('./lib/destinations');
+const { loadNotifiers, notify } = require('./lib/notifiers');
+const { createRunReport, errorCode, saveReport } = require('./lib/report');
+const { BackupError, encryptArtifacts, ensureDir, execPipeline, execPromise, findFilesWrittenSince, formatSize, uploadBackup, writtenChecksum } = require('./lib/module-api');
+const { describePolicy } = require('./lib/retention');
+const { openRepository } = require('./lib/chunk-store');
+const { compressionReport } = require('./lib/compression');
+const { applyPriority, describePriority, runDependencyGraph } = require('./lib/scheduler');
+const { LockError, acquireLock, runLockPath } = require('./lib/lock');
+const { runDaemon } = require('./lib/daemon');
+const { recordRunMetrics, startMetricsServer, writeMetricsTextfile } = require('./lib/metrics');
+const { runHooks } = require('./lib/hooks');
+const { startServer } = require('./lib/server');
+const colors = require('./lib/colors');
 
-// Define backup modules
-const backupModules = {
-  mariadb: {
-    name: 'MariaDB',
-    iconUrl: 'https://mariadb.com/wp-content/uploads/2019/11/mariadb-logo-vertical_white.svg',
-    color: 13637,
-    backupDir: path.join(config.backupRootDir, 'mariadb_backups'),
-    maxBackups: 6, // Module-specific max backups
-    run: runMariaDbBackup,
-    getBackupFiles: () => getBackupFiles('mariadb_backup_*.tar.gz', 'mariadb_backups'),
-  },
-  timescaledb: {
-    name: 'TimescaleDB',
-    iconUrl: 'https://s3.amazonaws.com/assets.timescale.com/timescale-web/brand-images/badge/yellow/logo-yellow.svg',
-    color: 16121728,
-    backupDir: path.join(config.backupRootDir, 'timescaledb_backups'),
-    maxBackups: 6, // Module-specific max backups
-    run: runTimescaleDbBackup,
-    getBackupFiles: () => getBackupFiles('*', 'timescaledb_backups'),
-  },
-  nginx: {
-    name: 'Nginx',
-    iconUrl: 'https://www.vectorlogo.zone/logos/nginx/nginx-icon.svg',
-    color: 38457,
-    backupDir: path.join(config.backupRootDir, 'nginx_backups'),
-    maxBackups: 12, // Module-specific max backups
-    run: runNginxBackup,
-    getBackupFiles: () => getBackupFiles('nginx_backup_*.tar.gz', 'nginx_backups'),
-  },
-  pterodactyl: {
-    name: 'Pterodactyl',
-    iconUrl: 'https://pterodactyl.io/logos/pterry.svg',
-    color: 868992,
-    backupDir: path.join(config.backupRootDir, 'pterodactyl_backups'),
-    maxBackups: 4, // Module-specific max backups
-    run: runPterodactylBackup,
-    getBackupFiles: () => {
-      // For Pterodactyl, get the directories which are date-based
-      const backupDirs = getDirectories(path.join(config.backupRootDir, 'pterodactyl_backups'));
-      return backupDirs.map(dir => `backup_${dir}`);
-    },
-  },
-};
+// Configuration (loaded from the config file in main())
+let config;
 
-// Console styling
-const colors = {
-  red: '\x1b[31m',
-  green: '\x1b[32m',
-  blue: '\x1b[34m',
-  cyan: '\x1b[36m',
-  purple: '\x1b[35m',
-  reset: '\x1b[0m',
-};
+// Backup modules, built-in and plugins (loaded once the configuration is loaded)
+let backupModules;
 
-// Helper function to get directories
-function getDirectories(source) {
-  return fs.readdirSync(source, { withFileTypes: true })
-    .filter(dirent => dirent.isDirectory())
-    .map(dirent => dirent.name);
-}
+// Where run reports are sent (loaded with the modules)
+let notifiers;
 
-// Helper function to get backup files
-function getBackupFiles(pattern, subdir) {
-  const dir = path.join(config.backupRootDir, subdir);
-  if (!fs.existsSync(dir)) return [];
-  
-  const files = fs.readdirSync(dir);
-  const regex = new RegExp(pattern.replace(/\*/g, '.*'));
-  return files.filter(file => regex.test(file))
-    .sort((a, b) => {
-      const statA = fs.statSync(path.join(dir, a));
-      const statB = fs.statSync(path.join(dir, b));
-      return statB.mtime.getTime() - statA.mtime.getTime(); // Sort by date, newest first
-    });
-}
+// Where run reports are written besides the notifiers (--json, --report-file)
+let reportOutput = { json: false, reportFile: null };
 
-// Helper function to clean up old backups
-async function cleanupOldBackups(pattern, dir, moduleMaxBackups) {
-  const backupDir = path.join(config.backupRootDir, dir);
-  if (!fs.existsSync(backupDir)) return { removed: 0 };
-
-  const backupFiles = getBackupFiles(pattern, dir);
-  
-  // Use module-specific maxBackups or fall back to default
-  const maxBackups = moduleMaxBackups || config.maxBackups;
+// Helper function to find a backup in the catalog by id (the newest one if no id is given)
+function findBackup(moduleName, backupId) {
+  const module = backupModules[moduleName];
+  const backups = module.listBackups();
   
-  if (backupFiles.length <= maxBackups) {
-    return { removed: 0 };
+  if (backups.length === 0) {
+    throw new Error(`No ${module.name} backups found in the catalog (run 'catalog import ${moduleName}' for backups made before the catalog existed).`);
   }
+  if (!backupId) return backups[0];
   
-  console.log(`${colors.cyan}Cleaning up old backups for ${dir} (keeping ${maxBackups})...${colors.reset}`);
-  
-  const filesToDelete = backupFiles.slice(maxBackups);
-  let removed = 0;
+  const exact = backups.find(backup => backup.id === backupId || backup.name === backupId);
+  if (exact) return exact;
   
-  for (const file of filesToDelete) {
-    const filePath = path.join(backupDir, file);
-    try {
-      fs.unlinkSync(filePath);
-      removed++;
-    } catch (err) {
-      console.error(`${colors.red}Failed to delete ${filePath}: ${err}${colors.reset}`);
-    }
+  // Allow any unique part of the id or file name, such as the date
+  const matches = backups.filter(backup => backup.id.includes(backupId) || backup.name.includes(backupId));
+  if (matches.length === 1) return matches[0];
+  if (matches.length > 1) {
+    throw new Error(`Backup id '${backupId}' is ambiguous, it matches: ${matches.map(backup => backup.id).join(', ')}`);
   }
-  
-  console.log(`${colors.green}Removed ${removed} old backup(s).${colors.reset}`);
-  return { removed };
+  throw new Error(`${module.name} backup '${backupId}' not found. Available backups: ${backups.map(backup => backup.id).join(', ')}`);
 }
 
-// MariaDB backup function
-async function runMariaDbBackup() {
-  const backupDir = backupModules.mariadb.backupDir;
-  const timestamp = new Date().toISOString().replace(/[:.]/g, '').split('T')[0];
-  const backupName = `mariadb_backup_${timestamp}`;
-  const fullBackupPath = path.join(backupDir, backupName);
-  const compressedFile = `${backupName}.tar.gz`;
-  
-  // Create backup directory if it doesn't exist
-  if (!fs.existsSync(backupDir)) {
-    fs.mkdirSync(backupDir, { recursive: true });
+// Main function to restore a backup (dry run unless apply is set)
+async function runRestore(moduleName, backupId, restoreOptions) {
+  const module = backupModules[moduleName];
+  if (!module) {
+    console.error(`${colors.red}Module '${moduleName}' not found.${colors.reset}`);
+    console.log(`Available modules: ${Object.keys(backupModules).join(', ')}`);
+    return { success: false, moduleName };
   }
-
-  console.log(`${colors.cyan}Starting MariaDB backup using mariabackup...${colors.reset}`);
   
   let logs = [];
-  let originalSize = '';
-  let compressedSize = '';
   
   try {
-    // Step 1: Create a full backup using mariabackup
-    logs.push('Creating full backup...');
-    await execPromise(`sudo /usr/bin/mariadb-backup --backup --target-dir="${fullBackupPath}"`);
-    
-    // Step 2: Prepare the backup for use
-    logs.push('Preparing backup...');
-    console.log(`${colors.cyan}Preparing backup...${colors.reset}`);
-    await execPromise(`sudo /usr/bin/mariadb-backup --prepare --target-dir="${fullBackupPath}"`);
-    
-    // Step 3: Compress the backup
-    logs.push('Compressing backup...');
-    console.log(`${colors.cyan}Compressing backup...${colors.purple}`);
-    await execPromise(`sudo chown -R ${process.env.USER}: ${backupDir}`);
-    
-    // Get original size before compression
-    const { stdout: duOutput } = await execPromise(`du -sh "${fullBackupPath}"`);
-    originalSize = duOutput.split('\t')[0].trim();
-    
-    await execPromise(`tar -czf "${path.join(backupDir, compressedFile)}" -C "${backupDir}" "${backupName}"`);
-    
-    // Get compressed size
-    const { stdout: compressedOutput } = await execPromise(`du -sh "${path.join(backupDir, compressedFile)}"`);
-    compressedSize = compressedOutput.split('\t')[0].trim();
+    const backup = findBackup(moduleName, backupId);
+    if (!module.restore) {
+      throw new Error(`The ${module.name} module does not support restoring.`);
+    }
+    const plan = await module.restore(backup, restoreOptions);
     
-    // Remove the uncompressed backup directory
-    await execPromise(`rm -rf "${fullBackupPath}"`);
+    console.log(`\n${colors.cyan}Restore plan for ${plan.title}${restoreOptions.apply ? '' : ' (dry run)'}:${colors.reset}`);
+    if (plan.overwrites.length) {
+      console.log(`${colors.yellow}Will overwrite:${colors.reset}`);
+      plan.overwrites.forEach(item => console.log(`  - ${item}`));
+    } else {
+      console.log(`${colors.green}Nothing existing will be overwritten.${colors.reset}`);
+    }
+    plan.notes.forEach(note => console.log(`${colors.yellow}Note: ${note}${colors.reset}`));
+    console.log('Steps:');
+    plan.steps.forEach((step, index) => console.log(`  ${index + 1}. ${step.description}\n     $ ${step.command}`));
     
-    logs.push(`Backup completed: ${compressedFile} (Size: ${originalSize} -> ${compressedSize})`);
-    console.log(`\n${colors.green}✓ Backup completed: ${backupDir}/${compressedFile} (Size: ${compressedSize})${colors.reset}`);
+    if (!restoreOptions.apply) {
+      console.log(`\n${colors.cyan}Dry run only, nothing was changed. Run again with --apply to perform the restore.${colors.reset}`);
+      return { success: true, dryRun: true, logs, moduleName };
+    }
     
-    // Step 4: Delete old backups (use module-specific maxBackups)
-    const cleanup = await cleanupOldBackups('mariadb_backup_*.tar.gz', 'mariadb_backups', backupModules.mariadb.maxBackups);
-    logs.push(`Cleaned up ${cleanup.removed} old backups (keeping ${backupModules.mariadb.maxBackups}).`);
+    for (const step of plan.steps) {
+      console.log(`${colors.cyan}${step.description}...${colors.reset}`);
+      logs.push(step.description);
+      try {
+        await execPipeline(step.command);
+      } catch (stepError) {
+        if (step.rollback) {
+          console.error(`${colors.red}${step.description} failed, rolling back...${colors.reset}`);
+          logs.push(`Rolling back: ${step.rollback}`);
+          await execPromise(step.rollback);
+        }
+        throw stepError;
+      }
+    }
     
-    return {
-      success: true,
-      logs,
-      originalSize,
-      compressedSize,
-      backupFiles: backupModules.mariadb.getBackupFiles(),
-    };
+    console.log(`\n${colors.green}✓ Restore of ${plan.title} completed.${colors.reset}`);
+    logs.push(`Restore of ${plan.title} completed.`);
+    return { success: true, logs, moduleName };
   } catch (error) {
-    console.error(`${colors.red}MariaDB backup failed: ${error.message}${colors.reset}`);
+    console.error(`${colors.red}${module.name} restore failed: ${error.message}${colors.reset}`);
     return {
       success: false,
       logs: [...logs, `ERROR: ${error.message}`],
       error: error.message,
+      moduleName,
     };
   }
 }
 
-// TimescaleDB backup function
-async function runTimescaleDbBackup() {
-  const backupRootDir = path.join(config.backupRootDir, 'timescaledb_backups');
-  const timestamp = new Date().toISOString().replace(/[:.]/g, '').split('T')[0];
-  const containerName = "TimescaleDB";
-  const databases = ["mindustry_stats", "mindustry_stats_dev"]; // Add your database names here
-  
-  // Create backup directory if it doesn't exist
-  if (!fs.existsSync(backupRootDir)) {
-    fs.mkdirSync(backupRootDir, { recursive: true });
-  }
-
-  let logs = [];
-  let totalOriginalSize = 0;
-  let totalCompressedSize = 0;
-  let backupCount = 0;
+// Main function to verify backups of the given modules (every backup unless a backup id is given)
+async function runVerify(moduleNames, backupId, verifyOptions) {
+  const results = {};
   
-  try {
-    // Check if container is running
-    const { stdout: dockerPs } = await execPromise(`sudo docker ps`);
-    if (!dockerPs.includes(containerName)) {
-      throw new Error(`TimescaleDB container '${containerName}' is not running.`);
-    }
+  for (const moduleName of moduleNames) {
+    const module = backupModules[moduleName];
+    const ctx = module.createContext();
     
-    for (const db of databases) {
-      console.log(`\n${colors.cyan}=== Processing database: ${db} ===${colors.reset}`);
-      logs.push(`Processing database: ${db}`);
-      
-      // Create database-specific backup directory
-      const dbBackupDir = path.join(backupRootDir, timestamp, db);
-      if (!fs.existsSync(dbBackupDir)) {
-        fs.mkdirSync(dbBackupDir, { recursive: true });
-      }
-      
-      const backupFile = `${db}_${timestamp}.sql`;
-      const compressedFile = `${backupFile}.gz`;
-      
-      console.log(`${colors.cyan}Creating SQL dump for ${db}...${colors.reset}`);
-      
-      // Execute pg_dump through Docker and compress on-the-fly
-      await execPromise(`sudo docker exec ${containerName} pg_dump -C ${db} | gzip > "${path.join(dbBackupDir, compressedFile)}"`);
-      
-      // Get size of compressed backup
-      const { stdout: sizeOutput } = await execPromise(`du -h "${path.join(dbBackupDir, compressedFile)}"`);
-      const backupSize = sizeOutput.split('\t')[0].trim();
-      
-      console.log(`${colors.green}✓ Backup completed: ${dbBackupDir}/${compressedFile} (Size: ${backupSize})${colors.reset}`);
-      logs.push(`${db} backup completed: ${compressedFile} (Size: ${backupSize})`);
-      
-      // Store for total size calculation (approximate since we're using human-readable sizes)
-      const numericSize = parseFloat(backupSize.replace(/[^0-9.]/g, ''));
-      const unit = backupSize.replace(/[0-9.]/g, '').trim();
-      if (unit.includes('K')) totalCompressedSize += numericSize * 1024;
-      else if (unit.includes('M')) totalCompressedSize += numericSize * 1024 * 1024;
-      else if (unit.includes('G')) totalCompressedSize += numericSize * 1024 * 1024 * 1024;
-      else totalCompressedSize += numericSize;
-      
-      backupCount++;
-      
-      // Clean up old backups for this database
-      await cleanupOldBackups('*.sql.gz', path.join('timescaledb_backups', db), backupModules.timescaledb.maxBackups);
+    let backups;
+    try {
+      backups = backupId ? [findBackup(moduleName, backupId)] : module.listBackups();
+    } catch (error) {
+      ctx.error(error.message);
+      results[moduleName] = { success: false, logs: ctx.logs, error: error.message, errorCode: 'NOT_FOUND', summary: 'not verified', backups: module.listBackups(), moduleName };
+      continue;
     }
+    if (backups.length === 0) continue;
     
-    // Calculate total compressed size in human-readable format
-    const totalCompressedSizeHuman = totalCompressedSize > 1024 * 1024 * 1024 ? 
-      `${(totalCompressedSize / (1024 * 1024 * 1024)).toFixed(2)}GB` :
-      totalCompressedSize > 1024 * 1024 ? 
-        `${(totalCompressedSize / (1024 * 1024)).toFixed(2)}MB` :
-        `${(totalCompressedSize / 1024).toFixed(2)}KB`;
-    
-    console.log(`\n${colors.green}===== Backup Summary =====${colors.reset}`);
-    console.log(`${colors.green}Total backups across all databases: ${backupCount}${colors.reset}`);
-    console.log(`${colors.green}Backup location: ${backupRootDir}/{database_name}/${colors.reset}`);
-    console.log(`${colors.green}Timestamp: ${timestamp}${colors.reset}`);
+    console.log(`\n${colors.cyan}Verifying ${backups.length} ${module.name} backup(s)...${colors.reset}`);
     
-    logs.push(`Total backups: ${backupCount}, Total size: ${totalCompressedSizeHuman}`);
-    
-    return {
-      success: true,
-      logs,
-      compressedSize: totalCompressedSizeHuman,
-      backupFiles: backupModules.timescaledb.getBackupFiles(),
-    };
-  } catch (error) {
-    console.error(`${colors.red}TimescaleDB backup failed: ${error.message}${colors.reset}`);
-    return {
-      success: false,
-      logs: [...logs, `ERROR: ${error.message}`],
-      error: error.message,
+    const startedAt = new Date();
+    const checks = [];
+    for (const backup of backups) {
+      try {
+        await module.verify(backup, verifyOptions, ctx);
+        module.catalog.update(backup.id, { verifiedAt: new Date().toISOString(), verifyError: null });
+        ctx.success(`✓ ${backup.id} is intact`);
+        checks.push({ backup: backup.id, intact: true, error: null });
+      } catch (error) {
+        module.catalog.update(backup.id, { verifiedAt: new Date().toISOString(), verifyError: error.message });
+        ctx.error(`✗ ${backup.id}: ${error.message}`);
+        checks.push({ backup: backup.id, intact: false, error: error.message });
+      }
+    }
+    const failed = checks.filter(check => !check.intact).length;
+    
+    results[moduleName] = {
+      success: failed === 0,
+      logs: ctx.logs,
+      error: failed ? `${failed} backup(s) failed verification` : undefined,
+      errorCode: failed ? 'VERIFY_FAILED' : undefined,
+      summary: `${backups.length - failed}/${backups.length} intact`,
+      checks,
+      startedAt,
+      finishedAt: new Date(),
+      backups: module.listBackups(),
+      moduleName,
     };
   }
+  
+  return results;
 }
 
-// Nginx backup function
-async function runNginxBackup() {
-  const backupDir = backupModules.nginx.backupDir;
-  const nginxDir = "/etc/nginx";
-  const timestamp = new Date().toISOString().split('T')[0].replace(/-/g, '-');
-  const archiveName = `nginx_backup_${timestamp}.tar.gz`;
-  
-  // Create backup directory if it doesn't exist
-  if (!fs.existsSync(backupDir)) {
-    fs.mkdirSync(backupDir, { recursive: true });
+// Context passed to the hooks of a module (see lib/hooks.js), with the backup (post) or error (onFailure)
+function moduleHookContext(module, stage, extra = {}) {
+  return {
+    scope: 'module',
+    stage,
+    action: 'backup',
+    backupRootDir: path.resolve(config.backupRootDir),
+    module: { id: module.id, name: module.name, backupDir: path.resolve(module.backupDir) },
+    ...extra,
+  };
+}
+
+// Main function to run a specific backup module
+async function runBackup(moduleName) {
+  const module = backupModules[moduleName];
+  if (!module) {
+    console.error(`${colors.red}Module '${moduleName}' not found.${colors.reset}`);
+    return { success: false, moduleName };
   }
   
-  let logs = [];
-  let originalSize = '';
-  let compressedSize = '';
+  console.log(`\n${colors.cyan}Running ${module.name} backup...${colors.reset}\n`);
+  
+  const ctx = module.createContext();
+  const startedAt = new Date();
+  let upload = { copies: [], errors: [] };
+  
+  const { hooks } = module.options;
+  const hookOptions = { log: ctx.log, warn: ctx.warn, cwd: config.configDir };
   
   try {
-    // Step 1: Calculate the size before archiving
-    console.log(`${colors.cyan}Calculating size of ${nginxDir}...${colors.reset}`);
-    const { stdout: duOutput } = await execPromise(`du -sh "${nginxDir}"`);
-    originalSize = duOutput.split('\t')[0].trim();
-    console.log(`${colors.cyan}Original size of ${nginxDir}: ${originalSize}${colors.reset}`);
-    logs.push(`Original size of ${nginxDir}: ${originalSize}`);
+    // Create the backup directory if it doesn't exist
+    ensureDir(module.backupDir);
     
-    console.log(`${colors.cyan}Creating backup archive: ${backupDir}/${archiveName}...${colors.purple}`);
-    logs.push(`Creating backup archive: ${archiveName}`);
+    // Run the backup (after the pre hooks, e.g. flushing tables; one that fails fails the backup)
+    await runHooks(hooks.pre, 'pre', moduleHookContext(module, 'pre'), hookOptions);
+    const results = (await module.run(ctx)) || {};
     
-    // Create a tar.gz archive of the /etc/nginx directory
-    await execPromise(`tar -czvf "${path.join(backupDir, archiveName)}" -C /etc nginx`);
+    // Record the run in the catalog, with checksums of everything it produced
+    let artifacts = results.artifacts || findFilesWrittenSince(module.backupDir, startedAt);
+    if (artifacts.length === 0) {
+      throw new BackupError('The backup did not produce any files.', 'NO_ARTIFACTS');
+    }
+    if (ctx.encryption) {
+      artifacts = await encryptArtifacts(ctx, artifacts);
+    }
     
-    // Calculate the size after archiving
-    const { stdout: compressedOutput } = await execPromise(`du -sh "${path.join(backupDir, archiveName)}"`);
-    compressedSize = compressedOutput.split('\t')[0].trim();
+    // Codec, ratio and time of everything the module compressed, to compare codecs and levels between runs
+    const compression = compressionReport(ctx.compressionStats);
+    if (compression) {
+      ctx.log(`Compression: ${compression.summary}`);
+    }
     
-    console.log(`\n${colors.green}Backup of /etc/nginx completed.${colors.reset}`);
-    console.log(`${colors.green}Archive saved as ${backupDir}/${archiveName} (Size: ${originalSize} -> ${compressedSize})${colors.reset}`);
+    const backup = await module.catalog.record({
+      moduleId: moduleName,
+      moduleName: module.name,
+      startedAt,
+      finishedAt: new Date(),
+      artifacts,
+      location: results.location,
+      source: results.source,
+      originalSize: results.originalSize,
+      compressedSize: results.compressedSize,
+      parent: results.parent,
+      metadata: results.metadata,
+      compression,
+      knownChecksum: writtenChecksum,
+    });
+    ctx.log(`Recorded ${backup.id} in the catalog (${backup.files.length} file(s), ${formatSize(backup.totalBytes)}).`);
+    
+    // Copy the backup off-site
+    upload = await uploadBackup(ctx, backup);
+    
+    // Old backups stay until the new one reached every destination, they may be the newest copy there
+    if (upload.errors.length) {
+      throw new BackupError(`Upload failed, old backups were not cleaned up: ${upload.errors.join('; ')}`, 'UPLOAD_FAILED');
+    }
     
-    logs.push(`Backup completed: ${archiveName} (Size: ${originalSize} -> ${compressedSize})`);
+    // Delete old backups (using the module's retention policy, locally and remotely)
+    const cleanup = await module.cleanup(ctx);
+    ctx.log(`Cleaned up ${cleanup.removed} old backups (keeping ${describePolicy(module.retention)}).`);
     
-    // Step 4: Delete old backups (use module-specific maxBackups)
-    const cleanup = await cleanupOldBackups('nginx_backup_*.tar.gz', 'nginx_backups', backupModules.nginx.maxBackups);
-    logs.push(`Cleaned up ${cleanup.removed} old backups (keeping ${backupModules.nginx.maxBackups}).`);
+    // The backup exists whatever the post hooks do, so their failures are warnings
+    try {
+      await runHooks(hooks.post, 'post', moduleHookContext(module, 'post', { backup }), hookOptions);
+    } catch (error) {
+      ctx.warn(error.message);
+    }
     
+    if (ctx.warnings.length) {
+      console.log(`\n${colors.yellow}${module.name} backup completed with ${ctx.warnings.length} warning(s).${colors.reset}`);
+    } else {
+      console.log(`\n${colors.green}${module.name} backup completed successfully.${colors.reset}`);
+    }
     return {
+      originalSize: results.originalSize,
+      compressedSize: results.compressedSize,
+      compression,
       success: true,
-      logs,
-      originalSize,
-      compressedSize,
-      backupFiles: backupModules.nginx.getBackupFiles(),
+      logs: ctx.logs,
+      warnings: ctx.warnings,
+      skipped: ctx.skipped,
+      startedAt,
+      finishedAt: new Date(),
+      backup,
+      remote: upload.copies,
+      backups: module.listBackups(),
+      moduleName,
     };
   } catch (error) {
-    console.error(`${colors.red}Nginx backup failed: ${error.message}${colors.reset}`);
+    console.error(`\n${colors.red}${module.name} backup failed with error: ${error.message}${colors.reset}`);
+    ctx.logs.push(`ERROR: ${error.message}`);
+    
+    try {
+      await runHooks(hooks.onFailure, 'onFailure', moduleHookContext(module, 'onFailure', { error: { code: errorCode(error), message: error.message } }), hookOptions);
+    } catch (hookError) {
+      ctx.error(hookError.message);
+    }
+    
     return {
       success: false,
-      logs: [...logs, `ERROR: ${error.message}`],
+      logs: ctx.logs,
+      warnings: ctx.warnings,
+      skipped: ctx.skipped,
       error: error.message,
+      errorCode: errorCode(error),
+      startedAt,
+      finishedAt: new Date(),
+      compressedSize: 'FAILED',
+      remote: upload.copies,
+      backups: module.listBackups(),
+      moduleName
     };
   }
 }
 
-// Pterodactyl backup function
-async function runPterodactylBackup() {
-  const baseDir = "/var/lib/pterodactyl/volumes";
-  const sizeThreshold = 1000; // in MB
-  const currentDate = new Date().toISOString().split('T')[0];
-  const outputDir = path.join(backupModules.pterodactyl.backupDir, `backup_${currentDate}`);
-  
-  // Create output directory for individual tar files
-  if (!fs.existsSync(outputDir)) {
-    fs.mkdirSync(outputDir, { recursive: true });
+// List the catalog, or import backups made before the catalog existed
+async function runCatalogCommand(action, moduleNames) {
+  const modules = moduleNames.length ? moduleNames : Object.keys(backupModules);
+  const unknown = modules.filter(moduleName => !backupModules[moduleName]);
+  if (unknown.length) {
+    console.error(`${colors.red}Unknown module(s): ${unknown.join(', ')}${colors.reset}`);
+    console.log(`Available modules: ${Object.keys(backupModules).join(', ')}`);
+    return false;
   }
   
-  let logs = [];
-  let totalOriginalSize = 0;
-  let totalCompressedSize = 0;
-  
-  try {
-    // Step 0: Backup our app key and other Pterodactyl files
-    console.log(`${colors.cyan}Backing up Pterodactyl environment file...${colors.reset}`);
-    logs.push('Backing up Pterodactyl environment file...');
-    
-    try {
-      await execPromise(`cp "/var/www/pterodactyl/.env" "${outputDir}/panel.env"`);
-      console.log(`${colors.green}Environment file backed up successfully.${colors.reset}`);
-      logs.push('Environment file backed up successfully.');
-    } catch (envError) {
-      console.error(`${colors.red}Failed to backup environment file: ${envError.message}${colors.reset}`);
-      logs.push(`Failed to backup environment file: ${envError.message}`);
-    }
-    
-    // Step 1: Create a .tar file for each folder below the size threshold
-    console.log(`${colors.cyan}Creating .tar files for folders under ${sizeThreshold}MB...${colors.reset}`);
-    logs.push(`Creating .tar files for folders under ${sizeThreshold}MB...`);
-    
-    const { stdout: foldersOutput } = await execPromise(`find "${baseDir}" -mindepth 1 -maxdepth 1 -type d`);
-    const folders = foldersOutput.trim().split('\n');
-    
-    for (const folder of folders) {
-      const { stdout: folderSizeOutput } = await execPromise(`du -sm "${folder}"`);
-      const folderSize = parseInt(folderSizeOutput.split('\t')[0]);
-      
-      if (folderSize < sizeThreshold) {
-        const folderName = path.basename(folder);
-        console.log(`${colors.cyan}Creating archive for ${folderName} (Size: ${folderSize}MB)...${colors.reset}`);
-        logs.push(`Creating archive for ${folderName} (Size: ${folderSize}MB)`);
-        
-        try {
-          console.log(`${colors.purple}`);
-          await execPromise(`tar -cf "${path.join(outputDir, `${folderName}.tar`)}" -C "${baseDir}" "${folderName}"`);
-          console.log(`${colors.green}Archive created for ${folderName}.${colors.reset}\n`);
-          logs.push(`Archive created for ${folderName}.`);
-          
-          totalOriginalSize += folderSize;
-        } catch (tarError) {
-          console.error(`${colors.red}Failed to create archive for ${folderName}: ${tarError.message}${colors.reset}\n`);
-          logs.push(`Failed to create archive for ${folderName}: ${tarError.message}`);
-        }
+  for (const moduleName of modules) {
+    const module = backupModules[moduleName];
+    
+    if (action === 'import') {
+      const known = new Set(module.listBackups().map(backup => backup.path));
+      const found = module.scanBackups().filter(backupPath => !known.has(backupPath));
+      for (const backupPath of found) {
+        const { mtime } = fs.statSync(backupPath);
+        const backup = await module.catalog.record({
+          moduleId: moduleName,
+          moduleName: module.name,
+          startedAt: mtime,
+          finishedAt: mtime,
+          artifacts: [backupPath],
+          source: 'imported from existing backup',
+        });
+        console.log(`${colors.green}Imported ${backup.id} (${path.relative(config.backupRootDir, backupPath)})${colors.reset}`);
       }
+      console.log(`${colors.cyan}${module.name}: imported ${found.length} backup(s).${colors.reset}`);
+      continue;
     }
     
-    // Step 2: Compress all .tar files and display size reduction
-    console.log(`${colors.cyan}Compressing all tar files...${colors.reset}`);
-    logs.push('Compressing all tar files...');
-    
-    const { stdout: tarFilesOutput } = await execPromise(`find "${outputDir}" -type f -name "*.tar"`);
-    const tarFiles = tarFilesOutput.trim() ? tarFilesOutput.trim().split('\n') : [];
-    
-    for (const tarFile of tarFiles) {
-      const { stdout: originalSizeOutput } = await execPromise(`du -sh "${tarFile}"`);
-      const originalFileSize = originalSizeOutput.split('\t')[0].trim();
-      
-      console.log(`${colors.cyan}Compressing ${path.basename(tarFile)} (Original size: ${originalFileSize})...${colors.reset}`);
-      
-      try {
-        await execPromise(`gzip -9 "${tarFile}"`);
-        const compressedFile = `${tarFile}.gz`;
-        const { stdout: compressedSizeOutput } = await execPromise(`du -sh "${compressedFile}"`);
-        const compressedFileSize = compressedSizeOutput.split('\t')[0].trim();
-        
-        console.log(`${colors.green}Compressed ${path.basename(compressedFile)} (Size: ${originalFileSize} -> ${compressedFileSize}).${colors.reset}\n`);
-        logs.push(`Compressed ${path.basename(compressedFile)} (Size: ${originalFileSize} -> ${compressedFileSize})`);
-        
-        // Calculate total compressed size (approximate)
-        const numericSize = parseFloat(compressedFileSize.replace(/[^0-9.]/g, ''));
-        const unit = compressedFileSize.replace(/[0-9.]/g, '').trim();
-        if (unit.includes('K')) totalCompressedSize += numericSize * 1024;
-        else if (unit.includes('M')) totalCompressedSize += numericSize * 1024 * 1024;
-        else if (unit.includes('G')) totalCompressedSize += numericSize * 1024 * 1024 * 1024;
-        else totalCompressedSize += numericSize;
-        
-      } catch (gzipError) {
-        console.error(`${colors.red}Failed to compress ${path.basename(tarFile)}: ${gzipError.message}${colors.reset}\n`);
-        logs.push(`Failed to compress ${path.basename(tarFile)}: ${gzipError.message}`);
-      }
+    const backups = module.listBackups();
+    console.log(`\n${colors.cyan}${module.name} (${backups.length} backup(s), keeping ${describePolicy(module.retention)})${colors.reset}`);
+    for (const backup of backups) {
+      const verified = backup.verifiedAt
+        ? `  verified ${backup.verifiedAt.split('T')[0]}${backup.verifyError ? ` ${colors.red}FAILED${colors.reset}` : ''}`
+        : '';
+      const parent = backup.parent ? `  based on ${backup.parent}` : '';
+      console.log(`  ${backup.id}  ${formatSize(backup.totalBytes).padStart(10)}  ${backup.files.length} file(s)  ${backup.location}${parent}${verified}`);
     }
-    
-    // Calculate total size in human-readable format
-    const totalOriginalSizeHuman = totalOriginalSize > 1024 ? 
-      `${(totalOriginalSize / 1024).toFixed(2)}GB` : `${totalOriginalSize}MB`;
-    
-    const totalCompressedSizeHuman = totalCompressedSize > 1024 * 1024 * 1024 ? 
-      `${(totalCompressedSize / (1024 * 1024 * 1024)).toFixed(2)}GB` :
-      totalCompressedSize > 1024 * 1024 ? 
-        `${(totalCompressedSize / (1024 * 1024)).toFixed(2)}MB` :
-        `${(totalCompressedSize / 1024).toFixed(2)}KB`;
-    
-    console.log(`${colors.green}All folders under ${sizeThreshold}MB have been archived and compressed.${colors.reset}`);
-    logs.push(`All folders under ${sizeThreshold}MB have been archived and compressed.`);
-    logs.push(`Total size: ${totalOriginalSizeHuman} -> ${totalCompressedSizeHuman}`);
-    
-    // Check if we need to remove old backup folders (use module-specific maxBackups)
-    const backupDirs = getDirectories(backupModules.pterodactyl.backupDir)
-      .filter(dir => dir.startsWith('backup_'))
-      .sort((a, b) => b.localeCompare(a)); // Sort by name in descending order (newest first)
-    
-    const moduleMaxBackups = backupModules.pterodactyl.maxBackups;
-    
-    if (backupDirs.length > moduleMaxBackups) {
-      console.log(`${colors.cyan}Cleaning up old Pterodactyl backups (keeping ${moduleMaxBackups})...${colors.reset}`);
-      logs.push(`Cleaning up old Pterodactyl backups (keeping ${moduleMaxBackups})...`);
-      
-      const dirsToRemove = backupDirs.slice(moduleMaxBackups);
-      for (const dirToRemove of dirsToRemove) {
-        const dirPath = path.join(backupModules.pterodactyl.backupDir, dirToRemove);
-        try {
-          await execPromise(`rm -rf "${dirPath}"`);
-          logs.push(`Removed old backup: ${dirToRemove}`);
-        } catch (rmError) {
-          console.error(`${colors.red}Failed to remove old backup ${dirToRemove}: ${rmError.message}${colors.reset}`);
-          logs.push(`Failed to remove old backup ${dirToRemove}: ${rmError.message}`);
-        }
-      }
-      
-      console.log(`${colors.green}Removed ${dirsToRemove.length} old backup(s).${colors.reset}`);
-      logs.push(`Removed ${dirsToRemove.length} old backup(s).`);
-    }
-    
-    return {
-      success: true,
-      logs,
-      originalSize: totalOriginalSizeHuman,
-      compressedSize: totalCompressedSizeHuman,
-      backupFiles: backupModules.pterodactyl.getBackupFiles(),
-    };
-  } catch (error) {
-    console.error(`${colors.red}Pterodactyl backup failed: ${error.message}${colors.reset}`);
-    return {
-      success: false,
-      logs: [...logs, `ERROR: ${error.message}`],
-      error: error.message,
-    };
   }
+  return true;
+}
+
+// Helper function to get a module that stores snapshots in a deduplicating repository
+function snapshotModule(moduleName) {
+  const module = backupModules[moduleName];
+  if (!module) {
+    throw new Error(`Unknown module: ${moduleName} (available modules: ${Object.keys(backupModules).join(', ')})`);
+  }
+  if (!module.repository()) {
+    throw new Error(`${module.name} does not store snapshots (set storage: dedup for modules that support it).`);
+  }
+  return module;
 }
 
-// Send Discord webhook notification for combined results
-async function sendCombinedDiscordNotification(results) {
-  if (!config.webhookUrl || config.webhookUrl === 'YOUR_DISCORD_WEBHOOK_URL_HERE') {
-    console.log(`${colors.yellow}Discord webhook URL not configured. Skipping notification.${colors.reset}`);
+// Helper function to find a backup that is a snapshot (not an archive made before switching to dedup)
+function findSnapshot(moduleName, backupId) {
+  const backup = findBackup(moduleName, backupId);
+  if (!backup.metadata || !backup.metadata.snapshot) {
+    throw new Error(`${backup.id} is not a snapshot, restore it with 'restore ${moduleName} ${backup.id} --target <dir>' instead.`);
+  }
+  return backup;
+}
+
+// List the snapshots of a module, or the files in one of them (below entryPath)
+function runSnapshotsCommand(moduleName, backupId, entryPath) {
+  const module = snapshotModule(moduleName);
+  
+  if (!backupId) {
+    const snapshots = module.listBackups().filter(backup => backup.metadata && backup.metadata.snapshot);
+    console.log(`${colors.cyan}${module.name} snapshots in ${module.repository().root}${colors.reset}`);
+    for (const backup of snapshots) {
+      const { files, bytes, newBytes } = backup.metadata;
+      console.log(`  ${backup.id}  ${String(files).padStart(7)} files  ${formatSize(bytes).padStart(10)}  ${formatSize(newBytes).padStart(10)} new`);
+    }
     return;
   }
   
-  try {
-    const embeds = [];
-    let successCount = 0;
-    let failureCount = 0;
-    
-    // Create embeds for each backup result
-    for (const [moduleName, result] of Object.entries(results)) {
-      const module = backupModules[moduleName];
-      const backupFiles = result.backupFiles || [];
-      
-      // Count successes and failures
-      if (result.success) {
-        successCount++;
-      } else {
-        failureCount++;
-      }
-      
-      // Format the list of available backups (max 10 to avoid clutter)
-      const backupsAvailable = backupFiles
-        .slice(0, 10)
-        .map(file => {
-          // Extract date from filename using improved pattern matching
-          let displayName = '';
-          
-          // Try to extract date based on common patterns
-          if (file.match(/\d{4}-\d{2}-\d{2}/)) {
-            // Format with dashes like 2024-06-01
-            const dateMatch = file.match(/(\d{4})-(\d{2})-(\d{2})/);
-            if (dateMatch) {
-              displayName = `${dateMatch[3]}/${dateMatch[2]}/${dateMatch[1]}`;
-            }
-          } else if (file.match(/\d{8}/)) {
-            // Format like 20240601
-            const dateMatch = file.match(/(\d{4})(\d{2})(\d{2})/);
-            if (dateMatch) {
-              displayName = `${dateMatch[3]}/${dateMatch[2]}/${dateMatch[1]}`;
-            }
-          } else if (file.startsWith('backup_')) {
-            // Handle Pterodactyl backup directories
-            const dirDate = file.replace('backup_', '');
-            displayName = dirDate.split('-').reverse().join('/');
-          }
-          
-          if (!displayName) {
-            displayName = file; // Fallback to the full filename
-          }
-          
-          // Try to get the file size
-          try {
-            const filePath = path.join(module.backupDir, file);
-            if (fs.existsSync(filePath)) {
-              const stats = fs.statSync(filePath);
-              // Convert bytes to MB or GB
-              let size;
-              if (stats.isDirectory()) {
-                displayName = `📁 ${displayName}`;
-              } else if (stats.size > 1024 * 1024 * 1024) {
-                size = `${(stats.size / (1024 * 1024 * 1024)).toFixed(2)} GB`;
-                displayName = `📄 ${displayName} (${size})`;
-              } else {
-                size = `${(stats.size / (1024 * 1024)).toFixed(2)} MB`;
-                displayName = `📄 ${displayName} (${size})`;
-              }
-            }
-          } catch (err) {
-            // If we can't get the size, just display the name
-          }
-          
-          return `- ${displayName}`;
-        })
-        .sort()
-        .join('\n');
-      
-      embeds.push({
-        title: `${module.name} Backup ${result.success ? 'Completed' : 'Failed'} (Size: \`${result.compressedSize || 'FAILED'}\`)`,
-        description: `**Logs:**\n\`\`\`\n${result.logs.slice(-10).join('\n')}\n\`\`\`\n**Backups Available:**\n${backupsAvailable || 'No backups found'}\nMax ${module.maxBackups}, Currently ${Math.min(backupFiles.length, module.maxBackups)} backups`,
-        color: result.success ? module.color : 15158332, // Red color for failures
-        author: {
-          name: module.name,
-          icon_url: module.iconUrl
-        }
-      });
+  const backup = findSnapshot(moduleName, backupId);
+  const entries = openRepository(backup.metadata.repository).listEntries(backup.metadata.snapshot, entryPath || '');
+  if (entries.length === 0) {
+    throw new Error(`'${entryPath}' is not in ${backup.id}.`);
+  }
+  for (const entry of entries) {
+    const size = entry.type === 'file' ? formatSize(entry.size) : entry.type;
+    console.log(`${size.padStart(10)}  ${new Date(entry.mtime).toISOString().slice(0, 16).replace('T', ' ')}  ${entry.path}${entry.type === 'symlink' ? ` -> ${entry.target}` : ''}`);
+  }
+}
+
+// Extract a single file or directory from a snapshot (into the current directory unless target is set)
+async function runExtract(moduleName, backupId, entryPath, target) {
+  snapshotModule(moduleName);
+  const backup = findSnapshot(moduleName, backupId);
+  const destination = path.resolve(target || path.basename(entryPath));
+  
+  if (fs.existsSync(destination) && fs.statSync(destination).isFile()) {
+    throw new Error(`${destination} already exists, remove it or pass another --target.`);
+  }
+  const stats = await openRepository(backup.metadata.repository).extract(backup.metadata.snapshot, entryPath, destination);
+  console.log(`${colors.green}Extracted ${entryPath} from ${backup.id} to ${destination} (${stats.files} file(s), ${formatSize(stats.bytes)}).${colors.reset}`);
+}
+
+// Apply the retention policies now, or only show what they would delete (dry run)
+async function runPrune(moduleNames, dryRun) {
+  let removed = 0;
+  
+  for (const moduleName of moduleNames) {
+    const module = backupModules[moduleName];
+    const decisions = module.planRetention();
+    if (decisions.length === 0) continue;
+    
+    console.log(`\n${colors.cyan}${module.name} (keeping ${describePolicy(module.retention)})${colors.reset}`);
+    if (module.definition.cleanup) {
+      console.log(`${colors.yellow}Note: ${module.name} uses its own cleanup, the list below may not match what it deletes.${colors.reset}`);
     }
-    
-    // Create the summary content
-    let content = `✅ Backup Summary: ${successCount} completed`;
-    if (failureCount > 0) {
-      content += `, ❌ ${failureCount} failed`;
+    for (const { backup, keep, reasons } of decisions) {
+      const label = keep ? `${colors.green}KEEP  ` : `${colors.red}DELETE`;
+      console.log(`  ${label}${colors.reset}  ${backup.id}  ${formatSize(backup.totalBytes).padStart(10)}  ${reasons.join(', ')}`);
     }
     
-    // Prepare the webhook payload
-    const payload = {
-      content: content,
-      embeds: embeds,
-      username: config.webhookUsername,
-      attachments: []
-    };
-    
-    console.log(`${colors.cyan}Sending combined Discord notification for ${Object.keys(results).length} backup modules...${colors.reset}`);
-    await axios.post(config.webhookUrl, payload);
-    console.log(`${colors.green}Combined Discord notification sent successfully.${colors.reset}`);
+    if (!dryRun) {
+      const cleanup = await module.cleanup();
+      removed += cleanup.removed;
+    }
+  }
+  
+  if (dryRun) {
+    console.log(`\n${colors.cyan}Dry run only, nothing was deleted. Run again without --dry-run to prune.${colors.reset}`);
+  } else {
+    console.log(`\n${colors.green}Pruned ${removed} backup(s).${colors.reset}`);
+  }
+}
+
+// Helper function to run an action under the run lock, so it never overlaps with a daemon run
+// (or another manual run). Returns false without running it if another process holds the lock.
+async function withRunLock(purpose, action) {
+  let release;
+  try {
+    release = acquireLock(runLockPath(config), purpose);
   } catch (error) {
-    console.error(`${colors.red}Failed to send combined Discord notification: ${error.message}${colors.reset}`);
+    if (!(error instanceof LockError)) throw error;
+    console.error(`${colors.red}Another run is in progress: ${error.message}${colors.reset}`);
+    process.exitCode = 1;
+    return false;
+  }
+  try {
+    await action();
+    return true;
+  } finally {
+    release();
   }
 }
 
-// Send Discord webhook notification for a single backup
-async function sendDiscordNotification(module, results) {
-  if (!config.webhookUrl || config.webhookUrl === 'YOUR_DISCORD_WEBHOOK_URL_HERE') {
-    console.log(`${colors.yellow}Discord webhook URL not configured. Skipping notification.${colors.reset}`);
-    return;
+// Result of a module that didn't run (the daemon is shutting down, or a pre hook of the run failed)
+function notRunResult(moduleName, message, code) {
+  console.log(`${colors.yellow}Skipping ${backupModules[moduleName].name} backup: ${message}${colors.reset}`);
+  return {
+    success: false,
+    logs: [message],
+    warnings: [],
+    error: message,
+    errorCode: code,
+    compressedSize: 'SKIPPED',
+    remote: [],
+    backups: backupModules[moduleName].listBackups(),
+    moduleName,
+  };
+}
+
+// Run the backups of several modules, side by side up to concurrency.modules, each after the modules in its dependsOn
+// (once cancelled() returns true, modules that haven't started yet are skipped)
+async function runBackups(moduleNames, { cancelled = () => false } = {}) {
+  // Lower the priority first: commands started later (and worker threads created later) inherit it
+  for (const problem of await applyPriority(config.priority)) {
+    console.log(`${colors.yellow}${problem}${colors.reset}`);
   }
+  console.log(`${colors.cyan}Running ${moduleNames.length} module(s), ${config.concurrency.modules} at a time (${config.concurrency.tasks} task(s) at a time, ${describePriority(config.priority)}).${colors.reset}`);
   
+  return runDependencyGraph(moduleNames.map(moduleName => ({
+    id: moduleName,
+    dependsOn: backupModules[moduleName].options.dependsOn,
+    run: () => (cancelled() ? notRunResult(moduleName, 'Skipped: the daemon is shutting down.', 'CANCELLED') : runBackup(moduleName)),
+  })), config.concurrency.modules);
+}
+
+// Record a run report in the metrics state (if given) and rewrite the textfile collector file
+function updateMetrics(report) {
   try {
-    const { name, iconUrl, color } = backupModules[module];
-    const backupFiles = results.backupFiles || [];
-    
-    // Format the list of available backups (max 10 to avoid clutter)
-    const backupsAvailable = backupFiles
-      .slice(0, 10)
-      .map(file => {
-        // Extract date from filename using improved pattern matching
-        let displayName = '';
-        
-        // Try to extract date based on common patterns
-        if (file.match(/\d{4}-\d{2}-\d{2}/)) {
-          // Format with dashes like 2024-06-01
-          const dateMatch = file.match(/(\d{4})-(\d{2})-(\d{2})/);
-          if (dateMatch) {
-            displayName = `${dateMatch[3]}/${dateMatch[2]}/${dateMatch[1]}`;
-          }
-        } else if (file.match(/\d{8}/)) {
-          // Format like 20240601
-          const dateMatch = file.match(/(\d{4})(\d{2})(\d{2})/);
-          if (dateMatch) {
-            displayName = `${dateMatch[3]}/${dateMatch[2]}/${dateMatch[1]}`;
-          }
-        } else if (file.startsWith('backup_')) {
-          // Handle Pterodactyl backup directories
-          const dirDate = file.replace('backup_', '');
-          displayName = dirDate.split('-').reverse().join('/');
-        }
-        
-        if (!displayName) {
-          displayName = file; // Fallback to the full filename
-        }
-        
-        // Try to get the file size
-        try {
-          const filePath = path.join(backupModules[module].backupDir, file);
-          if (fs.existsSync(filePath)) {
-            const stats = fs.statSync(filePath);
-            // Convert bytes to MB or GB
-            let size;
-            if (stats.isDirectory()) {
-              displayName = `📁 ${displayName}`;
-            } else if (stats.size > 1024 * 1024 * 1024) {
-              size = `${(stats.size / (1024 * 1024 * 1024)).toFixed(2)} GB`;
-              displayName = `📄 ${displayName} (${size})`;
-            } else {
-              size = `${(stats.size / (1024 * 1024)).toFixed(2)} MB`;
-              displayName = `📄 ${displayName} (${size})`;
-            }
-          }
-        } catch (err) {
-          // If we can't get the size, just display the name
-        }
-        
-        return `- ${displayName}`;
-      })
-      .join('\n');
-    
-    // Prepare the webhook payload
-    const payload = {
-      content: `✅ Completed ${name} Backup\n💽 Size${results.originalSize ? ' (Unzipped)' : ''}: \`${results.compressedSize}\`${results.originalSize ? ` (\`${results.originalSize}\`)` : ''}`,
-      embeds: [
-        {
-          title: `Backup Completed (Size: \`${results.compressedSize}\`)`,
-          description: `**Logs:**\n\`\`\`\n${results.logs.slice(-10).join('\n')}\n\`\`\`\n**Backups Available:**\n${backupsAvailable || 'No backups found'}\nMax ${backupModules[module].maxBackups}, Currently ${Math.min(backupFiles.length, backupModules[module].maxBackups)} backups`,
-          color: color,
-          author: {
-            name: name,
-            icon_url: iconUrl
-          }
-        }
-      ],
-      username: config.webhookUsername,
-      attachments: []
-    };
-    
-    console.log(`${colors.cyan}Sending Discord notification for ${name} backup...${colors.reset}`);
-    await axios.post(config.webhookUrl, payload);
-    console.log(`${colors.green}Discord notification sent successfully.${colors.reset}`);
+    const state = report ? recordRunMetrics(config, report) : undefined;
+    const file = writeMetricsTextfile(config, backupModules, state);
+    if (file) console.log(`${colors.cyan}Metrics written to ${file}${colors.reset}`);
   } catch (error) {
-    console.error(`${colors.red}Failed to send Discord notification: ${error.message}${colors.reset}`);
+    console.error(`${colors.red}Could not update the metrics: ${error.message}${colors.reset}`);
   }
 }
 
-// Main function to run a specific backup module
-async function runBackup(moduleName) {
-  const module = backupModules[moduleName];
-  if (!module) {
-    console.error(`${colors.red}Module '${moduleName}' not found.${colors.reset}`);
-    return { success: false, moduleName };
+// Publish the report of a finished run (see lib/report.js): record it in the metrics and the report history,
+// send it to the notifiers, write it to --report-file and print it with --json. Resolves with the report (its
+// exitCode is the run's exit code).
+async function publishReport(report) {
+  updateMetrics(report);
+  if (report.modules.length) {
+    try {
+      saveReport(config, report);
+    } catch (error) {
+      console.error(`${colors.red}Could not save the run report: ${error.message}${colors.reset}`);
+    }
+    await notify(notifiers, report);
+  }
+  if (reportOutput.reportFile) {
+    try {
+      const file = path.resolve(reportOutput.reportFile);
+      ensureDir(path.dirname(file));
+      fs.writeFileSync(`${file}.tmp`, `${JSON.stringify(report, null, 2)}\n`);
+      fs.renameSync(`${file}.tmp`, file);
+      console.log(`${colors.cyan}Run report written to ${file}${colors.reset}`);
+    } catch (error) {
+      console.error(`${colors.red}Could not write the run report: ${error.message}${colors.reset}`);
+    }
   }
+  if (reportOutput.json) {
+    process.stdout.write(`${JSON.stringify(report, null, 2)}\n`);
+  }
+  return report;
+}
+
+// Backups of several modules between the run's hooks, followed by their report
+async function backupAndReport(moduleNames, runOptions, skipped = []) {
+  const startedAt = new Date();
+  const { hooks } = config;
+  const hookOptions = {
+    log: message => console.log(`${colors.cyan}${message}${colors.reset}`),
+    warn: message => console.log(`${colors.yellow}${message}${colors.reset}`),
+    cwd: config.configDir,
+  };
+  const hookContext = (stage, extra = {}) => ({
+    scope: 'run',
+    stage,
+    action: 'backup',
+    backupRootDir: path.resolve(config.backupRootDir),
+    modules: moduleNames,
+    ...extra,
+  });
+  const hookOutcomes = [];
   
-  console.log(`\n${colors.cyan}Running ${module.name} backup...${colors.reset}\n`);
+  // A failing pre hook (e.g. putting an application into maintenance mode) fails the run before any module starts
+  let results;
+  try {
+    hookOutcomes.push(...await runHooks(hooks.pre, 'pre', hookContext('pre'), hookOptions));
+    results = await runBackups(moduleNames, runOptions);
+  } catch (error) {
+    if (!error.outcomes) throw error;
+    hookOutcomes.push(...error.outcomes);
+    console.error(`${colors.red}${error.message}${colors.reset}`);
+    results = Object.fromEntries(moduleNames.map(moduleName => [moduleName, notRunResult(moduleName, `Not run: ${error.message}`, error.code)]));
+  }
   
+  // post after a run without failures, onFailure otherwise; both get the run report
+  const report = createRunReport('backup', results, backupModules, startedAt, skipped);
+  const stage = report.status === 'failure' ? 'onFailure' : 'post';
   try {
-    // Create the backup directory if it doesn't exist
-    if (!fs.existsSync(module.backupDir)) {
-      fs.mkdirSync(module.backupDir, { recursive: true });
-    }
-    
-    // Run the backup
-    const results = await module.run();
-    
-    if (results.success) {
-      console.log(`\n${colors.green}${module.name} backup completed successfully.${colors.reset}`);
-      return { ...results, backupFiles: module.getBackupFiles(), moduleName };
-    } else {
-      console.error(`\n${colors.red}${module.name} backup failed. Please check for errors.${colors.reset}`);
-      return { 
-        ...results, 
-        moduleName,
-        compressedSize: 'FAILED',
-        backupFiles: module.getBackupFiles()
-      };
-    }
+    hookOutcomes.push(...await runHooks(hooks[stage], stage, hookContext(stage, { report }), hookOptions));
   } catch (error) {
-    console.error(`\n${colors.red}${module.name} backup failed with error: ${error.message}${colors.reset}`);
-    
-    return {
-      success: false,
-      logs: [`ERROR: ${error.message}`],
-      compressedSize: 'FAILED',
-      backupFiles: module.getBackupFiles(),
-      moduleName
+    hookOutcomes.push(...error.outcomes);
+    console.error(`${colors.red}${error.message}${colors.reset}`);
+  }
+  report.hooks = hookOutcomes;
+  
+  return publishReport(report);
+}
+
+// Verification of several modules, followed by its report
+async function verifyAndReport(moduleNames, backupId, verifyOptions) {
+  const startedAt = new Date();
+  const results = await runVerify(moduleNames, backupId, verifyOptions);
+  return publishReport(createRunReport('verify', results, backupModules, startedAt));
+}
+
+// Start the dashboard and API (see lib/server.js) on server.listen
+async function startDashboard() {
+  const dashboard = await startServer({
+    config,
+    modules: backupModules,
+    runBackup: moduleNames => backupAndReport(moduleNames),
+    runVerify: verifyAndReport,
+  });
+  const { address, port } = dashboard.address;
+  console.log(`${colors.cyan}Serving the dashboard on http://${address.includes(':') ? `[${address}]` : address}:${port}/${colors.reset}`);
+  return dashboard;
+}
+
+// Send a test report (every enabled module as successful, with its catalog) to some or all notifiers, ignoring their filters
+async function runNotifyTest(names) {
+  const unknown = names.filter(name => !notifiers[name]);
+  if (unknown.length) {
+    console.error(`${colors.red}Unknown notifier(s): ${unknown.join(', ')}${colors.reset}`);
+    console.log(`Configured notifiers: ${Object.keys(notifiers).join(', ') || 'none'}`);
+    return false;
+  }
+
+  const results = {};
+  for (const [moduleName, module] of Object.entries(backupModules)) {
+    if (!module.options.enabled) continue;
+    const backups = module.listBackups();
+    results[moduleName] = {
+      success: true,
+      summary: 'test notification',
+      logs: ['This is a test notification, no backup was made.'],
+      warnings: [],
+      remote: [],
+      compressedSize: backups.length ? formatSize(backups[0].totalBytes) : null,
+      backups,
     };
   }
+  const targets = names.length ? Object.fromEntries(names.map(name => [name, notifiers[name]])) : notifiers;
+  const outcomes = await notify(targets, createRunReport('backup', results, backupModules), { force: true });
+  return outcomes.every(outcome => outcome.sent);
 }
 
 // Main function to run all backups
@@ -754,63 +629,230 @@ async function runAllBackups() {
   console.log(`${colors.cyan}Starting all backup processes...${colors.reset}`);
   
   // Ensure backup root directory exists
-  if (!fs.existsSync(config.backupRootDir)) {
-    fs.mkdirSync(config.backupRootDir, { recursive: true });
-  }
-  
-  // Run backups and collect results
-  const results = {};
+  ensureDir(config.backupRootDir);
   
-  // Run database backups first
-  results.mariadb = await runBackup('mariadb');
-  results.timescaledb = await runBackup('timescaledb');
+  // Skip disabled modules, the others run in the order they are defined as far as concurrency and dependsOn allow
+  const skipped = [];
+  const moduleNames = Object.keys(backupModules).filter(moduleName => {
+    if (backupModules[moduleName].options.enabled) return true;
+    console.log(`${colors.yellow}Skipping ${backupModules[moduleName].name} backup (disabled in config).${colors.reset}`);
+    skipped.push({ id: moduleName, reason: 'disabled' });
+    return false;
+  });
+  const report = await backupAndReport(moduleNames, {}, skipped);
   
-  // Then run other backups
-  results.nginx = await runBackup('nginx');
-  results.pterodactyl = await runBackup('pterodactyl');
+  console.log(`${colors.cyan}All backup scripts finished.${colors.reset}`);
+  process.exitCode = report.exitCode;
+}
+
+// Command line options that take a value, and boolean flags
+const valueOptions = {
+  '--config': 'configPath',
+  '-c': 'configPath',
+  '--target': 'target',
+  '--database': 'database',
+  '--as': 'as',
+  '--instance': 'instance',
+  '--server': 'servers',
+  '--report-file': 'reportFile',
+};
+const flagOptions = {
+  '--apply': 'apply',
+  '--dry-run': 'dryRun',
+  '--force': 'force',
+  '--json': 'json',
+  '--no-env': 'noEnv',
+  '--no-globals': 'noGlobals',
+  '--restore-test': 'restoreTest',
+};
+
+// Parse command line arguments into options and positional arguments
+function parseArgs(argv) {
+  const options = { configPath: null, servers: [] };
+  const positional = [];
   
-  // Send combined notification
-  await sendCombinedDiscordNotification(results);
+  for (let i = 0; i < argv.length; i++) {
+    let arg = argv[i];
+    let value;
+    if (arg.startsWith('--') && arg.includes('=')) {
+      [arg, value] = [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)];
+    }
+    
+    if (valueOptions[arg]) {
+      if (value === undefined) value = argv[++i];
+      if (!value) {
+        throw new ConfigError(`Option '${arg}' requires a value.`);
+      }
+      const key = valueOptions[arg];
+      if (Array.isArray(options[key])) {
+        options[key].push(...value.split(',').filter(Boolean));
+      } else {
+        options[key] = value;
+      }
+    } else if (flagOptions[arg]) {
+      options[flagOptions[arg]] = true;
+    } else {
+      positional.push(argv[i]);
+    }
+  }
   
-  console.log(`${colors.cyan}All backup scripts finished.${colors.reset}`);
+  return { options, positional };
 }
 
 // Create a run script for individual components
 async function main() {
   // Get command line arguments
-  const args = process.argv.slice(2);
+  const { options, positional: args } = parseArgs(process.argv.slice(2));
   
-  if (args.length === 0 || args[0] === '--all') {
-    // Run all backups if no specific module is specified
-    await runAllBackups();
-  } else {
-    // Run specific modules
-    const results = {};
-    
-    for (const moduleName of args) {
-      const normalizedName = moduleName.toLowerCase().replace(/^--/, '');
-      if (backupModules[normalizedName]) {
-        const result = await runBackup(normalizedName);
-        results[normalizedName] = result;
+  // Load the configuration before anything else
+  // With --json, stdout only gets the run report: everything else is logged to stderr
+  if (options.json) {
+    console.log = console.error;
+  }
+  reportOutput = { json: Boolean(options.json), reportFile: options.reportFile || null };
+  
+  config = loadConfig({ configPath: options.configPath });
+  backupModules = loadModules(config, loadDestinations(config));
+  notifiers = loadNotifiers(config, Object.keys(backupModules));
+  if (config.configPath) {
+    console.log(`${colors.cyan}Using config file: ${config.configPath}${colors.reset}`);
+  }
+  
+  if (args[0] === 'restore') {
+    // Restore a backup: restore <module> [backup-id]
+    if (!args[1]) {
+      console.error(`${colors.red}Usage: restore <module> [backup-id] [--apply]${colors.reset}`);
+      console.log(`Available modules: ${Object.keys(backupModules).join(', ')}`);
+      process.exitCode = 1;
+      return;
+    }
+    const result = await runRestore(args[1].toLowerCase(), args[2], { ...options, apply: options.apply && !options.dryRun });
+    if (!result.success) process.exitCode = 1;
+  } else if (args[0] === 'verify') {
+    // Verify backups: verify [module] [backup-id]
+    const moduleName = args[1] && args[1].toLowerCase();
+    if (moduleName && !backupModules[moduleName]) {
+      console.error(`${colors.red}Unknown module: ${args[1]}${colors.reset}`);
+      console.log(`Available modules: ${Object.keys(backupModules).join(', ')}`);
+      process.exitCode = 1;
+      return;
+    }
+    // Verification records its outcome in the catalog, so it takes the run lock like a backup
+    await withRunLock('verify', async () => {
+      const report = await verifyAndReport(moduleName ? [moduleName] : Object.keys(backupModules), args[2], options);
+      if (report.modules.length === 0) {
+        console.log(`${colors.yellow}No backups to verify.${colors.reset}`);
+      } else if (report.exitCode) {
+        console.error(`${colors.red}Verification failed for: ${report.modules.filter(module => module.status === 'failure').map(module => module.id).join(', ')}${colors.reset}`);
       } else {
-        console.error(`${colors.red}Unknown module: ${moduleName}${colors.reset}`);
-        console.log(`Available modules: ${Object.keys(backupModules).join(', ')}`);
+        console.log(`${colors.green}All verified backups are intact.${colors.reset}`);
       }
+      process.exitCode = report.exitCode;
+    });
+  } else if (args[0] === 'prune') {
+    // Apply retention policies: prune [module...] [--dry-run]
+    const moduleNames = args.slice(1).map(name => name.toLowerCase());
+    const unknown = moduleNames.filter(moduleName => !backupModules[moduleName]);
+    if (unknown.length) {
+      console.error(`${colors.red}Unknown module(s): ${unknown.join(', ')}${colors.reset}`);
+      console.log(`Available modules: ${Object.keys(backupModules).join(', ')}`);
+      process.exitCode = 1;
+      return;
     }
-    
-    // If multiple modules were run, send a combined notification
-    if (Object.keys(results).length > 1) {
-      await sendCombinedDiscordNotification(results);
-    } else if (Object.keys(results).length === 1) {
-      // For a single module, use the original notification function
-      const moduleName = Object.keys(results)[0];
-      await sendDiscordNotification(moduleName, results[moduleName]);
+    const pruneModules = moduleNames.length ? moduleNames : Object.keys(backupModules);
+    if (options.dryRun) {
+      await runPrune(pruneModules, true);
+    } else {
+      await withRunLock('prune', async () => {
+        await runPrune(pruneModules, false);
+        updateMetrics(null);
+      });
+    }
+  } else if (args[0] === 'catalog') {
+    // Show the catalog: catalog [module...], or import existing backups: catalog import [module...]
+    const importing = args[1] === 'import';
+    const moduleNames = args.slice(importing ? 2 : 1).map(name => name.toLowerCase());
+    if (importing) {
+      await withRunLock('catalog import', async () => {
+        if (!await runCatalogCommand('import', moduleNames)) process.exitCode = 1;
+      });
+    } else if (!await runCatalogCommand('list', moduleNames)) {
+      process.exitCode = 1;
+    }
+  } else if (args[0] === 'snapshots') {
+    // List snapshots: snapshots <module>, or the files in one: snapshots <module> <backup-id> [path]
+    if (!args[1]) {
+      console.error(`${colors.red}Usage: snapshots <module> [backup-id] [path]${colors.reset}`);
+      process.exitCode = 1;
+      return;
+    }
+    runSnapshotsCommand(args[1].toLowerCase(), args[2], args[3]);
+  } else if (args[0] === 'extract') {
+    // Extract one file or directory from a snapshot: extract <module> <backup-id> <path> [--target <dest>]
+    if (args.length < 4) {
+      console.error(`${colors.red}Usage: extract <module> <backup-id> <path> [--target <destination>]${colors.reset}`);
+      process.exitCode = 1;
+      return;
+    }
+    await runExtract(args[1].toLowerCase(), args[2], args[3], options.target);
+  } else if (args[0] === 'notify-test') {
+    // Check the notifiers: notify-test [notifier...]
+    if (!await runNotifyTest(args.slice(1))) process.exitCode = 1;
+  } else if (args[0] === 'serve') {
+    // Serve the dashboard and API until stopped (a second signal stops it without waiting for a run it started)
+    const dashboard = await startDashboard();
+    const signal = await new Promise(resolve => {
+      process.once('SIGTERM', () => resolve('SIGTERM'));
+      process.once('SIGINT', () => resolve('SIGINT'));
+    });
+    console.log(`${colors.cyan}${signal} received, stopping the dashboard.${colors.reset}`);
+    await dashboard.close();
+  } else if (args[0] === 'daemon') {
+    // Run every module on its schedule until stopped, with the metrics on metrics.listen and the dashboard on server.listen
+    const metricsServer = config.metrics.listen ? await startMetricsServer(config, backupModules) : null;
+    if (metricsServer) {
+      const { address, port } = metricsServer.address();
+      console.log(`${colors.cyan}Serving metrics on http://${address}:${port}/metrics${colors.reset}`);
     }
+    let dashboard = null;
+    try {
+      dashboard = config.server.listen ? await startDashboard() : null;
+      await runDaemon({
+        config,
+        modules: backupModules,
+        runModules: backupAndReport,
+      });
+    } finally {
+      if (metricsServer) metricsServer.close();
+      if (dashboard) await dashboard.close();
+    }
+  } else if (args.length === 0 || args[0] === '--all') {
+    // Run all backups if no specific module is specified
+    await withRunLock('backup of all modules', runAllBackups);
+  } else {
+    // Run specific modules (dependsOn only orders the modules given here, it doesn't add others)
+    // A misspelled module would otherwise silently not be backed up, so nothing runs if one is unknown
+    const moduleNames = [...new Set(args.map(moduleName => moduleName.toLowerCase().replace(/^--/, '')))];
+    const unknown = moduleNames.filter(moduleName => !backupModules[moduleName]);
+    if (unknown.length) {
+      console.error(`${colors.red}Unknown module(s): ${unknown.join(', ')}${colors.reset}`);
+      console.log(`Available modules: ${Object.keys(backupModules).join(', ')}`);
+      process.exitCode = 1;
+      return;
+    }
+    await withRunLock(`backup of ${moduleNames.join(', ')}`, async () => {
+      const report = await backupAndReport(moduleNames);
+      process.exitCode = report.exitCode;
+    });
   }
 }
 
 // Run the main function
 main().catch(error => {
+  if (error instanceof ConfigError) {
+    console.error(`${colors.red}${error.message}${colors.reset}`);
+    process.exit(1);
+  }
   console.error(`${colors.red}Fatal error: ${error.message}${colors.reset}`);
   process.exit(1);
 });
\ No newline at end of file
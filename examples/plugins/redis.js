@@ -0,0 +1,40 @@
+// Example plugin: Redis snapshot backup using `redis-cli --rdb`
+//
+// Enable it with `pluginsDir: ./examples/plugins` (or copy it into your own plugins directory)
+// and configure it under `modules.redis` in the config file.
+const fs = require('fs');
+const path = require('path');
+
+module.exports = ({ formatSize, runCommand, streamCommandToFile }) => ({
+  id: 'redis',
+  name: 'Redis',
+  iconUrl: 'https://cdn.simpleicons.org/redis',
+  color: 14365478,
+  backupDirName: 'redis_backups',
+  backupPattern: 'redis_backup_*.rdb.gz',
+  defaults: {
+    maxBackups: 7,
+    host: '127.0.0.1',
+    port: 6379,
+  },
+  optionsSchema: {
+    host: { type: 'string' },
+    port: { type: 'integer', min: 1 },
+  },
+
+  async run(ctx) {
+    const file = path.join(ctx.backupDir, `redis_backup_${ctx.date}.rdb`);
+
+    ctx.log('Requesting RDB snapshot from Redis...');
+    await runCommand(['redis-cli', '-h', ctx.options.host, '-p', String(ctx.options.port), '--rdb', file]);
+
+    // Compressed (and encrypted, if configured) on its way into the backup file
+    const result = await streamCommandToFile({ command: ['cat', file], file: `${file}.gz`, level: 9, encryption: ctx.encryption });
+    fs.rmSync(file);
+
+    const originalSize = formatSize(result.originalBytes);
+    const compressedSize = formatSize(result.compressedBytes);
+    ctx.success(`Backup completed: ${path.basename(result.file)} (Size: ${originalSize} -> ${compressedSize})`);
+    return { artifacts: [result.file], originalSize, compressedSize };
+  },
+});
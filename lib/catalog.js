@@ -0,0 +1,183 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Catalog layout inside backupRootDir:
+//   catalog.json                     Index of every backup (one entry per successful run)
+//   catalog/<module>/<backup id>.json Manifest written at the end of each run
+const INDEX_FILE = 'catalog.json';
+const MANIFEST_DIR = 'catalog';
+
+// Open catalogs, one per backup root directory
+const openCatalogs = new Map();
+
+// Helper function to compute the SHA-256 checksum of a file
+function sha256File(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+// Helper function to list all files below a path (or the path itself if it is a file)
+function listFiles(target) {
+  const stat = fs.statSync(target);
+  if (!stat.isDirectory()) return [target];
+  return fs.readdirSync(target)
+    .sort()
+    .flatMap(name => listFiles(path.join(target, name)));
+}
+
+// Helper function to write JSON atomically so a crash never leaves a half-written catalog
+function writeJsonAtomic(filePath, data) {
+  const tempFile = `${filePath}.tmp`;
+  fs.writeFileSync(tempFile, `${JSON.stringify(data, null, 2)}\n`);
+  fs.renameSync(tempFile, filePath);
+}
+
+// Build a backup id from the module id and the time the run started
+function createBackupId(moduleId, startedAt) {
+  return `${moduleId}-${startedAt.toISOString().replace(/\.\d+Z$/, 'Z').replace(/:/g, '-')}`;
+}
+
+// Open (or create) the catalog of a backup root directory
+function openCatalog(rootDir) {
+  const root = path.resolve(rootDir);
+  if (openCatalogs.has(root)) return openCatalogs.get(root);
+
+  const indexPath = path.join(root, INDEX_FILE);
+  let index = { version: 1, backups: [] };
+  if (fs.existsSync(indexPath)) {
+    index = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+  }
+
+  const save = () => {
+    fs.mkdirSync(root, { recursive: true });
+    writeJsonAtomic(indexPath, index);
+  };
+
+  const manifestPath = entry => path.join(root, MANIFEST_DIR, entry.module, `${entry.id}.json`);
+
+  // Attach absolute paths to an entry for the code that works with the files
+  const resolveEntry = entry => ({
+    ...entry,
+    path: path.join(root, entry.location),
+    name: path.basename(entry.location),
+  });
+
+  const catalog = {
+    root,
+
+    // Read the index again, for long-running processes (the daemon) after other processes changed it
+    reload() {
+      index = fs.existsSync(indexPath) ? JSON.parse(fs.readFileSync(indexPath, 'utf8')) : { version: 1, backups: [] };
+    },
+
+    // All backups of a module (or of every module), newest first
+    list(moduleId) {
+      return index.backups
+        .filter(entry => !moduleId || entry.module === moduleId)
+        .sort((a, b) => b.startedAt.localeCompare(a.startedAt))
+        .map(resolveEntry);
+    },
+
+    get(backupId) {
+      const entry = index.backups.find(item => item.id === backupId);
+      return entry ? resolveEntry(entry) : null;
+    },
+
+    // Record a finished run: checksum every artifact, write the manifest and add it to the index
+    // (knownChecksum(filePath) may return the checksum of a file that was hashed while it was written)
+    async record({ moduleId, moduleName, startedAt, finishedAt, artifacts, location, source, originalSize, compressedSize, compression, parent, metadata, knownChecksum, extra = {} }) {
+      const files = [];
+      for (const artifact of artifacts) {
+        for (const filePath of listFiles(artifact)) {
+          files.push({
+            path: path.relative(root, filePath),
+            bytes: fs.statSync(filePath).size,
+            sha256: (knownChecksum && knownChecksum(filePath)) || await sha256File(filePath),
+          });
+        }
+      }
+
+      const entry = {
+        id: createBackupId(moduleId, startedAt),
+        module: moduleId,
+        moduleName,
+        startedAt: startedAt.toISOString(),
+        finishedAt: finishedAt.toISOString(),
+        source: source || null,
+        location: path.relative(root, location || artifacts[0]),
+        files,
+        totalBytes: files.reduce((sum, file) => sum + file.bytes, 0),
+        originalSize: originalSize || null,
+        compressedSize: compressedSize || null,
+        compression: compression || null, // Codec, ratio and time (see compressionReport in lib/compression.js)
+        parent: parent || null, // Id of the backup this one depends on (e.g. the base of an incremental)
+        metadata: metadata || null,
+        ...extra,
+      };
+
+      // Backups named by date are overwritten by a second run on the same day, drop the stale entry
+      const superseded = index.backups.filter(item => item.module === moduleId && item.location === entry.location);
+      for (const item of superseded) {
+        fs.rmSync(manifestPath(item), { force: true });
+      }
+      index.backups = index.backups.filter(item => !superseded.includes(item));
+
+      fs.mkdirSync(path.dirname(manifestPath(entry)), { recursive: true });
+      writeJsonAtomic(manifestPath(entry), entry);
+      index.backups.push(entry);
+      save();
+
+      return resolveEntry(entry);
+    },
+
+    // Update fields of an entry (and its manifest)
+    update(backupId, changes) {
+      const entry = index.backups.find(item => item.id === backupId);
+      if (!entry) return null;
+      Object.assign(entry, changes);
+      writeJsonAtomic(manifestPath(entry), entry);
+      save();
+      return resolveEntry(entry);
+    },
+
+    // Remove an entry from the catalog without touching its files
+    forget(backupId) {
+      const entry = index.backups.find(item => item.id === backupId);
+      if (!entry) return;
+      fs.rmSync(manifestPath(entry), { force: true });
+      index.backups = index.backups.filter(item => item !== entry);
+      save();
+    },
+
+    // Delete a backup's files and its catalog entry
+    remove(backupId) {
+      const entry = index.backups.find(item => item.id === backupId);
+      if (!entry) return;
+      for (const file of entry.files) {
+        fs.rmSync(path.join(root, file.path), { force: true });
+      }
+      // Directory-based backups (e.g. one directory per run) are removed as a whole
+      const location = path.join(root, entry.location);
+      if (fs.existsSync(location) && fs.statSync(location).isDirectory()) {
+        fs.rmSync(location, { recursive: true, force: true });
+      }
+      catalog.forget(backupId);
+    },
+  };
+
+  openCatalogs.set(root, catalog);
+  return catalog;
+}
+
+module.exports = {
+  createBackupId,
+  listFiles,
+  openCatalog,
+  sha256File,
+};
@@ -0,0 +1,305 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const zlib = require('zlib');
+
+const gzipPromise = util.promisify(zlib.gzip);
+
+// Deduplicating repository layout:
+//   chunks/<first 2 hex digits>/<sha256>  gzip-compressed chunk, named by the SHA-256 of its content
+//   snapshots/<name>.json                 Index of one snapshot: every entry with its metadata and chunks
+// Files are cut into chunks at content-defined boundaries, so data that didn't change between runs
+// (even inside a file that did) maps to chunks the repository already has and is stored only once.
+const CHUNK_DIR = 'chunks';
+const SNAPSHOT_DIR = 'snapshots';
+
+// Chunks are 256 KiB to 4 MiB, about 1 MiB on average (20 bits of the rolling hash must be zero)
+const MIN_CHUNK = 256 * 1024;
+const MAX_CHUNK = 4 * 1024 * 1024;
+const BOUNDARY_MASK = 0xfffff000;
+
+// Gear table for the rolling hash, derived from a fixed seed so boundaries are the same on every run
+const GEAR = Uint32Array.from({ length: 256 }, (value, index) =>
+  crypto.createHash('sha256').update(`gear-${index}`).digest().readUInt32BE(0));
+
+// Helper function to compute the SHA-256 checksum of a buffer
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+// Helper function to cut a file into content-defined chunks, calls onChunk(buffer) for each in order
+async function chunkFile(filePath, onChunk) {
+  let parts = [];
+  let size = 0;
+  let hash = 0;
+
+  for await (const buffer of fs.createReadStream(filePath, { highWaterMark: 1024 * 1024 })) {
+    let start = 0;
+    for (let i = 0; i < buffer.length; i++) {
+      hash = ((hash << 1) + GEAR[buffer[i]]) >>> 0;
+      size++;
+      if ((size >= MIN_CHUNK && (hash & BOUNDARY_MASK) === 0) || size >= MAX_CHUNK) {
+        parts.push(buffer.subarray(start, i + 1));
+        await onChunk(Buffer.concat(parts));
+        parts = [];
+        size = 0;
+        hash = 0;
+        start = i + 1;
+      }
+    }
+    if (start < buffer.length) parts.push(buffer.subarray(start));
+  }
+
+  if (size > 0) await onChunk(Buffer.concat(parts));
+}
+
+// Helper function to check whether an entry path is the given path or inside it ('' matches everything)
+function isWithin(entryPath, selected) {
+  return !selected || entryPath === selected || entryPath.startsWith(`${selected}/`);
+}
+
+// Open (or create) a deduplicating repository in a directory
+function openRepository(dir) {
+  const root = path.resolve(dir);
+  const chunkPath = hash => path.join(root, CHUNK_DIR, hash.slice(0, 2), hash);
+  const snapshotPath = name => path.join(root, SNAPSHOT_DIR, `${name}.json`);
+
+  // Store a chunk unless the repository already has it, returns the bytes written (0 when deduplicated)
+  // (compressing and writing off the event loop, so the daemon's scheduler and dashboard keep responding)
+  const storeChunk = async (hash, data) => {
+    const file = chunkPath(hash);
+    if (fs.existsSync(file)) return 0;
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    const compressed = await gzipPromise(data);
+    await fs.promises.writeFile(`${file}.tmp`, compressed);
+    await fs.promises.rename(`${file}.tmp`, file);
+    return compressed.length;
+  };
+
+  // Read a chunk and make sure it still has the content it is named after
+  const readChunk = hash => {
+    const file = chunkPath(hash);
+    if (!fs.existsSync(file)) {
+      throw new Error(`Chunk ${hash} is missing from ${root}`);
+    }
+    const data = zlib.gunzipSync(fs.readFileSync(file));
+    if (sha256(data) !== hash) {
+      throw new Error(`Chunk ${hash} in ${root} is damaged`);
+    }
+    return data;
+  };
+
+  const repository = {
+    root,
+
+    snapshotPath,
+
+    // Snapshots in the repository, newest first (without their entries)
+    listSnapshots() {
+      const dir = path.join(root, SNAPSHOT_DIR);
+      if (!fs.existsSync(dir)) return [];
+      return fs.readdirSync(dir)
+        .filter(file => file.endsWith('.json'))
+        .map(file => {
+          const { entries, ...snapshot } = repository.readSnapshot(path.basename(file, '.json'));
+          return snapshot;
+        })
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    },
+
+    readSnapshot(name) {
+      const file = snapshotPath(name);
+      if (!fs.existsSync(file)) {
+        throw new Error(`Snapshot ${name} not found in ${root}`);
+      }
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    },
+
+    // Store the given sources as a snapshot: [{ path: '/var/lib/...', as: 'volumes/<uuid>', filter }]
+    // (filter(absolutePath) is optional and leaves out the paths it returns false for, prepare() is optional too:
+    // it runs right before the source is read and may return a function to run right after it)
+    // Files with the same size and modification time as in the previous snapshot reuse its chunks unread
+    async createSnapshot(name, sources) {
+      const previous = repository.listSnapshots()[0];
+      const previousFiles = new Map(previous
+        ? repository.readSnapshot(previous.name).entries.filter(entry => entry.type === 'file').map(entry => [entry.path, entry])
+        : []);
+
+      const entries = [];
+      const stats = { files: 0, bytes: 0, unchangedFiles: 0, newChunks: 0, newBytes: 0 };
+
+      const addEntry = async (source, sourcePath, entryPath) => {
+        if (source.filter && !source.filter(sourcePath)) return;
+        const stat = fs.lstatSync(sourcePath);
+        const entry = { path: entryPath, mode: stat.mode & 0o7777, uid: stat.uid, gid: stat.gid, mtime: stat.mtimeMs };
+
+        if (stat.isSymbolicLink()) {
+          entries.push({ ...entry, type: 'symlink', target: fs.readlinkSync(sourcePath) });
+        } else if (stat.isDirectory()) {
+          entries.push({ ...entry, type: 'dir' });
+          for (const child of fs.readdirSync(sourcePath).sort()) {
+            await addEntry(source, path.join(sourcePath, child), `${entryPath}/${child}`);
+          }
+        } else if (stat.isFile()) {
+          const cached = previousFiles.get(entryPath);
+          let chunks = [];
+          if (cached && cached.size === stat.size && cached.mtime === stat.mtimeMs && cached.chunks.every(hash => fs.existsSync(chunkPath(hash)))) {
+            chunks = cached.chunks;
+            stats.unchangedFiles++;
+          } else {
+            await chunkFile(sourcePath, async data => {
+              const hash = sha256(data);
+              const written = await storeChunk(hash, data);
+              if (written) {
+                stats.newChunks++;
+                stats.newBytes += written;
+              }
+              chunks.push(hash);
+            });
+          }
+          entries.push({ ...entry, type: 'file', size: stat.size, chunks });
+          stats.files++;
+          stats.bytes += stat.size;
+        }
+        // Sockets, FIFOs and device files are skipped
+      };
+
+      for (const source of sources) {
+        const finish = source.prepare ? await source.prepare() : null;
+        try {
+          await addEntry(source, source.path, source.as);
+        } finally {
+          if (finish) await finish();
+        }
+      }
+
+      const snapshot = {
+        version: 1,
+        name,
+        createdAt: new Date().toISOString(),
+        sources: sources.map(source => source.as),
+        stats,
+        entries,
+      };
+      await fs.promises.mkdir(path.dirname(snapshotPath(name)), { recursive: true });
+      await fs.promises.writeFile(`${snapshotPath(name)}.tmp`, JSON.stringify(snapshot));
+      await fs.promises.rename(`${snapshotPath(name)}.tmp`, snapshotPath(name));
+
+      return { file: snapshotPath(name), stats };
+    },
+
+    // Entries of a snapshot at or below a path ('' for all of them)
+    listEntries(name, selected = '') {
+      return repository.readSnapshot(name).entries.filter(entry => isWithin(entry.path, selected));
+    },
+
+    // Write an entry (a single file, or a directory with everything below it) of a snapshot to destination
+    async extract(name, selected, destination) {
+      const entries = repository.listEntries(name, selected);
+      if (entries.length === 0) {
+        throw new Error(`'${selected}' is not in snapshot ${name}`);
+      }
+
+      const target = path.resolve(destination);
+      const isRoot = process.getuid && process.getuid() === 0;
+      const stats = { files: 0, bytes: 0 };
+
+      for (const entry of entries) {
+        const outputPath = path.join(target, path.relative(selected || '.', entry.path));
+        if (entry.type === 'dir') {
+          fs.mkdirSync(outputPath, { recursive: true });
+        } else if (entry.type === 'symlink') {
+          fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+          fs.rmSync(outputPath, { force: true });
+          fs.symlinkSync(entry.target, outputPath);
+        } else {
+          fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+          const fd = fs.openSync(outputPath, 'w');
+          try {
+            for (const hash of entry.chunks) {
+              fs.writeSync(fd, readChunk(hash));
+            }
+          } finally {
+            fs.closeSync(fd);
+          }
+          stats.files++;
+          stats.bytes += entry.size;
+        }
+        if (isRoot) fs.lchownSync(outputPath, entry.uid, entry.gid);
+      }
+
+      // Modes and times last (deepest first), so writing into a directory doesn't change them again
+      for (const entry of [...entries].reverse()) {
+        if (entry.type === 'symlink') continue;
+        const outputPath = path.join(target, path.relative(selected || '.', entry.path));
+        fs.chmodSync(outputPath, entry.mode);
+        fs.utimesSync(outputPath, new Date(entry.mtime), new Date(entry.mtime));
+      }
+
+      return stats;
+    },
+
+    // Read back every chunk a snapshot uses, returns a list of problems
+    check(name) {
+      const hashes = new Set(repository.listEntries(name).flatMap(entry => entry.chunks || []));
+      const problems = [];
+      for (const hash of hashes) {
+        try {
+          readChunk(hash);
+        } catch (error) {
+          problems.push(error.message);
+        }
+      }
+      return problems;
+    },
+
+    // Delete chunks no snapshot refers to anymore, returns how many and the bytes freed
+    collectGarbage() {
+      const chunkDir = path.join(root, CHUNK_DIR);
+      if (!fs.existsSync(chunkDir)) return { removed: 0, freedBytes: 0 };
+
+      const referenced = new Set();
+      for (const { name } of repository.listSnapshots()) {
+        for (const entry of repository.readSnapshot(name).entries) {
+          for (const hash of entry.chunks || []) referenced.add(hash);
+        }
+      }
+
+      let removed = 0;
+      let freedBytes = 0;
+      for (const prefix of fs.readdirSync(chunkDir)) {
+        for (const file of fs.readdirSync(path.join(chunkDir, prefix))) {
+          if (referenced.has(file)) continue;
+          const filePath = path.join(chunkDir, prefix, file);
+          freedBytes += fs.statSync(filePath).size;
+          fs.rmSync(filePath);
+          removed++;
+        }
+      }
+      return { removed, freedBytes };
+    },
+  };
+
+  return repository;
+}
+
+// Command line (used by restore plans, which may run under sudo):
+//   node lib/chunk-store.js extract <repository> <snapshot> <path> <destination>
+if (require.main === module) {
+  const [action, repositoryDir, snapshot, selected, destination] = process.argv.slice(2);
+  if (action !== 'extract' || !repositoryDir || !snapshot || selected === undefined || !destination) {
+    console.error('Usage: node lib/chunk-store.js extract <repository> <snapshot> <path> <destination>');
+    process.exit(2);
+  }
+  openRepository(repositoryDir).extract(snapshot, selected, destination)
+    .catch(error => {
+      console.error(error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  chunkFile,
+  openRepository,
+};
@@ -0,0 +1,12 @@
+// Console styling
+const colors = {
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m',
+  purple: '\x1b[35m',
+  yellow: '\x1b[33m',
+  reset: '\x1b[0m',
+};
+
+module.exports = colors;
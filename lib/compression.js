@@ -0,0 +1,135 @@
+const zlib = require('zlib');
+const { decryptCommand, encryptionMethodOf, processStream, stripEncryptionSuffix } = require('./encryption');
+const { shellQuote } = require('./shell');
+const { formatRate, formatSize } = require('./size');
+
+// Compression codecs: gzip runs in-process (zlib), zstd and xz as child processes (they can use several
+// threads). Compressed files get the codec's extension, so restore and verify know how to read each file.
+const codecs = {
+  gzip: { extension: '.gz', levels: [1, 9], defaultLevel: 6, decompress: 'gzip -dc', test: 'gzip -t' },
+  zstd: { extension: '.zst', levels: [1, 19], defaultLevel: 3, decompress: 'zstd -dcq', test: 'zstd -tq' },
+  xz: { extension: '.xz', levels: [0, 9], defaultLevel: 6, decompress: 'xz -dc', test: 'xz -t' },
+  none: { extension: '', levels: [0, 0], defaultLevel: 0, decompress: null, test: null },
+};
+
+// Fill in the defaults of compression options ({ algorithm, level, threads }, any of them may be missing,
+// threads: 0 uses one thread per core)
+// The fallback is the module's own default, e.g. { level: 9 } for gzip at its best compression
+function resolveCompression(compression, fallback = {}) {
+  const algorithm = (compression && compression.algorithm) || fallback.algorithm || 'gzip';
+  const sameCodec = algorithm === (fallback.algorithm || 'gzip');
+  let level = compression && compression.level !== undefined ? compression.level : undefined;
+  if (level === undefined && sameCodec && fallback.level !== undefined) level = fallback.level;
+  return {
+    algorithm,
+    level: level === undefined ? codecs[algorithm].defaultLevel : level,
+    threads: compression && compression.threads !== undefined ? compression.threads : 1,
+  };
+}
+
+// Extension added to files compressed with the given (resolved) options ('' without compression)
+function compressionExtension(compression) {
+  return codecs[compression.algorithm].extension;
+}
+
+// Short description of compression options for logs, e.g. "zstd level 3, 4 threads"
+function describeCompression(compression) {
+  if (compression.algorithm === 'none') return 'no compression';
+  let threads = '';
+  if (compression.algorithm !== 'gzip' && compression.threads !== 1) {
+    threads = compression.threads ? `, ${compression.threads} threads` : ', a thread per core';
+  }
+  return `${compression.algorithm} level ${compression.level}${threads}`;
+}
+
+// Create the stream that compresses data with the (resolved) options, returns { stream, done } or null
+function createCompressStream(compression) {
+  const { algorithm, level, threads } = compression;
+  switch (algorithm) {
+    case 'none':
+      return null;
+    case 'zstd':
+      return processStream('zstd', ['-q', '-c', `-${level}`, `-T${threads}`]);
+    case 'xz':
+      return processStream('xz', ['-c', `-${level}`, `-T${threads}`]);
+    default:
+      return { stream: zlib.createGzip({ level }), done: Promise.resolve() };
+  }
+}
+
+// Codec of a file, from its extension after the encryption suffix (null for uncompressed files)
+// Files named .tgz are gzip-compressed tar archives
+function compressionOf(file) {
+  const name = stripEncryptionSuffix(file);
+  if (name.endsWith('.tgz')) return 'gzip';
+  return Object.keys(codecs).find(algorithm => codecs[algorithm].extension && name.endsWith(codecs[algorithm].extension)) || null;
+}
+
+// Remove the compression extension (and the encryption suffix) from a file name
+function stripCompressionExtension(file) {
+  const name = stripEncryptionSuffix(file);
+  if (name.endsWith('.tgz')) return `${name.slice(0, -4)}.tar`;
+  const algorithm = compressionOf(name);
+  return algorithm ? name.slice(0, -codecs[algorithm].extension.length) : name;
+}
+
+// Shell command that writes the decrypted and decompressed content of a backup file to stdout
+function decompressCommand(file, encryption) {
+  const algorithm = compressionOf(file);
+  if (!algorithm) return decryptCommand(file, encryption);
+  if (!encryptionMethodOf(file)) return `${codecs[algorithm].decompress} ${shellQuote(file)}`;
+  return `${decryptCommand(file, encryption)} | ${codecs[algorithm].decompress}`;
+}
+
+// Shell command that checks the integrity of a compressed file (null for uncompressed files)
+function compressionTestCommand(file, encryption) {
+  const algorithm = compressionOf(file);
+  if (!algorithm) return null;
+  return `${decryptCommand(file, encryption)} | ${codecs[algorithm].test}`;
+}
+
+// Empty statistics for streamCommandToFile to add every compressed file to
+function createCompressionStats() {
+  return { files: 0, originalBytes: 0, compressedBytes: 0, seconds: 0, codecs: [] };
+}
+
+// Summary of a run's compression statistics: codec, ratio and time (null if nothing was compressed)
+function compressionReport(stats) {
+  if (!stats || !stats.files) return null;
+  const ratio = stats.compressedBytes ? stats.originalBytes / stats.compressedBytes : 0;
+  return {
+    codec: stats.codecs.join(' / '),
+    files: stats.files,
+    originalBytes: stats.originalBytes,
+    compressedBytes: stats.compressedBytes,
+    ratio: Number(ratio.toFixed(2)),
+    seconds: Number(stats.seconds.toFixed(1)),
+    summary: `${stats.codecs.join(' / ')}: ${formatSize(stats.originalBytes)} -> ${formatSize(stats.compressedBytes)} (ratio ${ratio.toFixed(2)}, ${stats.seconds.toFixed(1)}s, ${formatRate(stats.originalBytes, stats.seconds)})`,
+  };
+}
+
+// Problems with a module's compression options (beyond the schema), as readable messages
+function validateCompression(keyPath, compression) {
+  const algorithm = (compression && compression.algorithm) || 'gzip';
+  if (!codecs[algorithm] || algorithm === 'none' || compression.level === undefined) return [];
+  const [min, max] = codecs[algorithm].levels;
+  if (compression.level < min || compression.level > max) {
+    return [`'${keyPath}.level' must be between ${min} and ${max} for ${algorithm}`];
+  }
+  return [];
+}
+
+module.exports = {
+  codecs,
+  compressionExtension,
+  compressionOf,
+  compressionReport,
+  compressionTestCommand,
+  createCompressStream,
+  createCompressionStats,
+  decompressCommand,
+  describeCompression,
+  resolveCompression,
+  stripCompressionExtension,
+  validateCompression,
+};
@@ -0,0 +1,472 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { parseCron } = require('./cron');
+
+// Built-in defaults, used for anything the config file doesn't set
+const defaults = {
+  webhookUrl: '',
+  webhookUsername: 'Oracle Backup',
+  maxBackups: 4, // Default max backups
+  backupRootDir: './',
+  pluginsDir: '',
+  plugins: [],
+  retention: {},
+  encryption: {},
+  compression: {},
+  concurrency: {
+    modules: 2, // Modules backed up at the same time
+    tasks: 2, // Volume and database tasks at the same time, over all modules
+  },
+  priority: {
+    nice: 10,
+    ioClass: 'best-effort',
+    ioLevel: 7,
+  },
+  schedule: '0 0 * * *', // When the daemon runs each module (cron expression, per module under modules.<id>.schedule)
+  daemon: {
+    lockFile: '', // Default: .backup.lock in backupRootDir
+    pidFile: '', // Default: .backup-daemon.pid in backupRootDir
+    catchUp: true,
+    shutdownTimeout: 600,
+  },
+  hooks: {}, // Commands run before and after every backup run (per module under modules.<id>.hooks)
+  metrics: {
+    textfile: '', // node_exporter textfile collector file written after every run, e.g. /var/lib/node_exporter/textfile_collector/backup.prom
+    listen: '', // Address of the daemon's /metrics endpoint, e.g. 127.0.0.1:9465
+  },
+  server: {
+    listen: '', // Address of the dashboard and API (started by the daemon if set, and by 'serve'), e.g. 127.0.0.1:8095
+    token: '', // Required for every request (or tokenFile, or BACKUP_SERVER_TOKEN)
+    tokenFile: '',
+    keepReports: 50, // Run reports kept in backupRootDir/reports for the dashboard (0: none)
+  },
+  destinations: {},
+  notifiers: {},
+  modules: {},
+};
+
+// Environment variables that override config values (mainly for secrets)
+const envOverrides = {
+  BACKUP_WEBHOOK_URL: 'webhookUrl',
+  BACKUP_WEBHOOK_USERNAME: 'webhookUsername',
+  BACKUP_ROOT_DIR: 'backupRootDir',
+  BACKUP_SERVER_TOKEN: 'server.token',
+  PTERODACTYL_API_KEY: 'modules.pterodactyl.panel.apiKey',
+  PTERODACTYL_APPLICATION_API_KEY: 'modules.pterodactyl.panel.applicationApiKey',
+};
+
+// Files looked up (in the working directory, then next to the script) when no path is given
+const defaultConfigFiles = ['backup.config.json', 'backup.config.yaml', 'backup.config.yml'];
+
+// Retention policy, at the top level (default for all modules) or per module (see lib/retention.js)
+const retentionSchema = {
+  type: 'object',
+  properties: {
+    last: { type: 'integer', min: 0 },
+    daily: { type: 'integer', min: 0 },
+    weekly: { type: 'integer', min: 0 },
+    monthly: { type: 'integer', min: 0 },
+    yearly: { type: 'integer', min: 0 },
+    maxAge: { type: 'string', format: 'duration' },
+    maxTotalSize: { type: 'string', format: 'size' },
+  },
+};
+
+// Client-side encryption, at the top level (default for all modules) or per module (see lib/encryption.js)
+const encryptionSchema = {
+  type: 'object',
+  properties: {
+    method: { type: 'string', enum: ['none', 'age', 'gpg', 'aes-256-gcm'] },
+    recipients: { type: 'array', items: { type: 'string' } },
+    identityFile: { type: 'string' },
+    passphraseFile: { type: 'string' },
+    gpgHome: { type: 'string' },
+  },
+};
+
+// Compression of backup files, at the top level (default for all modules) or per module (see lib/compression.js)
+const compressionSchema = {
+  type: 'object',
+  properties: {
+    algorithm: { type: 'string', enum: ['gzip', 'zstd', 'xz', 'none'] },
+    level: { type: 'integer', min: 0, max: 19 },
+    threads: { type: 'integer', min: 0 },
+  },
+};
+
+// A hook: a shell command, or { command | script, name, timeout, continueOnError } (see lib/hooks.js)
+const hookSchema = {
+  description: 'a shell command, or an object with command or script',
+  oneOf: [
+    { type: 'string' },
+    {
+      type: 'object',
+      exactlyOne: ['command', 'script'],
+      properties: {
+        name: { type: 'string' },
+        command: { type: 'string' },
+        script: { type: 'string' },
+        timeout: { type: 'integer', min: 1 },
+        continueOnError: { type: 'boolean' },
+      },
+    },
+  ],
+};
+
+// Hooks by stage, at the top level (around the whole run) or per module
+const hooksSchema = {
+  type: 'object',
+  properties: {
+    pre: { type: 'array', items: hookSchema },
+    post: { type: 'array', items: hookSchema },
+    onFailure: { type: 'array', items: hookSchema },
+  },
+};
+
+// Schema for the options every module accepts, extended with the module's own optionsSchema
+const moduleSchema = (properties = {}) => ({
+  type: 'object',
+  properties: {
+    enabled: { type: 'boolean' },
+    maxBackups: { type: 'integer', min: 1 },
+    retention: retentionSchema,
+    encryption: encryptionSchema,
+    compression: compressionSchema,
+    concurrency: { type: 'integer', min: 1 },
+    dependsOn: { type: 'array', items: { type: 'string' } },
+    schedule: { type: 'string', format: 'cron', allowEmpty: true },
+    hooks: hooksSchema,
+    destinations: { type: 'array', items: { type: 'string' } },
+    remotePrefix: { type: 'string', allowEmpty: true },
+    ...properties,
+  },
+});
+
+// Schema used to validate the merged configuration (module options are validated once modules are loaded)
+const schema = {
+  type: 'object',
+  properties: {
+    webhookUrl: { type: 'string', format: 'url', allowEmpty: true },
+    webhookUsername: { type: 'string' },
+    maxBackups: { type: 'integer', min: 1 },
+    backupRootDir: { type: 'string' },
+    pluginsDir: { type: 'string', allowEmpty: true },
+    plugins: { type: 'array', items: { type: 'string' } },
+    retention: retentionSchema,
+    encryption: encryptionSchema,
+    compression: compressionSchema,
+    concurrency: {
+      type: 'object',
+      properties: {
+        modules: { type: 'integer', min: 1 },
+        tasks: { type: 'integer', min: 1 },
+      },
+    },
+    priority: {
+      type: 'object',
+      properties: {
+        nice: { type: 'integer', min: 0, max: 19 },
+        ioClass: { type: 'string', enum: ['best-effort', 'idle', 'none'] },
+        ioLevel: { type: 'integer', min: 0, max: 7 },
+      },
+    },
+    schedule: { type: 'string', format: 'cron', allowEmpty: true },
+    daemon: {
+      type: 'object',
+      properties: {
+        lockFile: { type: 'string', allowEmpty: true },
+        pidFile: { type: 'string', allowEmpty: true },
+        catchUp: { type: 'boolean' },
+        shutdownTimeout: { type: 'integer', min: 0 },
+      },
+    },
+    hooks: hooksSchema,
+    metrics: {
+      type: 'object',
+      properties: {
+        textfile: { type: 'string', allowEmpty: true },
+        listen: { type: 'string', format: 'listen', allowEmpty: true },
+      },
+    },
+    server: {
+      type: 'object',
+      properties: {
+        listen: { type: 'string', format: 'listen', allowEmpty: true },
+        token: { type: 'string', allowEmpty: true },
+        tokenFile: { type: 'string', allowEmpty: true },
+        keepReports: { type: 'integer', min: 0 },
+      },
+    },
+    destinations: {
+      type: 'object',
+      values: { type: 'object', additionalProperties: true },
+    },
+    notifiers: {
+      type: 'object',
+      values: { type: 'object', additionalProperties: true },
+    },
+    modules: {
+      type: 'object',
+      values: { type: 'object', additionalProperties: true },
+    },
+  },
+};
+
+class ConfigError extends Error {
+  constructor(message, errors = []) {
+    super(errors.length ? `${message}\n${errors.map(err => `  - ${err}`).join('\n')}` : message);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+// Helper function to check for plain objects
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Helper function to deep merge config objects (arrays are replaced, not merged)
+function mergeConfig(base, override) {
+  const result = { ...base };
+  for (const [key, value] of Object.entries(override || {})) {
+    if (isPlainObject(value) && isPlainObject(base[key])) {
+      result[key] = mergeConfig(base[key], value);
+    } else if (value !== undefined) {
+      result[key] = value;
+    }
+  }
+  return result;
+}
+
+// Helper function to compute the edit distance between two strings
+function levenshtein(a, b) {
+  const dp = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) dp[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      dp[i][j] = Math.min(
+        dp[i - 1][j] + 1,
+        dp[i][j - 1] + 1,
+        dp[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+  }
+  return dp[a.length][b.length];
+}
+
+// Suggest the closest known key for a typo
+function suggestKey(key, knownKeys) {
+  let best = null;
+  let bestDistance = Infinity;
+  for (const known of knownKeys) {
+    const distance = levenshtein(key.toLowerCase(), known.toLowerCase());
+    if (distance < bestDistance) {
+      best = known;
+      bestDistance = distance;
+    }
+  }
+  return bestDistance <= Math.max(2, Math.floor(key.length / 3)) ? best : null;
+}
+
+// Helper function to check a cron expression, returns the problem or null
+function cronProblem(expression) {
+  try {
+    parseCron(expression);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+// Validate a value against a schema node, collecting readable error messages
+function validate(value, node, keyPath, errors) {
+  const where = keyPath || 'config';
+
+  if (value === undefined) {
+    if (node.required) errors.push(`Missing required option '${where}'`);
+    return;
+  }
+
+  // Values that can take several forms are checked against the form of their type
+  if (node.oneOf) {
+    const form = node.oneOf.find(option => (option.type === 'object' ? isPlainObject(value) : typeof value === option.type));
+    if (form) {
+      validate(value, form, keyPath, errors);
+    } else {
+      errors.push(`'${where}' must be ${node.description} (got ${JSON.stringify(value)})`);
+    }
+    return;
+  }
+
+  switch (node.type) {
+    case 'string':
+      if (typeof value !== 'string') {
+        errors.push(`'${where}' must be a string (got ${JSON.stringify(value)})`);
+      } else if (!value && !node.allowEmpty && node.required) {
+        errors.push(`'${where}' must not be empty`);
+      } else if (value && node.format === 'url' && !/^https?:\/\/\S+$/.test(value)) {
+        errors.push(`'${where}' must be an http(s) URL (got ${JSON.stringify(value)})`);
+      } else if (node.format === 'duration' && !/^\d+\s*[hdwmy]$/i.test(value)) {
+        errors.push(`'${where}' must be a duration such as 12h, 90d, 8w, 6m or 2y (got ${JSON.stringify(value)})`);
+      } else if (node.format === 'size' && !/^\d+(\.\d+)?\s*[KMGT]i?B?$/.test(value)) {
+        errors.push(`'${where}' must be a size such as 500MB or 2GB (got ${JSON.stringify(value)})`);
+      } else if (value && node.format === 'listen' && !/^(\S*:)?\d{1,5}$/.test(value)) {
+        errors.push(`'${where}' must be a port or host:port such as 127.0.0.1:9465 (got ${JSON.stringify(value)})`);
+      } else if (value && node.format === 'cron' && cronProblem(value)) {
+        errors.push(`'${where}': ${cronProblem(value)}`);
+      } else if (node.enum && !node.enum.includes(value)) {
+        errors.push(`'${where}' must be one of ${node.enum.join(', ')} (got ${JSON.stringify(value)})`);
+      }
+      break;
+    case 'number':
+    case 'integer':
+      if (typeof value !== 'number' || Number.isNaN(value) || (node.type === 'integer' && !Number.isInteger(value))) {
+        errors.push(`'${where}' must be ${node.type === 'integer' ? 'an integer' : 'a number'} (got ${JSON.stringify(value)})`);
+      } else if (node.min !== undefined && value < node.min) {
+        errors.push(`'${where}' must be at least ${node.min} (got ${value})`);
+      } else if (node.max !== undefined && value > node.max) {
+        errors.push(`'${where}' must be at most ${node.max} (got ${value})`);
+      }
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        errors.push(`'${where}' must be true or false (got ${JSON.stringify(value)})`);
+      }
+      break;
+    case 'array':
+      if (!Array.isArray(value)) {
+        errors.push(`'${where}' must be a list (got ${JSON.stringify(value)})`);
+      } else {
+        if (node.minItems && value.length < node.minItems) {
+          errors.push(`'${where}' must contain at least ${node.minItems} item(s)`);
+        }
+        value.forEach((item, index) => validate(item, node.items, `${where}[${index}]`, errors));
+      }
+      break;
+    case 'object': {
+      if (!isPlainObject(value)) {
+        errors.push(`'${where}' must be an object (got ${JSON.stringify(value)})`);
+        break;
+      }
+      const properties = node.properties || {};
+      if (node.exactlyOne && node.exactlyOne.filter(key => value[key] !== undefined).length !== 1) {
+        errors.push(`'${where}' must set exactly one of ${node.exactlyOne.join(', ')}`);
+      }
+      for (const [key, child] of Object.entries(properties)) {
+        validate(value[key], child, keyPath ? `${keyPath}.${key}` : key, errors);
+      }
+      for (const key of Object.keys(value)) {
+        if (properties[key]) continue;
+        const childPath = keyPath ? `${keyPath}.${key}` : key;
+        if (node.values) {
+          validate(value[key], node.values, childPath, errors);
+        } else if (!node.additionalProperties) {
+          const suggestion = suggestKey(key, Object.keys(properties));
+          errors.push(`Unknown option '${childPath}'${suggestion ? ` (did you mean '${suggestion}'?)` : ''}`);
+        }
+      }
+      break;
+    }
+    default:
+      break;
+  }
+}
+
+// Find the config file to load: explicit path, BACKUP_CONFIG, then default locations
+function resolveConfigPath(configPath, env = process.env) {
+  const explicit = configPath || env.BACKUP_CONFIG;
+  if (explicit) {
+    const resolved = path.resolve(explicit);
+    if (!fs.existsSync(resolved)) {
+      throw new ConfigError(`Config file not found: ${resolved}`);
+    }
+    return resolved;
+  }
+
+  const searchDirs = [process.cwd(), path.dirname(require.main ? require.main.filename : __dirname)];
+  for (const dir of searchDirs) {
+    for (const file of defaultConfigFiles) {
+      const candidate = path.join(dir, file);
+      if (fs.existsSync(candidate)) return candidate;
+    }
+  }
+  return null;
+}
+
+// Parse a JSON or YAML config file
+function readConfigFile(filePath) {
+  const raw = fs.readFileSync(filePath, 'utf8');
+  const isYaml = /\.ya?ml$/i.test(filePath);
+  let parsed;
+  try {
+    parsed = isYaml ? YAML.parse(raw) : JSON.parse(raw);
+  } catch (error) {
+    throw new ConfigError(`Failed to parse ${isYaml ? 'YAML' : 'JSON'} config file ${filePath}: ${error.message}`);
+  }
+  if (parsed === null || parsed === undefined) return {};
+  if (!isPlainObject(parsed)) {
+    throw new ConfigError(`Config file ${filePath} must contain an object at the top level`);
+  }
+  return parsed;
+}
+
+// Apply environment variable overrides onto a config object
+function applyEnvOverrides(target, env = process.env) {
+  for (const [envName, keyPath] of Object.entries(envOverrides)) {
+    if (env[envName] === undefined || env[envName] === '') continue;
+    const keys = keyPath.split('.');
+    let node = target;
+    for (const key of keys.slice(0, -1)) {
+      if (!isPlainObject(node[key])) node[key] = {};
+      node = node[key];
+    }
+    node[keys[keys.length - 1]] = env[envName];
+  }
+  return target;
+}
+
+// Validate a module's options, returns a list of readable error messages
+function validateModuleOptions(moduleId, options, properties) {
+  const errors = [];
+  validate(options, moduleSchema(properties), `modules.${moduleId}`, errors);
+  return errors;
+}
+
+// Validate an options object (e.g. a destination) against a set of properties, returns error messages
+function validateOptions(keyPath, options, properties) {
+  const errors = [];
+  validate(options, { type: 'object', properties }, keyPath, errors);
+  return errors;
+}
+
+// Load, merge and validate the configuration
+function loadConfig(options = {}) {
+  const env = options.env || process.env;
+  const configPath = resolveConfigPath(options.configPath, env);
+  const fileConfig = configPath ? readConfigFile(configPath) : {};
+
+  const config = applyEnvOverrides(mergeConfig(defaults, fileConfig), env);
+
+  const errors = [];
+  validate(config, schema, '', errors);
+  if (errors.length) {
+    throw new ConfigError(`Invalid configuration${configPath ? ` in ${configPath}` : ''}:`, errors);
+  }
+
+  Object.defineProperty(config, 'configPath', { value: configPath, enumerable: false });
+  Object.defineProperty(config, 'configDir', { value: configPath ? path.dirname(configPath) : process.cwd(), enumerable: false });
+  return config;
+}
+
+module.exports = {
+  ConfigError,
+  defaults,
+  envOverrides,
+  loadConfig,
+  mergeConfig,
+  schema,
+  suggestKey,
+  validateModuleOptions,
+  validateOptions,
+};
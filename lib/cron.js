@@ -0,0 +1,159 @@
+// Cron expressions for the daemon's schedules: "minute hour day-of-month month day-of-week" in local time,
+// e.g. "30 2 * * *" (every day at 02:30) or "0 4 * * mon-fri". Fields accept *, lists (1,15), ranges (1-5),
+// steps (*/15, 0-30/10) and names for months and weekdays (jan, mon). @hourly, @daily, @weekly, @monthly
+// and @yearly are shortcuts. Like cron, a run is due when the day of the month OR the weekday matches if
+// both are restricted.
+
+const fields = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'], offset: 1 },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'], offset: 0 },
+];
+
+const macros = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+};
+
+// Enough steps to search several years ahead (each step skips a whole month, day, hour or minute)
+const MAX_STEPS = 10000;
+
+// Helper function to parse a single value of a field (a number or a name)
+function parseValue(text, field, expression) {
+  const name = field.names ? field.names.indexOf(text.toLowerCase()) : -1;
+  if (!/^\d+$/.test(text) && name === -1) {
+    throw new Error(`Invalid cron expression '${expression}': '${text}' is not a valid ${field.name}`);
+  }
+  const value = name === -1 ? Number(text) : name + field.offset;
+  if (value < field.min || value > field.max) {
+    throw new Error(`Invalid cron expression '${expression}': ${field.name} ${value} is out of range ${field.min}-${field.max}`);
+  }
+  return value;
+}
+
+// Helper function to parse one field into the set of values it matches
+function parseField(text, field, expression) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid cron expression '${expression}': step '${stepText}' must be a positive number`);
+    }
+
+    let from = field.min;
+    let to = field.max;
+    if (range !== '*') {
+      const [start, end] = range.split('-');
+      from = parseValue(start, field, expression);
+      to = end === undefined ? (stepText === undefined ? from : field.max) : parseValue(end, field, expression);
+    }
+    if (from > to) {
+      throw new Error(`Invalid cron expression '${expression}': range ${range} of the ${field.name} is backwards`);
+    }
+    for (let value = from; value <= to; value += step) values.add(value);
+  }
+  return values;
+}
+
+// Parse a cron expression, throws with a readable message if it is invalid
+function parseCron(expression) {
+  const text = String(expression).trim();
+  const parts = (macros[text.toLowerCase()] || text).split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Invalid cron expression '${expression}': expected 5 fields (minute hour day-of-month month day-of-week) or a shortcut such as @daily`);
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, index) => parseField(part, fields[index], expression));
+  if (weekdays.has(7)) weekdays.add(0); // 7 is Sunday as well
+
+  const schedule = {
+    expression: text,
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: parts[2].startsWith('*'),
+    anyWeekday: parts[4].startsWith('*'),
+  };
+  if (!nextRun(schedule, new Date())) {
+    throw new Error(`Invalid cron expression '${expression}': it never matches a date`);
+  }
+  return schedule;
+}
+
+// Helper function to check the day of a date against the day-of-month and day-of-week fields
+function dayMatches(schedule, date) {
+  const day = schedule.days.has(date.getDate());
+  const weekday = schedule.weekdays.has(date.getDay());
+  if (schedule.anyDay || schedule.anyWeekday) return day && weekday;
+  return day || weekday;
+}
+
+// First time after `after` (exclusive, to the minute) that the schedule matches, or null
+function nextRun(schedule, after) {
+  const date = new Date(after);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  for (let step = 0; step < MAX_STEPS; step++) {
+    if (!schedule.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!dayMatches(schedule, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!schedule.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!schedule.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+  return null;
+}
+
+// Last time at or before `before` that the schedule matched, or null
+function previousRun(schedule, before) {
+  const date = new Date(before);
+  date.setSeconds(0, 0);
+
+  for (let step = 0; step < MAX_STEPS; step++) {
+    if (!schedule.months.has(date.getMonth() + 1)) {
+      date.setDate(0); // Last day of the previous month
+      date.setHours(23, 59, 0, 0);
+    } else if (!dayMatches(schedule, date)) {
+      date.setDate(date.getDate() - 1);
+      date.setHours(23, 59, 0, 0);
+    } else if (!schedule.hours.has(date.getHours())) {
+      date.setHours(date.getHours() - 1, 59, 0, 0);
+    } else if (!schedule.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() - 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+  return null;
+}
+
+// Helper function to format a date in local time for logs, e.g. 2025-05-13 02:30
+function formatLocalTime(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+module.exports = {
+  formatLocalTime,
+  nextRun,
+  parseCron,
+  previousRun,
+};
@@ -0,0 +1,175 @@
+const path = require('path');
+const colors = require('./colors');
+const { formatLocalTime, nextRun, parseCron, previousRun } = require('./cron');
+const { LockError, acquireLock, runLockPath } = require('./lock');
+const { abortCommands } = require('./module-api');
+
+// How often the daemon looks for due modules (and retries a run lock held by another process)
+const TICK_INTERVAL = 30 * 1000;
+// How long an aborted run gets to clean up (resume servers, remove partial files) before the daemon exits anyway
+const ABORT_GRACE = 60 * 1000;
+
+// Helper function to print a daemon message with the local time in front
+function log(color, message) {
+  console.log(`${color}[${formatLocalTime(new Date())}] ${message}${colors.reset}`);
+}
+
+// Daemon mode: runs every enabled module on its cron schedule (modules.<id>.schedule, or the top-level
+// schedule) until SIGTERM or SIGINT. Modules that are due at the same time run together, like a manual run
+// of several modules, and modules that become due during a run wait for it to finish. Every run takes the
+// run lock, so it never overlaps with a manual run (which takes the same lock).
+// runModules(moduleNames, { cancelled }) runs the given modules and sends their notifications; once
+// cancelled() returns true, modules that haven't started yet must be skipped.
+// Resolves once the daemon stopped.
+async function runDaemon({ config, modules, runModules }) {
+  const { catchUp, shutdownTimeout } = config.daemon;
+  const lockFile = runLockPath(config);
+  const pidFile = path.resolve(config.daemon.pidFile || path.join(config.backupRootDir, '.backup-daemon.pid'));
+
+  const scheduled = Object.values(modules)
+    .filter(module => module.options.enabled && module.options.schedule)
+    .map(module => ({ module, schedule: parseCron(module.options.schedule), next: null }));
+  if (scheduled.length === 0) {
+    throw new Error('No enabled module has a schedule (set schedule, or modules.<id>.schedule).');
+  }
+
+  // Only one daemon per backup root, a second one would run every backup twice
+  let releaseDaemon;
+  try {
+    releaseDaemon = acquireLock(pidFile, 'daemon');
+  } catch (error) {
+    if (error instanceof LockError) throw new Error(`Another daemon is already running: ${error.message}`);
+    throw error;
+  }
+  log(colors.cyan, `Backup daemon started (pid ${process.pid}), lock file ${lockFile}.`);
+
+  // Runs that should have happened while the daemon wasn't running: the last scheduled time before now
+  // is newer than the module's last backup in the catalog
+  const now = new Date();
+  const pending = new Set();
+  for (const entry of scheduled) {
+    const { module, schedule } = entry;
+    entry.next = nextRun(schedule, now);
+    const missed = previousRun(schedule, now);
+    const last = module.listBackups()[0];
+    if (catchUp && missed && (!last || new Date(last.startedAt) < missed)) {
+      log(colors.yellow, `Missed the ${formatLocalTime(missed)} run of ${module.name} (last backup: ${last ? formatLocalTime(new Date(last.startedAt)) : 'none'}), catching up now.`);
+      pending.add(module.id);
+    }
+  }
+
+  const logNextRuns = () => {
+    for (const { module, schedule, next } of scheduled) {
+      log(colors.cyan, `${module.name}: ${schedule.expression}, next run ${formatLocalTime(next)}`);
+    }
+  };
+  logNextRuns();
+
+  return new Promise(resolve => {
+    let current = null;
+    let stopping = false;
+    let timer = null;
+    let abortTimer = null;
+    let waitingFor = null;
+
+    const finish = () => {
+      clearTimeout(timer);
+      clearTimeout(abortTimer);
+      process.removeListener('SIGTERM', shutdown);
+      process.removeListener('SIGINT', shutdown);
+      releaseDaemon();
+      log(colors.cyan, 'Backup daemon stopped.');
+      resolve();
+    };
+
+    const startRun = () => {
+      let releaseRun;
+      try {
+        releaseRun = acquireLock(lockFile, `daemon run of ${[...pending].join(', ')}`);
+      } catch (error) {
+        // Another process is running backups: try again on the next tick, but only say so once
+        const holder = error instanceof LockError && error.holder ? error.holder.pid : error.message;
+        if (waitingFor !== holder) {
+          log(colors.yellow, `Waiting to run ${[...pending].join(', ')}: ${error.message}`);
+          waitingFor = holder;
+        }
+        return;
+      }
+      waitingFor = null;
+
+      // In the order the modules are defined, like --all
+      const moduleNames = Object.keys(modules).filter(moduleName => pending.has(moduleName));
+      pending.clear();
+
+      // Manual runs since the last run changed the catalog on disk
+      for (const catalog of new Set(Object.values(modules).map(module => module.catalog))) {
+        catalog.reload();
+      }
+
+      log(colors.cyan, `Starting scheduled backup of ${moduleNames.join(', ')}.`);
+      current = Promise.resolve()
+        .then(() => runModules(moduleNames, { cancelled: () => stopping }))
+        .catch(error => log(colors.red, `Scheduled backup failed: ${error.message}`))
+        .finally(() => {
+          releaseRun();
+          current = null;
+          if (stopping) {
+            finish();
+          } else {
+            logNextRuns();
+            tick();
+          }
+        });
+    };
+
+    const tick = () => {
+      clearTimeout(timer);
+      const time = new Date();
+      for (const entry of scheduled) {
+        if (entry.next <= time) {
+          pending.add(entry.module.id);
+          // A run that is late (the machine was suspended, or a long run) is only made up once
+          entry.next = nextRun(entry.schedule, time);
+        }
+      }
+      if (!current && pending.size) startRun();
+
+      const untilNext = Math.min(...scheduled.map(entry => entry.next.getTime())) - Date.now();
+      timer = setTimeout(tick, Math.max(1000, Math.min(untilNext + 100, TICK_INTERVAL)));
+    };
+
+    // Stop the running commands; the modules fail, clean up as on any other error and send their notifications
+    const abort = reason => {
+      log(colors.red, `Aborting the running backup (${reason})...`);
+      abortCommands();
+      setTimeout(() => {
+        log(colors.red, 'The aborted backup did not finish cleaning up, exiting anyway.');
+        process.exit(1);
+      }, ABORT_GRACE).unref();
+    };
+
+    // First signal: no new runs, let the running one finish (up to shutdownTimeout); second signal: abort it now
+    function shutdown(signal) {
+      if (stopping) {
+        abort(`${signal} received while shutting down`);
+        return;
+      }
+      stopping = true;
+      clearTimeout(timer);
+      if (!current) {
+        finish();
+        return;
+      }
+      log(colors.yellow, `${signal} received: waiting up to ${shutdownTimeout}s for the running backup to finish (${signal} again aborts it)...`);
+      abortTimer = setTimeout(() => abort(`still running after ${shutdownTimeout}s`), shutdownTimeout * 1000);
+    }
+
+    process.on('SIGTERM', shutdown);
+    process.on('SIGINT', shutdown);
+    tick();
+  });
+}
+
+module.exports = {
+  runDaemon,
+};
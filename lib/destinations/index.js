@@ -0,0 +1,40 @@
+const { ConfigError, mergeConfig, validateOptions } = require('../config');
+
+// Remote destination types that can be used under `destinations.<name>.type`
+const destinationTypes = {
+  s3: require('./s3'),
+  ssh: require('./ssh'),
+};
+
+// Create the remote destinations declared in the config file
+function loadDestinations(config) {
+  const destinations = {};
+  const errors = [];
+
+  for (const [name, destinationConfig] of Object.entries(config.destinations)) {
+    const destinationType = destinationTypes[destinationConfig.type];
+    if (!destinationType) {
+      errors.push(`Unknown destination type '${destinationConfig.type}' for 'destinations.${name}' (available types: ${Object.keys(destinationTypes).join(', ')})`);
+      continue;
+    }
+
+    const options = mergeConfig(destinationType.defaults, destinationConfig);
+    const problems = validateOptions(`destinations.${name}`, options, { type: { type: 'string' }, ...destinationType.optionsSchema });
+    if (problems.length) {
+      errors.push(...problems);
+      continue;
+    }
+    destinations[name] = destinationType.create(name, options);
+  }
+
+  if (errors.length) {
+    throw new ConfigError(`Invalid configuration${config.configPath ? ` in ${config.configPath}` : ''}:`, errors);
+  }
+
+  return destinations;
+}
+
+module.exports = {
+  destinationTypes,
+  loadDestinations,
+};
@@ -0,0 +1,112 @@
+const fs = require('fs');
+const path = require('path');
+const { DeleteObjectsCommand, HeadObjectCommand, S3Client } = require('@aws-sdk/client-s3');
+const { Upload } = require('@aws-sdk/lib-storage');
+const { formatSize } = require('../size');
+
+// Helper function to join S3 key parts with single slashes
+function joinKey(...parts) {
+  return parts
+    .map(part => String(part || '').replace(/^\/+|\/+$/g, ''))
+    .filter(Boolean)
+    .join('/');
+}
+
+// Create an S3 (or S3-compatible, e.g. MinIO) destination from its config section
+function create(name, options) {
+  const { bucket, prefix, storageClass } = options;
+  const client = new S3Client({
+    region: options.region,
+    endpoint: options.endpoint || undefined,
+    forcePathStyle: options.forcePathStyle,
+    // Without keys in the config, the SDK's default chain is used (AWS_ACCESS_KEY_ID, ~/.aws, ...)
+    credentials: options.accessKeyId
+      ? { accessKeyId: options.accessKeyId, secretAccessKey: options.secretAccessKey }
+      : undefined,
+  });
+
+  return {
+    name,
+    type: 's3',
+    description: `s3://${joinKey(bucket, prefix)}/`,
+
+    // Upload every file of a backup, returns the remote copy recorded in the catalog
+    async upload(ctx, backup, { remotePrefix }) {
+      const objects = [];
+
+      for (const file of backup.files) {
+        const filePath = path.join(ctx.catalog.root, file.path);
+        const key = joinKey(prefix, remotePrefix, path.relative(ctx.backupDir, filePath));
+
+        // Files above partSize are sent as a multipart upload, queueSize parts at a time
+        const upload = new Upload({
+          client,
+          params: {
+            Bucket: bucket,
+            Key: key,
+            Body: fs.createReadStream(filePath),
+            Metadata: { sha256: file.sha256 },
+            StorageClass: storageClass || undefined,
+          },
+          partSize: options.partSize * 1024 * 1024,
+          queueSize: options.queueSize,
+        });
+        await upload.done();
+
+        const head = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+        if (head.ContentLength !== file.bytes) {
+          throw new Error(`Uploaded object s3://${bucket}/${key} is ${head.ContentLength} bytes, expected ${file.bytes}`);
+        }
+
+        objects.push({ key, bytes: file.bytes });
+        ctx.log(`Uploaded ${path.basename(filePath)} to s3://${bucket}/${key} (${formatSize(file.bytes)})`);
+      }
+
+      const location = joinKey(prefix, remotePrefix, path.relative(ctx.backupDir, backup.path));
+      return {
+        type: 's3',
+        location: `s3://${bucket}/${location}${fs.statSync(backup.path).isDirectory() ? '/' : ''}`,
+        objects,
+      };
+    },
+
+    // Delete a remote copy recorded by upload()
+    async remove(copy) {
+      // DeleteObjects accepts at most 1000 keys per request
+      for (let i = 0; i < copy.objects.length; i += 1000) {
+        const { Errors } = await client.send(new DeleteObjectsCommand({
+          Bucket: bucket,
+          Delete: { Objects: copy.objects.slice(i, i + 1000).map(object => ({ Key: object.key })), Quiet: true },
+        }));
+        if (Errors && Errors.length) {
+          throw new Error(`Failed to delete ${Errors.length} object(s) from s3://${bucket}: ${Errors[0].Key}: ${Errors[0].Message}`);
+        }
+      }
+    },
+  };
+}
+
+module.exports = {
+  type: 's3',
+  defaults: {
+    region: 'us-east-1',
+    endpoint: '',
+    forcePathStyle: false,
+    prefix: '',
+    partSize: 64, // in MB
+    queueSize: 4,
+  },
+  optionsSchema: {
+    bucket: { type: 'string', required: true },
+    region: { type: 'string' },
+    endpoint: { type: 'string', format: 'url', allowEmpty: true },
+    forcePathStyle: { type: 'boolean' },
+    accessKeyId: { type: 'string' },
+    secretAccessKey: { type: 'string' },
+    prefix: { type: 'string', allowEmpty: true },
+    partSize: { type: 'integer', min: 5 },
+    queueSize: { type: 'integer', min: 1 },
+    storageClass: { type: 'string' },
+  },
+  create,
+};
@@ -0,0 +1,158 @@
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { shellQuote } = require('../shell');
+const { formatSize } = require('../size');
+
+// Helper function to quote one word of rsync's -e command (rsync splits it itself: quotes keep spaces
+// together and a doubled quote inside quotes stands for the quote)
+function rsyncQuote(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+// Helper function to run a program (optionally feeding it stdin), resolves with its output
+function run(command, args, input) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: ['pipe', 'pipe', 'pipe'] });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', chunk => { stdout += chunk; });
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('error', reject);
+    child.on('close', code => {
+      if (code === 0) {
+        resolve({ stdout, stderr });
+      } else {
+        reject(new Error(`${command} exited with code ${code}${stderr.trim() ? `: ${stderr.trim().split('\n').pop()}` : ''}`));
+      }
+    });
+    // A program that exits without reading its input closes the pipe, its exit code tells what happened
+    child.stdin.on('error', () => {});
+    child.stdin.end(input || '');
+  });
+}
+
+// Create an SSH destination (rsync over SSH or SFTP, key authentication only) from its config section
+function create(name, options) {
+  const { host, user, port, identityFile, method, verifyChecksum } = options;
+  const target = user ? `${user}@${host}` : host;
+
+  // Never prompt for a password, a cron job can't answer it
+  const sshOptions = ['-o', 'BatchMode=yes', ...options.sshOptions.flatMap(option => ['-o', option])];
+  if (identityFile) sshOptions.push('-i', identityFile);
+
+  const ssh = remoteCommand => run('ssh', ['-p', String(port), ...sshOptions, target, remoteCommand]);
+
+  // Size of a remote file, 0 if it doesn't exist yet
+  const remoteSize = async remotePath => {
+    const { stdout } = await ssh(`if [ -f ${shellQuote(remotePath)} ]; then wc -c < ${shellQuote(remotePath)}; else echo 0; fi`);
+    return parseInt(stdout.trim()) || 0;
+  };
+
+  // Copy a file, resuming a previous interrupted transfer if there is one (unless resume is false)
+  const transfer = async (filePath, remotePath, bytes, resume = true) => {
+    if (method === 'rsync') {
+      // --partial-dir keeps interrupted transfers aside and continues them on the next run. Copying again
+      // after a mismatch, --ignore-times keeps rsync from taking a remote file of the same size and time as
+      // current. --protect-args passes the remote path without the remote shell.
+      const rsh = ['ssh', '-p', port, ...sshOptions].map(rsyncQuote).join(' ');
+      const mode = resume ? ['--partial-dir=.rsync-partial'] : ['--ignore-times'];
+      await run('rsync', ['-t', '--protect-args', ...mode, '-e', rsh, filePath, `${target}:${remotePath}`]);
+      return;
+    }
+
+    const existingBytes = resume ? await remoteSize(remotePath) : 0;
+    const quote = value => `"${value.replace(/(["\\])/g, '\\$1')}"`;
+    const command = existingBytes > 0 && existingBytes < bytes ? 'reput' : 'put';
+    await run('sftp', ['-b', '-', '-P', String(port), ...sshOptions, target], `${command} ${quote(filePath)} ${quote(remotePath)}\n`);
+  };
+
+  // Compare size (and checksum) of the remote file with the catalog
+  const verify = async (file, remotePath) => {
+    const bytes = await remoteSize(remotePath);
+    if (bytes !== file.bytes) {
+      throw new Error(`Remote file ${target}:${remotePath} is ${bytes} bytes, expected ${file.bytes}`);
+    }
+    if (verifyChecksum) {
+      const { stdout } = await ssh(`sha256sum ${shellQuote(remotePath)}`);
+      if (stdout.split(/\s/)[0] !== file.sha256) {
+        throw new Error(`Remote file ${target}:${remotePath} does not match its SHA-256 checksum`);
+      }
+    }
+  };
+
+  return {
+    name,
+    type: 'ssh',
+    description: `${method} to ${target}:${options.path}`,
+
+    // Copy every file of a backup, returns the remote copy recorded in the catalog
+    async upload(ctx, backup, { remotePrefix }) {
+      const remoteDir = path.posix.join(options.path, remotePrefix || '');
+      const objects = [];
+
+      for (const file of backup.files) {
+        const filePath = path.join(ctx.catalog.root, file.path);
+        const remotePath = path.posix.join(remoteDir, path.relative(ctx.backupDir, filePath).split(path.sep).join('/'));
+
+        await ssh(`mkdir -p ${shellQuote(path.posix.dirname(remotePath))}`);
+        try {
+          await transfer(filePath, remotePath, file.bytes);
+          await verify(file, remotePath);
+        } catch (error) {
+          // Resuming can't repair a different file left under the same name, copy it again from scratch
+          ctx.warn(`${error.message}, copying it again...`);
+          await transfer(filePath, remotePath, file.bytes, false);
+          await verify(file, remotePath);
+        }
+
+        objects.push({ key: remotePath, bytes: file.bytes });
+        ctx.log(`Copied ${path.basename(filePath)} to ${target}:${remotePath} (${formatSize(file.bytes)})`);
+      }
+
+      const location = path.posix.join(remoteDir, path.relative(ctx.backupDir, backup.path).split(path.sep).join('/'));
+      const isDirectory = fs.statSync(backup.path).isDirectory();
+      return {
+        type: 'ssh',
+        location: `${target}:${location}${isDirectory ? '/' : ''}`,
+        directory: isDirectory ? location : null,
+        objects,
+      };
+    },
+
+    // Delete a remote copy recorded by upload(), only inside this destination's path and the module's prefix
+    async remove(copy, { remotePrefix }) {
+      const remoteDir = path.posix.join(options.path, remotePrefix || '');
+      const paths = copy.directory ? [copy.directory] : copy.objects.map(object => object.key);
+      for (const remotePath of paths) {
+        const relative = path.posix.relative(remoteDir, remotePath || '');
+        if (!remotePath || !relative || relative === '..' || relative.startsWith('../')) {
+          throw new Error(`Refusing to delete '${remotePath || ''}' on ${target}, it is not inside ${remoteDir}`);
+        }
+      }
+      const quoted = paths.map(shellQuote).join(' ');
+      await ssh(copy.directory ? `rm -rf ${quoted}` : `rm -f ${quoted}`);
+    },
+  };
+}
+
+module.exports = {
+  type: 'ssh',
+  defaults: {
+    port: 22,
+    method: 'rsync',
+    sshOptions: [],
+    verifyChecksum: true,
+  },
+  optionsSchema: {
+    host: { type: 'string', required: true },
+    user: { type: 'string' },
+    port: { type: 'integer', min: 1, max: 65535 },
+    identityFile: { type: 'string' },
+    path: { type: 'string', required: true },
+    method: { type: 'string', enum: ['rsync', 'sftp'] },
+    sshOptions: { type: 'array', items: { type: 'string' } },
+    verifyChecksum: { type: 'boolean' },
+  },
+  create,
+};
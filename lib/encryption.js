@@ -0,0 +1,273 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const stream = require('stream');
+const { spawn } = require('child_process');
+const { shellQuote } = require('./shell');
+
+// Encrypted files get a suffix per method, so restore and verify know how to decrypt each file
+const suffixes = {
+  age: '.age',
+  gpg: '.gpg',
+  'aes-256-gcm': '.enc',
+};
+
+// AES-256-GCM file format (streamable, every chunk is authenticated on its own):
+//   header:  MAGIC (8 bytes) | scrypt salt (16) | nonce prefix (8)
+//   records: length (4 bytes, big endian, top bit set on the last record) | ciphertext | GCM tag (16)
+// The nonce of each record is the prefix plus a 4 byte counter, and the "last record" flag is part of
+// the authenticated data, so reordered, truncated or modified files fail to decrypt.
+const MAGIC = Buffer.from('NBKENC01');
+const CHUNK_SIZE = 64 * 1024;
+const LAST_RECORD = 0x80000000;
+
+// Helper function to read the passphrase for AES-256-GCM from passphraseFile or the environment
+function readPassphrase(encryption) {
+  if (encryption.passphraseFile) {
+    return fs.readFileSync(encryption.passphraseFile, 'utf8').trim();
+  }
+  if (process.env.BACKUP_ENCRYPTION_PASSPHRASE) {
+    return process.env.BACKUP_ENCRYPTION_PASSPHRASE;
+  }
+  throw new Error('No passphrase for aes-256-gcm encryption (set encryption.passphraseFile or BACKUP_ENCRYPTION_PASSPHRASE).');
+}
+
+// Helper function to derive the AES key from the passphrase
+function deriveKey(passphrase, salt) {
+  return crypto.scryptSync(passphrase, salt, 32, { N: 2 ** 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 });
+}
+
+// Helper function to build the nonce of a record
+function recordNonce(prefix, counter) {
+  const nonce = Buffer.alloc(12);
+  prefix.copy(nonce, 0);
+  nonce.writeUInt32BE(counter, 8);
+  return nonce;
+}
+
+// Transform stream that encrypts with AES-256-GCM in the format described above
+function createAesEncryptStream(passphrase) {
+  const salt = crypto.randomBytes(16);
+  const prefix = crypto.randomBytes(8);
+  const key = deriveKey(passphrase, salt);
+  let counter = 0;
+  let pending = Buffer.alloc(0);
+  let headerSent = false;
+
+  const sealRecord = (plaintext, last) => {
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, recordNonce(prefix, counter++));
+    cipher.setAAD(Buffer.from([last ? 1 : 0]));
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE((ciphertext.length | (last ? LAST_RECORD : 0)) >>> 0);
+    return Buffer.concat([length, ciphertext, cipher.getAuthTag()]);
+  };
+
+  const sendHeader = transform => {
+    if (headerSent) return;
+    transform.push(Buffer.concat([MAGIC, salt, prefix]));
+    headerSent = true;
+  };
+
+  return new stream.Transform({
+    transform(chunk, encoding, callback) {
+      sendHeader(this);
+      pending = Buffer.concat([pending, chunk]);
+      while (pending.length > CHUNK_SIZE) {
+        this.push(sealRecord(pending.subarray(0, CHUNK_SIZE), false));
+        pending = pending.subarray(CHUNK_SIZE);
+      }
+      callback();
+    },
+    flush(callback) {
+      sendHeader(this);
+      this.push(sealRecord(pending, true));
+      callback();
+    },
+  });
+}
+
+// Transform stream that decrypts and authenticates the AES-256-GCM format
+function createAesDecryptStream(passphrase) {
+  let buffer = Buffer.alloc(0);
+  let key = null;
+  let prefix = null;
+  let counter = 0;
+  let finished = false;
+
+  return new stream.Transform({
+    transform(chunk, encoding, callback) {
+      buffer = Buffer.concat([buffer, chunk]);
+      try {
+        if (!key) {
+          if (buffer.length < 32) return callback();
+          if (!buffer.subarray(0, 8).equals(MAGIC)) {
+            throw new Error('Not an aes-256-gcm encrypted backup (bad header).');
+          }
+          key = deriveKey(passphrase, buffer.subarray(8, 24));
+          prefix = Buffer.from(buffer.subarray(24, 32));
+          buffer = buffer.subarray(32);
+        }
+        while (buffer.length >= 4) {
+          if (finished) throw new Error('Unexpected data after the last record.');
+          const header = buffer.readUInt32BE(0);
+          const last = (header & LAST_RECORD) !== 0;
+          const length = (header & ~LAST_RECORD) >>> 0;
+          if (buffer.length < 4 + length + 16) break;
+
+          const decipher = crypto.createDecipheriv('aes-256-gcm', key, recordNonce(prefix, counter++));
+          decipher.setAAD(Buffer.from([last ? 1 : 0]));
+          decipher.setAuthTag(buffer.subarray(4 + length, 4 + length + 16));
+          this.push(Buffer.concat([decipher.update(buffer.subarray(4, 4 + length)), decipher.final()]));
+          buffer = buffer.subarray(4 + length + 16);
+          finished = last;
+        }
+        callback();
+      } catch (error) {
+        callback(error.message.includes('authenticate') ? new Error('Decryption failed: wrong passphrase or damaged file.') : error);
+      }
+    },
+    flush(callback) {
+      callback(finished ? null : new Error('Encrypted file is truncated.'));
+    },
+  });
+}
+
+// Helper function to wrap a child process (stdin -> stdout) into a duplex stream
+// Returns the stream and a promise that rejects if the process fails
+function processStream(command, args) {
+  const child = spawn(command, args, { stdio: ['pipe', 'pipe', 'pipe'] });
+  let stderr = '';
+  child.stderr.on('data', chunk => {
+    stderr = (stderr + chunk).slice(-4096);
+  });
+  const done = new Promise((resolve, reject) => {
+    child.on('error', reject);
+    child.on('close', code => {
+      if (code === 0) resolve();
+      else reject(new Error(`${command} exited with code ${code}${stderr.trim() ? `: ${stderr.trim()}` : ''}`));
+    });
+  });
+  return { stream: stream.Duplex.from({ writable: child.stdin, readable: child.stdout }), done };
+}
+
+// Check whether encryption is enabled in a module's encryption options
+function isEnabled(encryption) {
+  return Boolean(encryption && encryption.method && encryption.method !== 'none');
+}
+
+// Suffix added to files encrypted with the given options ('' without encryption)
+function encryptionSuffix(encryption) {
+  return isEnabled(encryption) ? suffixes[encryption.method] : '';
+}
+
+// Encryption method of a file, from its suffix (null for plaintext files)
+function encryptionMethodOf(file) {
+  return Object.keys(suffixes).find(method => file.endsWith(suffixes[method])) || null;
+}
+
+// Remove the encryption suffix from a file name
+function stripEncryptionSuffix(file) {
+  const method = encryptionMethodOf(file);
+  return method ? file.slice(0, -suffixes[method].length) : file;
+}
+
+// Create the stream that encrypts data with the configured method, returns { stream, done } or null
+function createEncryptStream(encryption) {
+  if (!isEnabled(encryption)) return null;
+
+  switch (encryption.method) {
+    case 'age':
+      return processStream('age', encryption.recipients.flatMap(recipient => ['-r', recipient]));
+    case 'gpg':
+      return processStream('gpg', [
+        ...(encryption.gpgHome ? ['--homedir', encryption.gpgHome] : []),
+        '--batch', '--yes', '--trust-model', 'always', '--encrypt',
+        ...encryption.recipients.flatMap(recipient => ['--recipient', recipient]),
+        '--output', '-',
+      ]);
+    default:
+      return { stream: createAesEncryptStream(readPassphrase(encryption)), done: Promise.resolve() };
+  }
+}
+
+// Shell command that writes the plaintext of a backup file to stdout (cat for unencrypted files)
+function decryptCommand(file, encryption) {
+  encryption = encryption || {};
+  switch (encryptionMethodOf(file)) {
+    case 'age':
+      if (!encryption.identityFile) {
+        throw new Error(`${file} is encrypted with age, set encryption.identityFile to the private key to decrypt it.`);
+      }
+      return `age -d -i ${shellQuote(encryption.identityFile)} ${shellQuote(file)}`;
+    case 'gpg':
+      return `gpg${encryption.gpgHome ? ` --homedir ${shellQuote(encryption.gpgHome)}` : ''} --batch --quiet --decrypt ${shellQuote(file)}`;
+    case 'aes-256-gcm':
+      return `node ${shellQuote(__filename)} decrypt ${shellQuote(file)}${encryption.passphraseFile ? ` --passphrase-file ${shellQuote(encryption.passphraseFile)}` : ''}`;
+    default:
+      return `cat ${shellQuote(file)}`;
+  }
+}
+
+// Encrypt an existing file next to itself (adding the suffix) and delete the plaintext, returns the new path
+async function encryptFile(file, encryption) {
+  const encrypted = `${file}${encryptionSuffix(encryption)}`;
+  const { stream: encryptStream, done } = createEncryptStream(encryption);
+  try {
+    await Promise.all([
+      stream.promises.pipeline(fs.createReadStream(file), encryptStream, fs.createWriteStream(encrypted)),
+      done,
+    ]);
+  } catch (error) {
+    fs.rmSync(encrypted, { force: true });
+    throw error;
+  }
+  fs.rmSync(file);
+  return encrypted;
+}
+
+// Problems with a module's encryption options (beyond the schema), as readable messages
+function validateEncryption(keyPath, encryption) {
+  if (!isEnabled(encryption)) return [];
+  const problems = [];
+  if (['age', 'gpg'].includes(encryption.method) && !(encryption.recipients || []).length) {
+    problems.push(`'${keyPath}.recipients' must list at least one ${encryption.method} recipient`);
+  }
+  if (encryption.method === 'aes-256-gcm' && !encryption.passphraseFile && !process.env.BACKUP_ENCRYPTION_PASSPHRASE) {
+    problems.push(`'${keyPath}.passphraseFile' (or the BACKUP_ENCRYPTION_PASSPHRASE environment variable) is required for aes-256-gcm`);
+  }
+  return problems;
+}
+
+// Command line: node lib/encryption.js decrypt <file> [--passphrase-file <file>] > plaintext
+if (require.main === module) {
+  const [action, file, option, passphraseFile] = process.argv.slice(2);
+  if (action !== 'decrypt' || !file || (option && option !== '--passphrase-file')) {
+    console.error('Usage: node lib/encryption.js decrypt <file.enc> [--passphrase-file <file>] > output');
+    process.exit(2);
+  }
+  stream.pipeline(
+    fs.createReadStream(file),
+    createAesDecryptStream(readPassphrase({ passphraseFile })),
+    process.stdout,
+    error => {
+      if (error) {
+        console.error(error.message);
+        process.exit(1);
+      }
+    }
+  );
+}
+
+module.exports = {
+  createAesDecryptStream,
+  createEncryptStream,
+  decryptCommand,
+  encryptFile,
+  encryptionMethodOf,
+  encryptionSuffix,
+  isEnabled,
+  processStream,
+  stripEncryptionSuffix,
+  suffixes,
+  validateEncryption,
+};
@@ -0,0 +1,67 @@
+const path = require('path');
+
+// Convert a glob pattern into a regular expression
+// Supports * (within a path segment), ** (across segments), ?, [abc] and {a,b}
+function globToRegExp(pattern) {
+  let regex = '';
+  let braceDepth = 0;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        // "**/" also matches zero directories, so "**/*.pem" matches "cert.pem"
+        if (pattern[i + 2] === '/') {
+          regex += '(?:.*/)?';
+          i += 2;
+        } else {
+          regex += '.*';
+          i += 1;
+        }
+      } else {
+        regex += '[^/]*';
+      }
+    } else if (char === '?') {
+      regex += '[^/]';
+    } else if (char === '[' && pattern.indexOf(']', i + 1) !== -1) {
+      const end = pattern.indexOf(']', i + 1);
+      regex += `[${pattern.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+      i = end;
+    } else if (char === '{') {
+      braceDepth++;
+      regex += '(?:';
+    } else if (char === '}' && braceDepth > 0) {
+      braceDepth--;
+      regex += ')';
+    } else if (char === ',' && braceDepth > 0) {
+      regex += '|';
+    } else {
+      regex += /[.+^$()|\\\]{}]/.test(char) ? `\\${char}` : char;
+    }
+  }
+
+  return new RegExp(`^${regex}$`);
+}
+
+// Check whether a path matches a glob pattern:
+// - patterns starting with / are matched against the absolute path
+// - patterns without a / are matched against the file name at any depth
+// - anything else is matched against the path relative to the source directory
+// A trailing /** also matches the directory itself, so "cache/**" skips the whole directory
+function matchesGlob(pattern, absolutePath, relativePath) {
+  const candidates = [pattern];
+  if (pattern.endsWith('/**')) candidates.push(pattern.slice(0, -3));
+
+  return candidates.some(candidate => {
+    const regex = globToRegExp(candidate);
+    if (candidate.startsWith('/')) return regex.test(absolutePath);
+    if (!candidate.includes('/')) return regex.test(path.basename(relativePath));
+    return regex.test(relativePath);
+  });
+}
+
+module.exports = {
+  globToRegExp,
+  matchesGlob,
+};
@@ -0,0 +1,188 @@
+const path = require('path');
+const { BackupError, killCommand, runCommand, spawnCommand } = require('./module-api');
+
+// Hooks run around backups: `pre` before, `post` after a success and `onFailure` after a failure, for the
+// whole run (top-level `hooks`) or one module (`modules.<id>.hooks`). A hook is a shell command, or a
+// JavaScript file exporting `async function (context)`. The context (stage, module, backup, error or run
+// report) is passed as JSON on stdin and as BACKUP_* environment variables; output is logged line by line.
+
+// Seconds a hook may run before it is stopped
+const DEFAULT_TIMEOUT = 300;
+// Output lines of a run hook kept in the report
+const OUTPUT_LINES = 20;
+// Seconds between SIGTERM and SIGKILL for a hook that timed out
+const KILL_GRACE = 5;
+// Milliseconds between checks whether a stopped hook's process group is gone
+const GROUP_POLL_INTERVAL = 100;
+
+// Helper function to turn a hook from the config into { name, command, script, timeout, continueOnError }
+function normalizeHook(hook) {
+  const spec = typeof hook === 'string' ? { command: hook } : hook;
+  return {
+    name: spec.name || spec.command || path.basename(spec.script),
+    command: spec.command,
+    script: spec.script,
+    timeout: spec.timeout || DEFAULT_TIMEOUT,
+    continueOnError: Boolean(spec.continueOnError),
+  };
+}
+
+// Helper function to build the BACKUP_* environment variables of a hook from its context
+function hookEnv(context) {
+  const env = {
+    BACKUP_HOOK: context.stage,
+    BACKUP_SCOPE: context.scope,
+    BACKUP_ACTION: context.action,
+    BACKUP_ROOT_DIR: context.backupRootDir,
+  };
+  if (context.module) {
+    env.BACKUP_MODULE = context.module.id;
+    env.BACKUP_MODULE_NAME = context.module.name;
+    env.BACKUP_DIR = context.module.backupDir;
+  }
+  if (context.modules) env.BACKUP_MODULES = context.modules.join(',');
+  if (context.backup) {
+    env.BACKUP_ID = context.backup.id;
+    env.BACKUP_LOCATION = context.backup.path;
+  }
+  if (context.error) {
+    env.BACKUP_ERROR = context.error.message;
+    env.BACKUP_ERROR_CODE = context.error.code;
+  }
+  if (context.report) env.BACKUP_STATUS = context.report.status;
+  return env;
+}
+
+// Helper function to pass output to `line` one complete line at a time, returns a function that flushes the rest
+function splitLines(streamOut, line) {
+  let buffer = '';
+  streamOut.on('data', chunk => {
+    buffer += chunk;
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    lines.filter(text => text.trim()).forEach(text => line(text.trimEnd()));
+  });
+  return () => {
+    if (buffer.trim()) line(buffer.trimEnd());
+    buffer = '';
+  };
+}
+
+// Helper function to check whether any process of a hook's process group is still running
+function groupRunning(child) {
+  try {
+    process.kill(-child.pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+// Helper function to run a shell hook (sh -c in the config file's directory) with the context on stdin
+// It runs in its own process group, so a timeout also stops what it started (e.g. `sleep 20; echo done`).
+// A daemon shutdown doesn't stop it: post and onFailure hooks still run for the backups it fails.
+async function runShellHook(hook, context, line, cwd) {
+  const { child, done } = spawnCommand(hook.command, {
+    stdio: ['pipe', 'pipe', 'pipe'],
+    env: { ...process.env, ...hookEnv(context) },
+    cwd,
+    detached: true,
+    abortable: false,
+  });
+  child.stdin.on('error', () => {}); // The hook doesn't have to read its input
+  child.stdin.end(JSON.stringify(context));
+  const flushOut = splitLines(child.stdout, line);
+  const flushErr = splitLines(child.stderr, line);
+
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    killCommand(child, 'SIGTERM');
+    // SIGKILL whatever is left after the grace period, but stop watching once the whole group is gone: its id
+    // may be reused by then
+    const deadline = Date.now() + KILL_GRACE * 1000;
+    const watch = setInterval(() => {
+      if (!groupRunning(child)) {
+        clearInterval(watch);
+      } else if (Date.now() >= deadline) {
+        clearInterval(watch);
+        killCommand(child, 'SIGKILL');
+      }
+    }, GROUP_POLL_INTERVAL);
+    watch.unref();
+  }, hook.timeout * 1000);
+  try {
+    await done;
+  } catch (error) {
+    if (timedOut) throw new BackupError(`timed out after ${hook.timeout}s`, 'HOOK_TIMEOUT');
+    // The message ends with the hook's stderr, which was already logged
+    throw new BackupError(error.message.split('\n')[0], 'HOOK_FAILED');
+  } finally {
+    clearTimeout(timer);
+    flushOut();
+    flushErr();
+  }
+}
+
+// Helper function to run a JavaScript hook: the file exports an async function that gets the context plus
+// log(message) and runCommand (see lib/module-api.js), and throws to fail
+async function runScriptHook(hook, context, line, cwd) {
+  const exported = require(path.resolve(cwd, hook.script));
+  const handler = typeof exported === 'function' ? exported : exported.default;
+  if (typeof handler !== 'function') {
+    throw new BackupError(`${hook.script} does not export a function`, 'HOOK_FAILED');
+  }
+
+  // A function can't be stopped from outside: after the timeout the run goes on without it
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new BackupError(`timed out after ${hook.timeout}s`, 'HOOK_TIMEOUT')), hook.timeout * 1000);
+  });
+  try {
+    const run = (command, options) => runCommand(command, { abortable: false, ...options });
+    await Promise.race([Promise.resolve().then(() => handler({ ...context, log: line, runCommand: run })), timeout]);
+  } catch (error) {
+    if (error instanceof BackupError && error.code === 'HOOK_TIMEOUT') throw error;
+    throw new BackupError(error.message, 'HOOK_FAILED');
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Run the hooks of a stage one after another. Output lines go to log, failures of hooks with continueOnError
+// to warn. Resolves with an outcome per hook ({ name, stage, success, error, durationSeconds, output });
+// a failing hook without continueOnError stops the stage and is thrown as a BackupError (HOOK_FAILED or
+// HOOK_TIMEOUT) with the outcomes so far in `outcomes`.
+async function runHooks(hooks, stage, context, { log, warn, cwd }) {
+  const outcomes = [];
+  for (const hook of (hooks || []).map(normalizeHook)) {
+    const output = [];
+    const line = text => {
+      output.push(text);
+      log(`[${stage} hook ${hook.name}] ${text}`);
+    };
+    const startedAt = Date.now();
+    const outcome = { name: hook.name, stage, success: true, error: null, durationSeconds: 0, output };
+    outcomes.push(outcome);
+
+    log(`Running ${stage} hook: ${hook.name}`);
+    try {
+      await (hook.script ? runScriptHook(hook, context, line, cwd) : runShellHook(hook, context, line, cwd));
+    } catch (error) {
+      outcome.success = false;
+      outcome.error = { code: error.code || 'HOOK_FAILED', message: error.message };
+      if (!hook.continueOnError) {
+        throw new BackupError(`The ${stage} hook ${hook.name} failed: ${error.message}`, outcome.error.code, { outcomes });
+      }
+      warn(`The ${stage} hook ${hook.name} failed: ${error.message}`);
+    } finally {
+      outcome.durationSeconds = (Date.now() - startedAt) / 1000;
+      outcome.output = output.slice(-OUTPUT_LINES);
+    }
+  }
+  return outcomes;
+}
+
+module.exports = {
+  runHooks,
+};
@@ -0,0 +1,84 @@
+const fs = require('fs');
+const path = require('path');
+
+// Lock files keep two processes from working on the same backups at once (e.g. a manual run while the
+// daemon's run is in progress, which would also overwrite each other's catalog changes). A lock file
+// holds the pid of its owner; a lock whose process no longer exists is stale and taken over.
+
+// Locks held by this process (by file), e.g. a dashboard run while the daemon in the same process wants to start one
+const heldLocks = new Map();
+
+class LockError extends Error {
+  constructor(message, holder) {
+    super(message);
+    this.name = 'LockError';
+    this.holder = holder;
+  }
+}
+
+// Helper function to check whether a process is still running
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM'; // Running, but owned by another user
+  }
+}
+
+// Owner of a lock file ({ pid, purpose, since }), or null if the lock is free or stale
+function readLock(file) {
+  let holder;
+  try {
+    holder = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    return null; // Missing, or half-written by a process that crashed
+  }
+  // A lock with this process's own pid was left by an earlier process (e.g. pid 1 in a container)
+  return holder.pid !== process.pid && isRunning(holder.pid) ? holder : null;
+}
+
+// Take a lock for this process, returns a function that releases it
+// Throws a LockError naming the holder if another running process has it
+function acquireLock(file, purpose) {
+  if (heldLocks.has(file)) {
+    const current = heldLocks.get(file);
+    throw new LockError(`${file} is held by this process (${current.purpose}, since ${current.since})`, current);
+  }
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const holder = { pid: process.pid, purpose, since: new Date().toISOString() };
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      fs.writeFileSync(file, `${JSON.stringify(holder)}\n`, { flag: 'wx' });
+      heldLocks.set(file, holder);
+      let released = false;
+      return () => {
+        if (released) return;
+        released = true;
+        heldLocks.delete(file);
+        fs.rmSync(file, { force: true });
+      };
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+      const current = readLock(file);
+      if (current) {
+        throw new LockError(`${file} is held by process ${current.pid} (${current.purpose}, since ${current.since})`, current);
+      }
+      fs.rmSync(file, { force: true }); // Stale: its process is gone
+    }
+  }
+  throw new LockError(`Could not take the lock ${file}`, null);
+}
+
+// Path of the lock file taken by backup, verify and prune runs (daemon.lockFile, or one in backupRootDir)
+function runLockPath(config) {
+  return path.resolve(config.daemon.lockFile || path.join(config.backupRootDir, '.backup.lock'));
+}
+
+module.exports = {
+  LockError,
+  acquireLock,
+  readLock,
+  runLockPath,
+};
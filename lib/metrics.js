@@ -0,0 +1,169 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+// Prometheus metrics for alerting on stale, failing or shrinking backups, written as a node_exporter
+// textfile collector file after every run and served on /metrics in daemon mode.
+// Values that describe the backups themselves (last success, size, count) come from the catalog; what only
+// a run knows (failures, duration) is kept in a small state file next to the catalog, since every cron run
+// is a new process.
+
+// Helper function to get the path of the state file (in backupRootDir, like the catalog)
+function metricsStatePath(config) {
+  return path.resolve(config.backupRootDir, '.backup-metrics.json');
+}
+
+// Read the state of every module ({ modules: { <id>: {...} } }), empty if there is none yet
+function readMetricsState(config) {
+  try {
+    return JSON.parse(fs.readFileSync(metricsStatePath(config), 'utf8'));
+  } catch (error) {
+    return { modules: {} };
+  }
+}
+
+// Helper function to write a file atomically (node_exporter may read it at any time)
+function writeFileAtomic(file, content) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tempFile = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tempFile, content);
+  fs.renameSync(tempFile, file);
+}
+
+// Add a run report (see lib/report.js) to the state file, returns the new state
+function recordRunMetrics(config, report) {
+  const state = readMetricsState(config);
+  const time = Date.parse(report.finishedAt) / 1000;
+
+  for (const module of report.modules) {
+    const entry = state.modules[module.id] || { runs: 0, failures: 0, consecutiveFailures: 0 };
+    const failed = module.status === 'failure';
+    if (report.action === 'verify') {
+      entry.lastVerifyTime = time;
+      entry.lastVerifySuccess = !failed;
+    } else {
+      entry.runs++;
+      entry.failures += failed ? 1 : 0;
+      entry.consecutiveFailures = failed ? entry.consecutiveFailures + 1 : 0;
+      entry.lastRunTime = time;
+      entry.lastRunSuccess = !failed;
+      entry.lastRunDuration = module.durationSeconds;
+      entry.lastRunWarnings = module.warnings.length;
+    }
+    state.modules[module.id] = entry;
+  }
+
+  writeFileAtomic(metricsStatePath(config), `${JSON.stringify(state, null, 2)}\n`);
+  return state;
+}
+
+// Helper function to escape a label value
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+// Metrics in the Prometheus text format, for the given modules (by id) and state
+function renderMetrics(modules, state) {
+  const families = [
+    ['backup_last_success_timestamp_seconds', 'gauge', 'When the newest backup in the catalog finished'],
+    ['backup_last_size_bytes', 'gauge', 'Size of the newest backup in the catalog (its artifacts on disk)'],
+    ['backup_count', 'gauge', 'Backups in the catalog'],
+    ['backup_catalog_size_bytes', 'gauge', 'Size of all backups in the catalog'],
+    ['backup_last_run_timestamp_seconds', 'gauge', 'When the last backup run of the module finished'],
+    ['backup_last_run_success', 'gauge', 'Whether the last backup run succeeded (1) or failed (0)'],
+    ['backup_last_run_duration_seconds', 'gauge', 'How long the last backup run took'],
+    ['backup_last_run_warnings', 'gauge', 'Warnings of the last backup run'],
+    ['backup_runs_total', 'counter', 'Backup runs'],
+    ['backup_failures_total', 'counter', 'Backup runs that failed'],
+    ['backup_consecutive_failures', 'gauge', 'Backup runs that failed since the last one that succeeded'],
+    ['backup_last_verify_timestamp_seconds', 'gauge', 'When the backups were last verified'],
+    ['backup_last_verify_success', 'gauge', 'Whether the last verification found every backup intact (1) or not (0)'],
+    ['backup_enabled', 'gauge', 'Whether the module is enabled for --all runs and the daemon'],
+  ];
+  const samples = Object.fromEntries(families.map(([name]) => [name, []]));
+  const add = (name, module, value) => {
+    if (value === undefined || value === null || Number.isNaN(value)) return;
+    samples[name].push(`${name}{module="${escapeLabel(module.id)}"} ${typeof value === 'boolean' ? Number(value) : value}`);
+  };
+
+  for (const module of Object.values(modules)) {
+    const backups = module.listBackups();
+    const entry = state.modules[module.id] || {};
+    const newest = backups[0];
+
+    if (newest) {
+      add('backup_last_success_timestamp_seconds', module, Date.parse(newest.finishedAt || newest.startedAt) / 1000);
+      add('backup_last_size_bytes', module, newest.totalBytes);
+    }
+    add('backup_count', module, backups.length);
+    add('backup_catalog_size_bytes', module, backups.reduce((sum, backup) => sum + backup.totalBytes, 0));
+    add('backup_last_run_timestamp_seconds', module, entry.lastRunTime);
+    add('backup_last_run_success', module, entry.lastRunSuccess);
+    add('backup_last_run_duration_seconds', module, entry.lastRunDuration);
+    add('backup_last_run_warnings', module, entry.lastRunWarnings);
+    add('backup_runs_total', module, entry.runs || 0);
+    add('backup_failures_total', module, entry.failures || 0);
+    add('backup_consecutive_failures', module, entry.consecutiveFailures || 0);
+    add('backup_last_verify_timestamp_seconds', module, entry.lastVerifyTime);
+    add('backup_last_verify_success', module, entry.lastVerifySuccess);
+    add('backup_enabled', module, module.options.enabled);
+  }
+
+  return families
+    .filter(([name]) => samples[name].length)
+    .map(([name, type, help]) => [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...samples[name]].join('\n'))
+    .join('\n') + '\n';
+}
+
+// Write the metrics to the textfile collector file (metrics.textfile), if one is configured
+function writeMetricsTextfile(config, modules, state = readMetricsState(config)) {
+  if (!config.metrics.textfile) return null;
+  const file = path.resolve(config.metrics.textfile);
+  writeFileAtomic(file, renderMetrics(modules, state));
+  return file;
+}
+
+// Helper function to split a listen address (9465, :9465 or 127.0.0.1:9465) into host and port
+function parseListenAddress(address) {
+  const match = String(address).match(/^(?:(.*):)?(\d+)$/);
+  return { host: (match[1] || '127.0.0.1').replace(/^\[|\]$/g, ''), port: Number(match[2]) };
+}
+
+// Serve GET /metrics (read fresh from the catalog and state file on every scrape) on metrics.listen
+// Resolves with the server once it listens.
+function startMetricsServer(config, modules) {
+  const { host, port } = parseListenAddress(config.metrics.listen);
+  const server = http.createServer((req, res) => {
+    if (req.method !== 'GET' || req.url.split('?')[0] !== '/metrics') {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found, metrics are on /metrics\n');
+      return;
+    }
+    try {
+      // Manual runs, prune and other processes change the catalog on disk
+      for (const catalog of new Set(Object.values(modules).map(module => module.catalog))) {
+        catalog.reload();
+      }
+      const body = renderMetrics(modules, readMetricsState(config));
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+      res.end(body);
+    } catch (error) {
+      res.writeHead(500, { 'Content-Type': 'text/plain' });
+      res.end(`${error.message}\n`);
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', error => reject(new Error(`Could not serve metrics on ${host}:${port}: ${error.message}`)));
+    server.listen(port, host, () => resolve(server));
+  });
+}
+
+module.exports = {
+  parseListenAddress,
+  readMetricsState,
+  recordRunMetrics,
+  renderMetrics,
+  startMetricsServer,
+  writeMetricsTextfile,
+};
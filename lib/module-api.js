@@ -0,0 +1,725 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const stream = require('stream');
+const { exec, spawn } = require('child_process');
+const util = require('util');
+const colors = require('./colors');
+const { globToRegExp } = require('./glob');
+const { listFiles, openCatalog, sha256File } = require('./catalog');
+const { compressionExtension, compressionOf, compressionTestCommand, createCompressStream, createCompressionStats, decompressCommand, describeCompression, resolveCompression, stripCompressionExtension } = require('./compression');
+const { createEncryptStream, decryptCommand, encryptFile, encryptionMethodOf, encryptionSuffix, isEnabled, stripEncryptionSuffix } = require('./encryption');
+const { applyRetention, describePolicy, parseDuration, resolvePolicy } = require('./retention');
+const { createLimiter, runTasks, sharedTaskLimiter } = require('./scheduler');
+const { shellQuote } = require('./shell');
+const { formatRate, formatSize, parseSize } = require('./size');
+
+const execPromise = util.promisify(exec);
+const pipelinePromise = util.promisify(stream.pipeline);
+
+// An error with a code for the run report (see lib/report.js), such as COMMAND_FAILED or UPLOAD_FAILED
+class BackupError extends Error {
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'BackupError';
+    this.code = code;
+    Object.assign(this, details);
+  }
+}
+
+// Run a shell pipeline that fails if any of its commands fails (e.g. decryption in `age -d | tar -x`)
+function execPipeline(command, options = {}) {
+  return execPromise(`set -o pipefail; ${command}`, { shell: '/bin/bash', maxBuffer: 64 * 1024 * 1024, ...options });
+}
+
+// Commands started by spawnCommand that are still running, so abortCommands can stop them
+const runningCommands = new Set();
+// Commands started in their own process group (detached), stopped with everything they started
+const detachedCommands = new WeakSet();
+let aborted = false;
+// How long the output of a detached command is still read after it exited (processes it left running in the
+// background may keep the pipes open forever)
+const PIPE_GRACE = 1000;
+
+// Stop a command started by spawnCommand, with its whole process group if it was started detached
+function killCommand(child, signal = 'SIGTERM') {
+  try {
+    if (detachedCommands.has(child)) {
+      process.kill(-child.pid, signal);
+    } else {
+      child.kill(signal);
+    }
+  } catch (error) {
+    // Already gone
+  }
+}
+
+// Stop every running command (their runs fail and clean up as on any other error) and refuse to start
+// new ones, for the daemon's shutdown
+function abortCommands() {
+  aborted = true;
+  for (const child of runningCommands) {
+    killCommand(child, 'SIGTERM');
+  }
+}
+
+// Helper function to start a command without a shell: an argument array (['tar', '-cf', '-', dir]) is
+// passed to the program as is, so paths with quotes or spaces need no escaping. A string still runs
+// through sh -c (for commands users write in the config file).
+// With detached, the command gets its own process group (see killCommand) and is done once it exited, even if
+// something it started in the background still holds its output open. With abortable: false, abortCommands
+// neither stops nor refuses it (for hooks, which still have to run when a shutdown fails the backup).
+function spawnCommand(command, { sudo = false, stdio = ['ignore', 'pipe', 'pipe'], env, cwd, detached = false, abortable = true } = {}) {
+  const argv = Array.isArray(command) ? command : ['sh', '-c', command];
+  const [program, ...args] = sudo ? ['sudo', ...argv] : argv;
+  if (aborted && abortable) {
+    throw new BackupError(`Backup aborted, not running ${argv[0]}`, 'ABORTED');
+  }
+  const child = spawn(program, args, { stdio, env, cwd, detached });
+  if (detached) {
+    detachedCommands.add(child);
+    // 'close' waits for the pipes: after a moment to read the rest of the output, close them
+    child.on('exit', () => {
+      setTimeout(() => {
+        for (const pipe of [child.stdin, child.stdout, child.stderr]) {
+          if (pipe) pipe.destroy();
+        }
+      }, PIPE_GRACE).unref();
+    });
+  }
+  const display = Array.isArray(command) ? argv.join(' ') : command;
+  if (abortable) runningCommands.add(child);
+
+  // Only the end of stderr is kept, verbose tools (tar -v, mariadb-backup) can print a lot
+  let stderr = '';
+  if (child.stderr) {
+    child.stderr.on('data', chunk => {
+      stderr = (stderr + chunk).slice(-4096);
+    });
+  }
+  const done = new Promise((resolve, reject) => {
+    child.on('error', error => {
+      runningCommands.delete(child);
+      reject(new BackupError(`Could not run ${argv[0]}: ${error.message}`, error.code === 'ENOENT' ? 'COMMAND_NOT_FOUND' : 'COMMAND_ERROR'));
+    });
+    child.on('close', (code, signal) => {
+      runningCommands.delete(child);
+      if (code === 0) resolve();
+      else reject(new BackupError(
+        `Command ${signal ? `was stopped by ${signal}` : `exited with code ${code}`}: ${display}${stderr.trim() ? `\n${stderr.trim()}` : ''}`,
+        signal ? (aborted && abortable ? 'ABORTED' : 'COMMAND_KILLED') : 'COMMAND_FAILED',
+        { exitCode: code, signal }
+      ));
+    });
+  });
+  return { child, done };
+}
+
+// Helper function to run a command (see spawnCommand) to completion, returns its stdout
+// Meant for commands with little output: stdout is collected, stderr is only kept for the error message
+async function runCommand(command, options = {}) {
+  const { child, done } = spawnCommand(command, options);
+  let stdout = '';
+  child.stdout.on('data', chunk => {
+    stdout += chunk;
+  });
+  await done;
+  return { stdout };
+}
+
+/*
+ * Backup module interface
+ *
+ * A backup module is a plain object (or a function `(api) => object` that receives this file's
+ * exports) with the following fields:
+ *
+ *   id              Unique key used on the command line and under `modules.<id>` in the config.
+ *                   Defaults to the plugin's file or package name.
+ *   name            Display name used in logs and notifications (required).
+ *   iconUrl, color  Icon and embed color used for notifications (optional).
+ *   backupDirName   Directory inside `backupRootDir` the module writes to (default `<id>_backups`).
+ *   backupPattern   Glob matching the backups in that directory, e.g. `redis_backup_*.rdb.gz`.
+ *                   Only used to import backups made before the catalog existed.
+ *   defaults        Default options, merged with `modules.<id>` from the config file.
+ *   optionsSchema   Schema for the module's own options (same format as lib/config.js), so typos
+ *                   in the config file are caught before anything runs.
+ *   validate(options)                    Optional. Checks that need more than the schema (e.g. options
+ *                                        that can't be combined), returns a list of problems.
+ *
+ *   run(ctx)                             Creates a backup. Throws on failure (a BackupError gives the
+ *                                        failure a code for the run report, e.g. 'NOTHING_BACKED_UP'). Returns
+ *                                        `{ artifacts, location, source, originalSize, compressedSize }`:
+ *                                        the files/directories it wrote (recorded with checksums in the
+ *                                        catalog), the file or directory that identifies the backup
+ *                                        (defaults to the first artifact) and a description of what was
+ *                                        backed up. Without `artifacts`, every file in the backup
+ *                                        directory written during the run is recorded. Optionally
+ *                                        `parent` (id of the backup this one depends on, retention keeps
+ *                                        it as long as this one is kept) and `metadata` (stored as is).
+ *   scanBackups(ctx)                     Optional. Returns paths of existing backups on disk, newest
+ *                                        first, for `catalog import` (defaults to `backupPattern`).
+ *   cleanup(ctx)                         Optional. Removes old backups, returns `{ removed }`.
+ *                                        By default the module's retention policy is applied to its
+ *                                        catalog entries (`retention` option, or the newest `maxBackups`).
+ *   restore(ctx, backup, options)        Optional. Receives a catalog entry and returns a restore plan:
+ *                                        `{ title, overwrites: [], notes: [], steps: [{ description, command, rollback }] }`.
+ *                                        Commands are shell strings: put paths and names in them with
+ *                                        shellQuote().
+ *   collectGarbage(ctx)                  Optional. Runs after retention removed backups, to free storage
+ *                                        they shared with others (e.g. unreferenced chunks). Returns
+ *                                        `{ removed, freedBytes }`.
+ *   repository(ctx)                      Optional. The deduplicating repository (lib/chunk-store.js) the
+ *                                        module stores snapshots in, or null. Enables the `snapshots` and
+ *                                        `extract` commands.
+ *   verify(ctx, backup, options)         Optional. Extra checks that a backup is usable, throws if not.
+ *                                        Runs after every file was checked against its catalog checksum
+ *                                        and compressed files and archives were test-read.
+ *
+ * The context passed to every function contains:
+ *
+ *   ctx.id, ctx.name      Module id and display name
+ *   ctx.options           Module options (defaults merged with the config file)
+ *   ctx.config            The full configuration
+ *   ctx.backupDir         Directory the module stores its backups in
+ *   ctx.catalog           The backup catalog (lib/catalog.js)
+ *   ctx.destinations      Remote destinations the module uploads to (lib/destinations)
+ *   ctx.allDestinations   Every configured destination by name (to clean up older remote copies)
+ *   ctx.encryption        Encryption options (null if disabled). Pass them to streamCommandToFile or
+ *                         createTarArchive, and use decryptCommand(file, ctx.encryption) in restore plans
+ *   ctx.compression       Compression options ({ algorithm, level, threads }, see lib/compression.js). Pass
+ *                         them to streamCommandToFile or createTarArchive (with ctx.compressionStats, for
+ *                         the run's compression report), and use decompressCommand in restore plans
+ *   ctx.date              Date of the run as YYYY-MM-DD, used in backup names
+ *   ctx.logs              Log lines collected for notifications
+ *   ctx.warnings          Messages logged with ctx.warn, listed separately in the run result and notifications
+ *   ctx.skipped           Items recorded with ctx.skip, as { item, reason }
+ *   ctx.log(message)      Log a step (also ctx.success, ctx.warn, ctx.error)
+ *   ctx.skip(item, reason, message)
+ *                         Record that part of the backup was left out (e.g. one server of several) and warn
+ *                         with `message` (default "<item> was NOT backed up: <reason>.")
+ *   ctx.exec(command)     Promisified child_process.exec. For commands that take paths, or print a lot,
+ *                         prefer runCommand / streamCommandToFile with an argument array
+ *   ctx.runTasks(items, worker)
+ *                         Call `await worker(item, index)` for every item, several at a time (the module's
+ *                         `concurrency` option, and `concurrency.tasks` over all modules), for work that can
+ *                         run side by side such as one archive per volume. Returns the results in order;
+ *                         if a worker throws, no further items start and the error is thrown once the
+ *                         running ones finished. Workers must not call ctx.runTasks themselves.
+ *
+ * Catalog entries passed to restore/verify have `id`, `files` (paths relative to backupRootDir with
+ * `bytes` and `sha256`), `location`, `parent`, `metadata` and the absolute `path` and base `name` of
+ * that location.
+ */
+
+// Helper function to create a directory if it doesn't exist
+function ensureDir(dir) {
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+}
+
+// Helper function to get directories
+function getDirectories(source) {
+  return fs.readdirSync(source, { withFileTypes: true })
+    .filter(dirent => dirent.isDirectory())
+    .map(dirent => dirent.name);
+}
+
+// Helper function to list backups in a directory matching a pattern, newest first
+function listBackupsByPattern(backupDir, pattern) {
+  if (!fs.existsSync(backupDir)) return [];
+
+  const regex = globToRegExp(pattern);
+  return fs.readdirSync(backupDir)
+    .filter(file => regex.test(stripEncryptionSuffix(file))) // Encrypted backups match the same pattern
+    .sort((a, b) => {
+      const statA = fs.statSync(path.join(backupDir, a));
+      const statB = fs.statSync(path.join(backupDir, b));
+      return statB.mtime.getTime() - statA.mtime.getTime(); // Sort by date, newest first
+    });
+}
+
+// Helper function to get the human-readable size of a file or directory (du -sh)
+async function diskUsage(target, { sudo = false } = {}) {
+  const { stdout } = await runCommand(['du', '-sh', target], { sudo });
+  return stdout.split('\t')[0].trim();
+}
+
+// Helper function to add up the sizes of the files below a path (symlinks are not followed)
+function directorySize(target) {
+  let bytes = 0;
+  const pending = [target];
+  while (pending.length) {
+    const current = pending.pop();
+    const stat = fs.lstatSync(current);
+    if (stat.isDirectory()) {
+      for (const name of fs.readdirSync(current)) pending.push(path.join(current, name));
+    } else if (stat.isFile()) {
+      bytes += stat.size;
+    }
+  }
+  return bytes;
+}
+
+// Helper function to archive a directory into a tar file, compressed and encrypted as configured
+// (file is the name without the compression extension, e.g. backup.tar)
+// Returns the path of the written file and the sizes before (of the tar stream) and after
+async function createTarArchive({ source, file, sudo = false, compression = {}, stats = null, encryption = null }) {
+  const result = await streamCommandToFile({
+    command: ['tar', '-cf', '-', '-C', path.dirname(source), path.basename(source)],
+    sudo,
+    file,
+    compression,
+    stats,
+    encryption,
+  });
+  return { ...result, originalSize: formatSize(result.originalBytes), compressedSize: formatSize(result.compressedBytes) };
+}
+
+// Helper function to remove what an earlier run of the same day wrote next to a file under another compression
+// or encryption (e.g. <uuid>.tar.gz next to a new <uuid>.tar.zst), for modules that write a directory per run:
+// the new backup replaces the old one in the catalog, and its restore should only find the new files
+function removeStaleCopies(file) {
+  const dir = path.dirname(file);
+  for (const name of fs.readdirSync(dir)) {
+    const other = path.join(dir, name);
+    if (other !== file && stripCompressionExtension(other) === stripCompressionExtension(file)) {
+      fs.rmSync(other, { recursive: true, force: true });
+    }
+  }
+}
+
+// Helper function to create a pass-through stream that counts the bytes flowing through it
+// (and hashes them, with a hash from crypto.createHash)
+function byteCounter(hash = null) {
+  const counter = new stream.Transform({
+    transform(chunk, encoding, callback) {
+      counter.bytes += chunk.length;
+      if (hash) hash.update(chunk);
+      callback(null, chunk);
+    },
+  });
+  counter.bytes = 0;
+  return counter;
+}
+
+// Checksums of the files streamCommandToFile wrote, so recording them in the catalog doesn't read them again
+const writtenFiles = new Map();
+
+// Helper function to get the SHA-256 computed while a file was written (null if it wasn't, or changed since)
+function writtenChecksum(filePath) {
+  const written = writtenFiles.get(filePath);
+  if (!written) return null;
+  writtenFiles.delete(filePath);
+  const stat = fs.statSync(filePath);
+  return stat.size === written.bytes && stat.mtimeMs === written.mtimeMs ? written.sha256 : null;
+}
+
+// Helper function to run a command (an argument array, or a shell string, see spawnCommand) and write its
+// stdout, compressed and encrypted (if encryption is enabled), to a file. Plaintext never reaches the file.
+// With compression options ({ algorithm, level, threads }) the codec's extension is added to file; without
+// them the output is gzip-compressed at `level` (not at all with compress: false) and file is used as given.
+// The bytes are counted and hashed as they flow, so no du or second read is needed. Returns the path of the
+// written file (with the extensions), the exact byte counts, the SHA-256 of the file and how long it took;
+// the sizes and time are also added to stats (see createCompressionStats) if given.
+async function streamCommandToFile({ command, file, compression = null, level = 6, compress = true, stats = null, encryption = null, sudo = false }) {
+  const codec = compression
+    ? resolveCompression(compression)
+    : { algorithm: compress ? 'gzip' : 'none', level, threads: 1 };
+  const outputFile = `${file}${compression ? compressionExtension(codec) : ''}${encryptionSuffix(encryption)}`;
+  const startedAt = Date.now();
+  const hash = crypto.createHash('sha256');
+  const original = byteCounter();
+  const written = byteCounter(hash);
+
+  const { child, done } = spawnCommand(command, { sudo });
+  const compressor = createCompressStream(codec);
+  const encrypter = createEncryptStream(encryption);
+  const stages = [
+    child.stdout,
+    original,
+    ...(compressor ? [compressor.stream] : []),
+    ...(encrypter ? [encrypter.stream] : []),
+    written,
+    fs.createWriteStream(outputFile),
+  ];
+
+  // If writing fails (e.g. the disk is full) the command would be left blocked on a full pipe, so it's
+  // stopped and waited for through done below
+  let writeError = null;
+  const piped = pipelinePromise(...stages).catch(error => {
+    writeError = error;
+    killCommand(child);
+  });
+
+  try {
+    await Promise.all([
+      piped,
+      done,
+      compressor ? compressor.done : null,
+      encrypter ? encrypter.done : null,
+    ]);
+    if (writeError) throw writeError;
+  } catch (error) {
+    // Don't leave a truncated file behind that looks like a valid backup
+    fs.rmSync(outputFile, { force: true });
+    throw writeError || error;
+  }
+
+  const sha256 = hash.digest('hex');
+  const seconds = (Date.now() - startedAt) / 1000;
+  writtenFiles.set(outputFile, { bytes: written.bytes, mtimeMs: fs.statSync(outputFile).mtimeMs, sha256 });
+  if (stats && codec.algorithm !== 'none') {
+    stats.files++;
+    stats.originalBytes += original.bytes;
+    stats.compressedBytes += written.bytes;
+    stats.seconds += seconds;
+    const description = describeCompression(codec);
+    if (!stats.codecs.includes(description)) stats.codecs.push(description);
+  }
+  return {
+    file: outputFile,
+    originalBytes: original.bytes,
+    compressedBytes: written.bytes,
+    sha256,
+    seconds,
+  };
+}
+
+// Helper function to encrypt artifacts a module wrote as plaintext (e.g. plugins that don't use
+// streamCommandToFile), returns the artifact list with the encrypted file names
+async function encryptArtifacts(ctx, artifacts) {
+  const encrypted = [];
+  for (const artifact of artifacts) {
+    const files = listFiles(artifact).filter(file => !encryptionMethodOf(file));
+    for (const file of files) {
+      ctx.warn(`${path.basename(file)} was written unencrypted, encrypting it now.`);
+      const encryptedFile = await encryptFile(file, ctx.encryption);
+      if (file === artifact) artifact = encryptedFile;
+    }
+    encrypted.push(artifact);
+  }
+  return encrypted;
+}
+
+// Helper function to upload a backup to the module's remote destinations and record the copies
+// Returns the copies that were uploaded and the errors of those that failed
+async function uploadBackup(ctx, backup) {
+  const copies = [];
+  const errors = [];
+
+  for (const destination of ctx.destinations) {
+    ctx.log(`Uploading ${backup.id} to ${destination.name} (${destination.description})...`);
+    try {
+      const copy = await destination.upload(ctx, backup, { remotePrefix: ctx.options.remotePrefix });
+      const remote = { ...backup.remote, [destination.name]: { ...copy, uploadedAt: new Date().toISOString() } };
+      backup = ctx.catalog.update(backup.id, { remote });
+      copies.push({ destination: destination.name, location: copy.location });
+      ctx.success(`Uploaded ${backup.id} to ${copy.location}`);
+    } catch (error) {
+      errors.push(`${destination.name}: ${error.message}`);
+      ctx.error(`Upload of ${backup.id} to ${destination.name} failed: ${error.message}`);
+    }
+  }
+
+  return { copies, errors };
+}
+
+// Helper function to delete a backup everywhere: its remote copies first, then the local files and catalog entry
+async function removeBackup(ctx, backup) {
+  for (const [name, copy] of Object.entries(backup.remote || {})) {
+    // Look the destination up by name, it may have been removed from this module's list since
+    const destination = ctx.allDestinations[name];
+    if (!destination) {
+      ctx.warn(`Destination '${name}' is no longer configured, leaving ${copy.location} in place.`);
+      continue;
+    }
+    await destination.remove(copy, { remotePrefix: ctx.options.remotePrefix });
+  }
+  ctx.catalog.remove(backup.id);
+}
+
+// Default cleanup: delete the backups the retention policy doesn't keep (see lib/retention.js)
+async function cleanupByRetention(ctx, decisions) {
+  const expired = decisions.filter(decision => !decision.keep);
+  if (expired.length === 0) {
+    return { removed: 0 };
+  }
+
+  console.log(`${colors.cyan}Cleaning up old ${ctx.name} backups (keeping ${describePolicy(resolvePolicy(ctx.options))})...${colors.reset}`);
+
+  let removed = 0;
+  for (const { backup, reasons } of expired) {
+    try {
+      await removeBackup(ctx, backup);
+      console.log(`Removed ${backup.id} (${reasons.join(', ')})`);
+      removed++;
+    } catch (error) {
+      ctx.error(`Failed to remove old backup ${backup.id}: ${error.message}`);
+    }
+  }
+
+  console.log(`${colors.green}Removed ${removed} old backup(s).${colors.reset}`);
+  return { removed };
+}
+
+// Helper function to find the files in a directory written since a point in time
+function findFilesWrittenSince(dir, since) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) return findFilesWrittenSince(entryPath, since);
+    return fs.statSync(entryPath).mtimeMs >= since.getTime() - 1000 ? [entryPath] : [];
+  });
+}
+
+// Helper function to build the command that test-reads a compressed file or archive (null if there is none)
+// Encrypted files are decrypted on the fly, which also proves that they can be decrypted
+// (the codec is detected from the extension: .gz, .zst, .xz or .tgz, see lib/compression.js)
+function archiveTestCommand(filePath, encryption) {
+  const checks = [compressionTestCommand(filePath, encryption)];
+  if (stripCompressionExtension(filePath).endsWith('.tar')) {
+    checks.push(`${decompressCommand(filePath, encryption)} | tar -t > /dev/null`);
+  }
+  if (checks.some(Boolean)) return checks.filter(Boolean).join(' && ');
+  return stripEncryptionSuffix(filePath) !== filePath ? `${decryptCommand(filePath, encryption)} > /dev/null` : null;
+}
+
+// Default verification: compare every file with its catalog checksum and test-read archives
+// Returns a list of problems (empty if the backup is intact)
+async function verifyBackupFiles(ctx, backup) {
+  const problems = [];
+
+  for (const file of backup.files) {
+    const filePath = path.join(ctx.catalog.root, file.path);
+    if (!fs.existsSync(filePath)) {
+      problems.push(`${file.path} is missing`);
+      continue;
+    }
+    const bytes = fs.statSync(filePath).size;
+    if (bytes !== file.bytes) {
+      problems.push(`${file.path} is ${bytes} bytes, expected ${file.bytes}`);
+      continue;
+    }
+    if (await sha256File(filePath) !== file.sha256) {
+      problems.push(`${file.path} does not match its SHA-256 checksum`);
+      continue;
+    }
+
+    try {
+      const testCommand = archiveTestCommand(filePath, ctx.encryption);
+      if (testCommand) {
+        await execPipeline(testCommand);
+      }
+    } catch (error) {
+      const reason = (error.stderr || error.message).trim().split('\n').pop();
+      problems.push(`${file.path} is damaged or can't be decrypted: ${reason}`);
+    }
+  }
+
+  return problems;
+}
+
+// Helper function to describe an existing path that a restore would replace
+async function describeExistingPath(targetPath) {
+  if (!fs.existsSync(targetPath)) return null;
+  try {
+    return `${targetPath} (${await diskUsage(targetPath, { sudo: true })})`;
+  } catch (error) {
+    return targetPath;
+  }
+}
+
+// Helper function to build a timestamp suffix for paths moved aside during a restore
+function restoreStamp() {
+  return new Date().toISOString().replace(/[:.]/g, '-').replace('T', '_').slice(0, 19);
+}
+
+// Check that a module definition implements the interface, returns a list of problems
+function validateDefinition(definition, source) {
+  if (!definition || typeof definition !== 'object') {
+    return [`Module from ${source} must export an object or a function returning one`];
+  }
+
+  const problems = [];
+  const where = definition.id ? `Module '${definition.id}' from ${source}` : `Module from ${source}`;
+  if (!definition.id || !/^[a-z0-9][a-z0-9_-]*$/.test(definition.id)) {
+    problems.push(`${where} needs an 'id' made of lowercase letters, digits, '-' or '_'`);
+  }
+  if (typeof definition.name !== 'string' || !definition.name) {
+    problems.push(`${where} needs a 'name'`);
+  }
+  if (typeof definition.run !== 'function') {
+    problems.push(`${where} needs a 'run(ctx)' function`);
+  }
+  for (const optional of ['validate', 'scanBackups', 'cleanup', 'collectGarbage', 'repository', 'restore', 'verify']) {
+    if (definition[optional] !== undefined && typeof definition[optional] !== 'function') {
+      problems.push(`${where}: '${optional}' must be a function`);
+    }
+  }
+  return problems;
+}
+
+// Create the context object passed to module functions
+function createContext(module, config) {
+  const logs = [];
+  const warnings = [];
+  const skipped = [];
+  // Modules running side by side print their id in front of every line, so their output can be told apart
+  const prefix = config.concurrency.modules > 1 ? `[${module.id}] ` : '';
+  const print = (color, message) => {
+    logs.push(message);
+    console.log(`${color}${prefix}${message}${colors.reset}`);
+  };
+  const warn = message => {
+    warnings.push(message);
+    print(colors.yellow, message);
+  };
+  const limiters = [createLimiter(module.options.concurrency), sharedTaskLimiter(config)];
+
+  return {
+    id: module.id,
+    name: module.name,
+    options: module.options,
+    config,
+    backupDir: module.backupDir,
+    catalog: module.catalog,
+    destinations: module.destinations,
+    allDestinations: module.allDestinations,
+    encryption: isEnabled(module.options.encryption) ? module.options.encryption : null,
+    compression: resolveCompression(module.options.compression),
+    compressionStats: createCompressionStats(),
+    date: new Date().toISOString().split('T')[0],
+    logs,
+    warnings,
+    skipped,
+    log: message => print(colors.cyan, message),
+    success: message => print(colors.green, message),
+    warn,
+    error: message => {
+      logs.push(message);
+      console.error(`${colors.red}${prefix}${message}${colors.reset}`);
+    },
+    skip: (item, reason, message = `${item} was NOT backed up: ${reason}.`) => {
+      skipped.push({ item, reason });
+      warn(message);
+    },
+    exec: execPromise,
+    runTasks: (items, worker) => runTasks(items, worker, limiters),
+  };
+}
+
+// Wrap a module definition into the object used by the runner and notifications
+function createModuleInstance(id, definition, options, config, destinations = {}) {
+  const module = {
+    id,
+    name: definition.name,
+    iconUrl: definition.iconUrl || '',
+    color: definition.color || 5793266,
+    backupDir: path.join(config.backupRootDir, definition.backupDirName || `${id}_backups`),
+    maxBackups: options.maxBackups,
+    retention: resolvePolicy(options),
+    options,
+    definition,
+    catalog: openCatalog(config.backupRootDir),
+    destinations: (options.destinations || []).map(name => destinations[name]).filter(Boolean),
+    allDestinations: destinations,
+  };
+
+  module.createContext = () => createContext(module, config);
+
+  module.run = ctx => definition.run(ctx);
+
+  // Backups recorded in the catalog, newest first
+  module.listBackups = () => module.catalog.list(id);
+
+  // Backups on disk, found by scanBackups or backupPattern (used to import pre-catalog backups)
+  module.scanBackups = (ctx = module.createContext()) => {
+    if (definition.scanBackups) return definition.scanBackups(ctx);
+    if (!definition.backupPattern) return [];
+    return listBackupsByPattern(module.backupDir, definition.backupPattern)
+      .map(name => path.join(module.backupDir, name));
+  };
+
+  // Which backups the retention policy keeps, and why
+  module.planRetention = () => applyRetention(module.listBackups(), module.retention);
+
+  module.cleanup = async (ctx = module.createContext()) => {
+    const result = definition.cleanup
+      ? await definition.cleanup(ctx)
+      : await cleanupByRetention(ctx, module.planRetention());
+    if (definition.collectGarbage) {
+      const garbage = await definition.collectGarbage(ctx);
+      if (garbage.removed) {
+        ctx.log(`Freed ${formatSize(garbage.freedBytes)} no backup refers to anymore (${garbage.removed} file(s)).`);
+      }
+    }
+    return result;
+  };
+
+  module.repository = definition.repository
+    ? (ctx = module.createContext()) => definition.repository(ctx)
+    : () => null;
+
+  module.restore = definition.restore
+    ? (backup, restoreOptions, ctx = module.createContext()) => definition.restore(ctx, backup, restoreOptions)
+    : null;
+
+  // Check the files against the catalog first, then run the module's own checks
+  module.verify = async (backup, verifyOptions = {}, ctx = module.createContext()) => {
+    const problems = await verifyBackupFiles(ctx, backup);
+    if (problems.length) {
+      throw new Error(problems.join('; '));
+    }
+    if (definition.verify) {
+      await definition.verify(ctx, backup, verifyOptions);
+    }
+  };
+
+  return module;
+}
+
+module.exports = {
+  BackupError,
+  abortCommands,
+  archiveTestCommand,
+  cleanupByRetention,
+  colors,
+  compressionOf,
+  createContext,
+  createModuleInstance,
+  createTarArchive,
+  decompressCommand,
+  decryptCommand,
+  describeCompression,
+  describeExistingPath,
+  directorySize,
+  diskUsage,
+  encryptArtifacts,
+  ensureDir,
+  execPipeline,
+  execPromise,
+  findFilesWrittenSince,
+  formatRate,
+  formatSize,
+  getDirectories,
+  globToRegExp,
+  killCommand,
+  listBackupsByPattern,
+  parseDuration,
+  parseSize,
+  removeBackup,
+  removeStaleCopies,
+  resolveCompression,
+  restoreStamp,
+  runCommand,
+  shellQuote,
+  spawnCommand,
+  streamCommandToFile,
+  stripCompressionExtension,
+  stripEncryptionSuffix,
+  uploadBackup,
+  validateDefinition,
+  verifyBackupFiles,
+  writtenChecksum,
+};
@@ -0,0 +1,173 @@
+const fs = require('fs');
+const path = require('path');
+const { decompressCommand, describeCompression, describeExistingPath, formatRate, formatSize, restoreStamp, shellQuote, streamCommandToFile } = require('../module-api');
+const { matchesGlob } = require('../glob');
+
+// Walk the source paths and collect the entries to archive (relative to root), applying include/exclude globs
+function collectEntries(paths, root, { include, exclude, followSymlinks }) {
+  const entries = [];
+  const visited = new Set();
+  let bytes = 0;
+
+  const walk = (sourcePath, absolute) => {
+    const relative = path.relative(sourcePath, absolute);
+    if (relative && exclude.some(pattern => matchesGlob(pattern, absolute, relative))) return;
+
+    const stat = followSymlinks ? fs.statSync(absolute) : fs.lstatSync(absolute);
+
+    if (stat.isDirectory()) {
+      // Guard against symlink loops when following symlinks
+      const realPath = fs.realpathSync(absolute);
+      if (visited.has(realPath)) return;
+      visited.add(realPath);
+
+      const index = entries.length;
+      entries.push(path.relative(root, absolute) || '.');
+      for (const name of fs.readdirSync(absolute).sort()) {
+        walk(sourcePath, path.join(absolute, name));
+      }
+      // With include patterns, only keep directories that contain something that was included
+      if (include.length && relative && entries.length === index + 1) entries.pop();
+      return;
+    }
+
+    if (include.length && !include.some(pattern => matchesGlob(pattern, absolute, relative || path.basename(absolute)))) return;
+    entries.push(path.relative(root, absolute));
+    bytes += stat.size;
+  };
+
+  for (const sourcePath of paths) {
+    walk(sourcePath, sourcePath);
+  }
+
+  return { entries, bytes };
+}
+
+// Archive one or more paths into a single tar file (compressed and encrypted as configured), returns the sizes before and after
+async function runPathArchive(ctx, { paths, root = '/', include = [], exclude = [], followSymlinks = false, sudo = false }) {
+  const archiveName = `${ctx.id}_backup_${ctx.date}.tar`;
+  const archivePath = path.join(ctx.backupDir, archiveName);
+  const sourcePaths = paths.map(sourcePath => path.resolve(sourcePath));
+  const tar = ['tar', '-cf', '-', '-C', root, ...(followSymlinks ? ['--dereference'] : [])];
+
+  for (const sourcePath of sourcePaths) {
+    if (path.relative(root, sourcePath).startsWith('..')) {
+      throw new Error(`Path ${sourcePath} is not inside the archive root ${root}.`);
+    }
+    if (!fs.existsSync(sourcePath)) {
+      throw new Error(`Path ${sourcePath} does not exist.`);
+    }
+  }
+
+  ctx.log(`Creating backup archive: ${archiveName} (${describeCompression(ctx.compression)})`);
+  ctx.log(`Paths: ${sourcePaths.join(', ')}`);
+
+  // tar writes to stdout, which is compressed (and encrypted) on its way to the archive file
+  const output = { file: archivePath, sudo, compression: ctx.compression, stats: ctx.compressionStats, encryption: ctx.encryption };
+  let result;
+  if (include.length || exclude.length) {
+    // Filtered archive: walk the paths ourselves and hand tar the exact list of entries
+    const { entries } = collectEntries(sourcePaths, root, { include, exclude, followSymlinks });
+    const listFile = path.join(ctx.backupDir, `.${ctx.id}_filelist`);
+    fs.writeFileSync(listFile, entries.map(entry => `${entry}\0`).join(''));
+    try {
+      result = await streamCommandToFile({ ...output, command: [...tar, '--no-recursion', '--null', '-T', listFile] });
+    } finally {
+      fs.rmSync(listFile, { force: true });
+    }
+    ctx.log(`Archived ${entries.length} entries after applying include/exclude rules.`);
+  } else {
+    const relativePaths = sourcePaths.map(sourcePath => path.relative(root, sourcePath) || '.');
+    result = await streamCommandToFile({ ...output, command: [...tar, '--', ...relativePaths] });
+  }
+
+  const originalSize = formatSize(result.originalBytes);
+  const compressedSize = formatSize(result.compressedBytes);
+  ctx.success(`Backup completed: ${path.basename(result.file)} (Size: ${originalSize} -> ${compressedSize}, ${formatRate(result.originalBytes, result.seconds)})`);
+
+  return {
+    artifacts: [result.file],
+    source: sourcePaths.join(', '),
+    originalSize,
+    compressedSize,
+  };
+}
+
+// Restore plan: extract over the original paths (keeping a copy of them) or into a target dir
+async function planPathArchiveRestore(ctx, backup, restoreOptions) {
+  const root = ctx.options.root;
+  const readArchive = decompressCommand(backup.path, ctx.encryption);
+  const sudo = ctx.options.sudo ? 'sudo ' : '';
+
+  if (restoreOptions.target) {
+    const target = path.resolve(restoreOptions.target);
+    const overwrites = [];
+    for (const sourcePath of ctx.options.paths) {
+      const existing = await describeExistingPath(path.join(target, path.relative(root, path.resolve(sourcePath))));
+      if (existing) overwrites.push(`${existing} (files from the backup are written over it)`);
+    }
+    return {
+      title: `${ctx.name} backup ${backup.id} to ${target}`,
+      overwrites,
+      notes: ['The original paths are not touched.'],
+      steps: [
+        { description: `Extract archive to ${target}`, command: `mkdir -p ${shellQuote(target)} && ${readArchive} | ${sudo}tar -x -C ${shellQuote(target)}` },
+      ],
+    };
+  }
+
+  const stamp = restoreStamp();
+  const overwrites = [];
+  const steps = [];
+  for (const sourcePath of ctx.options.paths.map(item => path.resolve(item))) {
+    const existing = await describeExistingPath(sourcePath);
+    if (existing) {
+      overwrites.push(`${existing} -> copy kept at ${sourcePath}.pre-restore-${stamp}`);
+      steps.push({ description: `Keep a copy of ${sourcePath}`, command: `${sudo}cp -a ${shellQuote(sourcePath)} ${shellQuote(`${sourcePath}.pre-restore-${stamp}`)}` });
+    }
+  }
+  steps.push({ description: `Extract archive to ${root}`, command: `${readArchive} | ${sudo}tar -x -C ${shellQuote(root)}` });
+
+  return {
+    title: `${ctx.name} backup ${backup.id}`,
+    overwrites,
+    notes: ['Files in the backup replace the current ones; files that are not in the backup are left alone.'],
+    steps,
+  };
+}
+
+// Create a path-archive module from its config section
+function create(id, options) {
+  return {
+    id,
+    name: options.name || id,
+    iconUrl: options.iconUrl,
+    color: options.color,
+    backupDirName: `${id}_backups`,
+    backupPattern: `${id}_backup_*.tar*`,
+    run: ctx => runPathArchive(ctx, ctx.options),
+    restore: planPathArchiveRestore,
+  };
+}
+
+module.exports = {
+  type: 'path-archive',
+  defaults: {
+    root: '/',
+    include: [],
+    exclude: [],
+    followSymlinks: false,
+    sudo: false,
+  },
+  optionsSchema: {
+    paths: { type: 'array', items: { type: 'string' }, minItems: 1, required: true },
+    root: { type: 'string' },
+    include: { type: 'array', items: { type: 'string' } },
+    exclude: { type: 'array', items: { type: 'string' } },
+    followSymlinks: { type: 'boolean' },
+    sudo: { type: 'boolean' },
+  },
+  collectEntries,
+  create,
+  runPathArchive,
+};
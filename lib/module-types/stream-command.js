@@ -0,0 +1,87 @@
+const path = require('path');
+const { decompressCommand, describeExistingPath, formatRate, formatSize, resolveCompression, shellQuote, streamCommandToFile } = require('../module-api');
+
+// Run the configured command and store its compressed stdout
+// (gzipLevel is the level used when compression doesn't set one)
+async function runStreamCommand(ctx) {
+  const { command, extension, gzipLevel } = ctx.options;
+  const fileName = `${ctx.id}_backup_${ctx.date}.${extension}`;
+  const filePath = path.join(ctx.backupDir, fileName);
+
+  ctx.log(`Running: ${command}`);
+
+  const { file, originalBytes, compressedBytes, seconds } = await streamCommandToFile({
+    command,
+    file: filePath,
+    compression: resolveCompression(ctx.options.compression, { level: gzipLevel }),
+    stats: ctx.compressionStats,
+    encryption: ctx.encryption,
+  });
+
+  const originalSize = formatSize(originalBytes);
+  const compressedSize = formatSize(compressedBytes);
+  ctx.success(`Backup completed: ${path.basename(file)} (Size: ${originalSize} -> ${compressedSize}, ${formatRate(originalBytes, seconds)})`);
+
+  return {
+    artifacts: [file],
+    source: command,
+    originalSize,
+    compressedSize,
+  };
+}
+
+// Restore plan: pipe the decompressed output into restoreCommand, or decompress it to a file
+async function planStreamCommandRestore(ctx, backup, restoreOptions) {
+  const readBackup = decompressCommand(backup.path, ctx.encryption);
+
+  if (restoreOptions.target) {
+    const target = path.resolve(restoreOptions.target);
+    const existing = await describeExistingPath(target);
+    return {
+      title: `${ctx.name} backup ${backup.id} to ${target}`,
+      overwrites: existing ? [existing] : [],
+      notes: [],
+      steps: [{ description: `Decompress backup to ${target}`, command: `${readBackup} > ${shellQuote(target)}` }],
+    };
+  }
+
+  if (!ctx.options.restoreCommand) {
+    throw new Error(`No restoreCommand is configured for ${ctx.name}. Use --target <file> to decompress the backup instead.`);
+  }
+
+  return {
+    title: `${ctx.name} backup ${backup.id}`,
+    overwrites: [],
+    notes: [`The backup is piped into: ${ctx.options.restoreCommand}`],
+    steps: [{ description: 'Load backup with restoreCommand', command: `${readBackup} | ${ctx.options.restoreCommand}` }],
+  };
+}
+
+// Create a stream-command module from its config section
+function create(id, options) {
+  return {
+    id,
+    name: options.name || id,
+    iconUrl: options.iconUrl,
+    color: options.color,
+    backupDirName: `${id}_backups`,
+    backupPattern: `${id}_backup_*.${options.extension}*`,
+    run: runStreamCommand,
+    restore: planStreamCommandRestore,
+  };
+}
+
+module.exports = {
+  type: 'stream-command',
+  defaults: {
+    extension: 'out',
+    gzipLevel: 6,
+  },
+  optionsSchema: {
+    command: { type: 'string', required: true },
+    extension: { type: 'string' },
+    gzipLevel: { type: 'integer', min: 1, max: 9 },
+    restoreCommand: { type: 'string' },
+  },
+  create,
+};
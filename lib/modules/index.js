@@ -0,0 +1,138 @@
+const { createModuleInstance, validateDefinition } = require('../module-api');
+const { ConfigError, mergeConfig, suggestKey, validateModuleOptions } = require('../config');
+const { loadPlugins } = require('../plugins');
+const { validateCompression } = require('../compression');
+const { validateEncryption } = require('../encryption');
+const { findDependencyCycle } = require('../scheduler');
+
+// Module types that can be declared purely from the config file (modules.<id>.type)
+const moduleTypes = {
+  'path-archive': require('../module-types/path-archive'),
+  'stream-command': require('../module-types/stream-command'),
+};
+
+// Options every config-declared module accepts besides its type's own options
+const typedModuleSchema = {
+  type: { type: 'string' },
+  name: { type: 'string' },
+  iconUrl: { type: 'string' },
+  color: { type: 'integer', min: 0 },
+};
+
+// Built-in modules, in the order they run with --all
+const builtinModules = [
+  require('./mariadb'),
+  require('./timescaledb'),
+  require('./nginx'),
+  require('./pterodactyl'),
+];
+
+// Load the built-in and plugin modules and validate their options from the config
+function loadModules(config, destinations = {}) {
+  const definitions = [
+    ...builtinModules.map(definition => ({ definition, source: 'built-in modules' })),
+    ...loadPlugins(config),
+  ];
+
+  const modules = {};
+  const errors = [];
+
+  // Modules declared in the config file with a generic type
+  for (const [moduleId, moduleConfig] of Object.entries(config.modules)) {
+    if (moduleConfig.type === undefined) continue;
+
+    const moduleType = moduleTypes[moduleConfig.type];
+    if (!moduleType) {
+      errors.push(`Unknown module type '${moduleConfig.type}' for 'modules.${moduleId}' (available types: ${Object.keys(moduleTypes).join(', ')})`);
+      continue;
+    }
+    definitions.push({
+      definition: {
+        defaults: moduleType.defaults,
+        optionsSchema: { ...typedModuleSchema, ...moduleType.optionsSchema },
+        ...moduleType.create(moduleId, mergeConfig(moduleType.defaults, moduleConfig)),
+      },
+      source: `modules.${moduleId} (${moduleConfig.type})`,
+    });
+  }
+
+  for (const { definition, source } of definitions) {
+    const problems = validateDefinition(definition, source);
+    if (problems.length) {
+      errors.push(...problems);
+      continue;
+    }
+    if (modules[definition.id]) {
+      errors.push(`Module '${definition.id}' from ${source} uses an id that is already taken`);
+      continue;
+    }
+
+    const options = mergeConfig(
+      {
+        enabled: true,
+        maxBackups: config.maxBackups,
+        retention: config.retention,
+        encryption: config.encryption,
+        compression: config.compression,
+        concurrency: config.concurrency.tasks,
+        dependsOn: [],
+        schedule: config.schedule,
+        hooks: {},
+        destinations: Object.keys(destinations),
+        remotePrefix: definition.id,
+        ...definition.defaults,
+      },
+      config.modules[definition.id] || {}
+    );
+    errors.push(...validateModuleOptions(definition.id, options, definition.optionsSchema));
+    errors.push(...validateEncryption(`modules.${definition.id}.encryption`, options.encryption));
+    errors.push(...validateCompression(`modules.${definition.id}.compression`, options.compression));
+    if (definition.validate) {
+      errors.push(...definition.validate(options).map(problem => `modules.${definition.id}: ${problem}`));
+    }
+    for (const name of Array.isArray(options.destinations) ? options.destinations : []) {
+      if (!destinations[name]) {
+        const suggestion = suggestKey(name, Object.keys(destinations));
+        errors.push(`Unknown destination '${name}' in 'modules.${definition.id}.destinations'${suggestion ? ` (did you mean '${suggestion}'?)` : ''}`);
+      }
+    }
+
+    modules[definition.id] = createModuleInstance(definition.id, definition, options, config, destinations);
+  }
+
+  // Modules can only wait for modules that exist, and not (indirectly) for themselves
+  const dependencies = Object.fromEntries(Object.values(modules)
+    .map(module => [module.id, Array.isArray(module.options.dependsOn) ? module.options.dependsOn : []]));
+  for (const [moduleId, dependsOn] of Object.entries(dependencies)) {
+    for (const dependency of dependsOn) {
+      if (!modules[dependency]) {
+        const suggestion = suggestKey(dependency, Object.keys(modules));
+        errors.push(`Unknown module '${dependency}' in 'modules.${moduleId}.dependsOn'${suggestion ? ` (did you mean '${suggestion}'?)` : ''}`);
+      }
+    }
+  }
+  const cycle = findDependencyCycle(dependencies);
+  if (cycle) {
+    errors.push(`Modules depend on each other in a cycle: ${cycle.join(' -> ')} (check their dependsOn)`);
+  }
+
+  // Catch typos in module names under modules.*
+  for (const [moduleId, moduleConfig] of Object.entries(config.modules)) {
+    if (!modules[moduleId] && moduleConfig.type === undefined) {
+      const suggestion = suggestKey(moduleId, Object.keys(modules));
+      errors.push(`Unknown module 'modules.${moduleId}'${suggestion ? ` (did you mean '${suggestion}'?)` : ''}`);
+    }
+  }
+
+  if (errors.length) {
+    throw new ConfigError(`Invalid configuration${config.configPath ? ` in ${config.configPath}` : ''}:`, errors);
+  }
+
+  return modules;
+}
+
+module.exports = {
+  builtinModules,
+  loadModules,
+  moduleTypes,
+};
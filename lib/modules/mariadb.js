@@ -0,0 +1,199 @@
+const fs = require('fs');
+const path = require('path');
+const { createTarArchive, decompressCommand, describeCompression, describeExistingPath, ensureDir, formatRate, parseDuration, restoreStamp, runCommand, shellQuote, stripCompressionExtension } = require('../module-api');
+
+// mariadb-backup writes the LSN range of a backup here (older versions use the xtrabackup_ name)
+const CHECKPOINT_FILES = ['mariadb_backup_checkpoints', 'xtrabackup_checkpoints'];
+
+// Helper function to read the checkpoints file of a backup directory
+function readCheckpoints(backupDir) {
+  for (const name of CHECKPOINT_FILES) {
+    const file = path.join(backupDir, name);
+    if (fs.existsSync(file)) {
+      return { name, content: fs.readFileSync(file, 'utf8') };
+    }
+  }
+  throw new Error(`mariadb-backup did not write a checkpoints file to ${backupDir}`);
+}
+
+// Helper function to get the chain needed to restore a backup: the full backup, then its incrementals in order
+function backupChain(ctx, backup) {
+  const chain = [backup];
+  while (chain[0].parent) {
+    const parent = ctx.catalog.get(chain[0].parent);
+    if (!parent) {
+      throw new Error(`${chain[0].id} is an incremental backup of ${chain[0].parent}, which is no longer in the catalog`);
+    }
+    chain.unshift(parent);
+  }
+  return chain;
+}
+
+// Helper function to pick the backup the next incremental builds on, null when a full backup is due
+function incrementalBase(ctx) {
+  const newest = ctx.catalog.list(ctx.id)[0];
+  if (!newest || !newest.metadata || !newest.metadata.checkpoints) {
+    return null; // No backup yet, or one made without incrementals enabled
+  }
+
+  let chain;
+  try {
+    chain = backupChain(ctx, newest);
+  } catch (error) {
+    ctx.warn(`${error.message}, taking a full backup.`);
+    return null;
+  }
+
+  const fullAge = Date.now() - new Date(chain[0].startedAt).getTime();
+  if (fullAge >= parseDuration(ctx.options.fullEvery)) {
+    ctx.log(`Last full backup ${chain[0].id} is older than ${ctx.options.fullEvery}, taking a full backup.`);
+    return null;
+  }
+  return newest;
+}
+
+// MariaDB backup function
+async function runMariaDbBackup(ctx) {
+  const { incremental } = ctx.options;
+  const base = incremental ? incrementalBase(ctx) : null;
+  const type = base ? 'incremental' : 'full';
+
+  // With incrementals there can be several backups a day, so the time is part of the name
+  const time = new Date().toISOString().slice(11, 19).replace(/:/g, '-');
+  const backupName = incremental ? `mariadb_backup_${ctx.date}_${time}_${type}` : `mariadb_backup_${ctx.date}`;
+  const fullBackupPath = path.join(ctx.backupDir, backupName);
+  const archivePath = path.join(ctx.backupDir, `${backupName}.tar`);
+  const baseDir = path.join(ctx.backupDir, '.incremental_base');
+
+  ctx.log('Starting MariaDB backup using mariabackup...');
+
+  // Step 1: Create the backup using mariabackup
+  if (base) {
+    // --incremental-basedir only reads the checkpoints file, so the one recorded in the catalog is enough
+    ctx.log(`Creating incremental backup on top of ${base.id}...`);
+    fs.rmSync(baseDir, { recursive: true, force: true });
+    ensureDir(baseDir);
+    fs.writeFileSync(path.join(baseDir, base.metadata.checkpoints.name), base.metadata.checkpoints.content);
+    try {
+      await runCommand(['/usr/bin/mariadb-backup', '--backup', `--target-dir=${fullBackupPath}`, `--incremental-basedir=${baseDir}`], { sudo: true });
+    } finally {
+      fs.rmSync(baseDir, { recursive: true, force: true });
+    }
+  } else {
+    ctx.log('Creating full backup...');
+    await runCommand(['/usr/bin/mariadb-backup', '--backup', `--target-dir=${fullBackupPath}`], { sudo: true });
+  }
+
+  // Step 2: Prepare the backup for use (incremental chains are prepared at restore time, a prepared
+  // full backup can't take incrementals anymore)
+  if (!incremental) {
+    ctx.log('Preparing backup...');
+    await runCommand(['/usr/bin/mariadb-backup', '--prepare', `--target-dir=${fullBackupPath}`], { sudo: true });
+  }
+
+  // Step 3: Compress the backup
+  ctx.log(`Compressing backup (${describeCompression(ctx.compression)})...`);
+  await runCommand(['chown', '-R', `${process.getuid()}:${process.getgid()}`, ctx.backupDir], { sudo: true });
+  const checkpoints = incremental ? readCheckpoints(fullBackupPath) : null;
+
+  // The archive is compressed and encrypted while it is written (as configured)
+  const { file, originalBytes, originalSize, compressedSize, seconds } = await createTarArchive({
+    source: fullBackupPath,
+    file: archivePath,
+    compression: ctx.compression,
+    stats: ctx.compressionStats,
+    encryption: ctx.encryption,
+  });
+
+  // Remove the uncompressed backup directory
+  fs.rmSync(fullBackupPath, { recursive: true, force: true });
+
+  ctx.success(`✓ Backup completed: ${path.basename(file)} (${type}, Size: ${originalSize} -> ${compressedSize}, ${formatRate(originalBytes, seconds)})`);
+
+  return {
+    artifacts: [file],
+    source: `mariadb-backup of ${ctx.options.dataDir}${base ? ` (incremental on ${base.id})` : ''}`,
+    originalSize,
+    compressedSize,
+    parent: base ? base.id : null,
+    metadata: { type, prepared: !incremental, checkpoints },
+  };
+}
+
+// MariaDB restore plan: extract the backup (and the full backup and incrementals it builds on), prepare
+// them in order and copy the result into an empty data directory
+async function planMariaDbRestore(ctx, backup) {
+  const { dataDir, serviceName } = ctx.options;
+  const chain = backupChain(ctx, backup);
+  const workDir = path.join(ctx.backupDir, `.restore_${backup.id}`);
+  const preRestoreDir = `${dataDir}.pre-restore-${restoreStamp()}`;
+  const existing = await describeExistingPath(dataDir);
+
+  // Each archive contains a single directory named like the archive
+  const extractedDir = item => path.join(workDir, stripCompressionExtension(item.name).replace(/\.tar$/, ''));
+  const [full, ...incrementals] = chain;
+  const fullDir = extractedDir(full);
+
+  const steps = chain.map(item => ({
+    description: `Extract ${item.metadata && item.metadata.type === 'incremental' ? 'incremental' : 'full'} backup ${item.id}`,
+    command: `mkdir -p ${shellQuote(workDir)} && ${decompressCommand(item.path, ctx.encryption)} | tar -x -C ${shellQuote(workDir)}`,
+  }));
+
+  // Backups made before incrementals existed were prepared when they were taken
+  if (full.metadata && full.metadata.prepared === false) {
+    steps.push({ description: `Prepare full backup ${full.id}`, command: `sudo /usr/bin/mariadb-backup --prepare --target-dir=${shellQuote(fullDir)}` });
+  }
+  for (const item of incrementals) {
+    steps.push({
+      description: `Apply incremental backup ${item.id}`,
+      command: `sudo /usr/bin/mariadb-backup --prepare --target-dir=${shellQuote(fullDir)} --incremental-dir=${shellQuote(extractedDir(item))}`,
+    });
+  }
+
+  steps.push({ description: `Stop ${serviceName}`, command: `sudo systemctl stop ${shellQuote(serviceName)}` });
+  if (existing) {
+    steps.push({ description: 'Move current data directory aside', command: `sudo mv ${shellQuote(dataDir)} ${shellQuote(preRestoreDir)}` });
+  }
+  steps.push(
+    { description: 'Copy backup into data directory', command: `sudo /usr/bin/mariadb-backup --copy-back --datadir=${shellQuote(dataDir)} --target-dir=${shellQuote(fullDir)}` },
+    { description: 'Fix data directory ownership', command: `sudo chown -R mysql:mysql ${shellQuote(dataDir)}` },
+    { description: `Start ${serviceName}`, command: `sudo systemctl start ${shellQuote(serviceName)}` },
+    { description: 'Remove extracted backup', command: `sudo rm -rf ${shellQuote(workDir)}` },
+  );
+
+  const notes = [`${serviceName} will be stopped during the restore.`];
+  if (incrementals.length) {
+    notes.unshift(`${incrementals.length} incremental backup(s) are applied on top of the full backup ${full.id}.`);
+  }
+
+  return {
+    title: `MariaDB backup ${backup.id}`,
+    overwrites: existing ? [`${existing} -> moved to ${preRestoreDir}`] : [],
+    notes,
+    steps,
+  };
+}
+
+module.exports = {
+  id: 'mariadb',
+  name: 'MariaDB',
+  iconUrl: 'https://mariadb.com/wp-content/uploads/2019/11/mariadb-logo-vertical_white.svg',
+  color: 13637,
+  backupDirName: 'mariadb_backups',
+  backupPattern: 'mariadb_backup_*.tar*',
+  defaults: {
+    maxBackups: 6,
+    dataDir: '/var/lib/mysql',
+    serviceName: 'mariadb',
+    incremental: false,
+    fullEvery: '7d', // with incremental, a new full backup is taken once the last one is this old
+  },
+  optionsSchema: {
+    dataDir: { type: 'string' },
+    serviceName: { type: 'string' },
+    incremental: { type: 'boolean' },
+    fullEvery: { type: 'string', format: 'duration' },
+  },
+  run: runMariaDbBackup,
+  restore: planMariaDbRestore,
+};
@@ -0,0 +1,68 @@
+const path = require('path');
+const { decompressCommand, describeExistingPath, restoreStamp, shellQuote } = require('../module-api');
+const { runPathArchive } = require('../module-types/path-archive');
+
+// Nginx backup function: a path archive of the nginx directory
+function runNginxBackup(ctx) {
+  const { sourceDir } = ctx.options;
+  return runPathArchive(ctx, { paths: [sourceDir], root: path.dirname(sourceDir) });
+}
+
+// Nginx restore plan: extract the archive (in place or to a target dir) and validate it with nginx -t
+async function planNginxRestore(ctx, backup, restoreOptions) {
+  const { sourceDir } = ctx.options;
+  const readArchive = decompressCommand(backup.path, ctx.encryption);
+
+  if (restoreOptions.target) {
+    const target = path.resolve(restoreOptions.target);
+    const extracted = path.join(target, path.basename(sourceDir));
+    const existing = await describeExistingPath(extracted);
+    return {
+      title: `Nginx backup ${backup.id} to ${target}`,
+      overwrites: existing ? [existing] : [],
+      notes: ['The live nginx configuration is not touched.'],
+      steps: [
+        { description: `Extract archive to ${target}`, command: `mkdir -p ${shellQuote(target)} && ${readArchive} | tar -x -C ${shellQuote(target)}` },
+        { description: 'Validate restored configuration', command: `sudo nginx -t -c ${shellQuote(path.join(extracted, 'nginx.conf'))}` },
+      ],
+    };
+  }
+
+  const preRestoreDir = `${sourceDir}.pre-restore-${restoreStamp()}`;
+  const existing = await describeExistingPath(sourceDir);
+  const rollback = `sudo rm -rf ${shellQuote(sourceDir)} && sudo mv ${shellQuote(preRestoreDir)} ${shellQuote(sourceDir)}`;
+  const steps = [];
+  if (existing) {
+    steps.push({ description: 'Move current configuration aside', command: `sudo mv ${shellQuote(sourceDir)} ${shellQuote(preRestoreDir)}` });
+  }
+  steps.push(
+    { description: `Extract archive to ${sourceDir}`, command: `${readArchive} | sudo tar -x -C ${shellQuote(path.dirname(sourceDir))}`, rollback: existing ? rollback : null },
+    { description: 'Validate restored configuration', command: 'sudo nginx -t', rollback: existing ? rollback : null },
+    { description: 'Reload nginx', command: 'sudo systemctl reload nginx' },
+  );
+
+  return {
+    title: `Nginx backup ${backup.id}`,
+    overwrites: existing ? [`${existing} -> moved to ${preRestoreDir}`] : [],
+    notes: existing ? ['If nginx -t fails, the previous configuration is put back automatically.'] : [],
+    steps,
+  };
+}
+
+module.exports = {
+  id: 'nginx',
+  name: 'Nginx',
+  iconUrl: 'https://www.vectorlogo.zone/logos/nginx/nginx-icon.svg',
+  color: 38457,
+  backupDirName: 'nginx_backups',
+  backupPattern: 'nginx_backup_*.tar*',
+  defaults: {
+    maxBackups: 12,
+    sourceDir: '/etc/nginx',
+  },
+  optionsSchema: {
+    sourceDir: { type: 'string' },
+  },
+  run: runNginxBackup,
+  restore: planNginxRestore,
+};
@@ -0,0 +1,587 @@
+const fs = require('fs');
+const path = require('path');
+const { decompressCommand, decryptCommand, describeCompression, describeExistingPath, directorySize, ensureDir, formatRate, formatSize, getDirectories, removeStaleCopies, resolveCompression, restoreStamp, shellQuote, streamCommandToFile, stripCompressionExtension } = require('../module-api');
+const { collectEntries } = require('../module-types/path-archive');
+const { openRepository } = require('../chunk-store');
+const { createPanelClient } = require('../pterodactyl-panel');
+
+// How often the server state is polled while waiting for a server to stop
+const STATE_POLL_INTERVAL = 2000;
+
+// Helper function to check whether any volume can end up in the deduplicating repository
+function usesRepository(options) {
+  return options.storage === 'dedup'
+    || options.largeVolumes === 'dedup'
+    || Object.values(options.servers).some(rules => rules.largeVolumes === 'dedup');
+}
+
+// Helper function to open the deduplicating repository (null when every volume is stored as an archive)
+function pterodactylRepository(ctx) {
+  if (!usesRepository(ctx.options)) return null;
+  return openRepository(ctx.options.repository || path.join(ctx.backupDir, 'repository'));
+}
+
+// Helper function to connect to the panel API (null when panel.url isn't set)
+function panelClient(ctx) {
+  return ctx.options.panel.url ? createPanelClient(ctx.options.panel) : null;
+}
+
+// Helper function to look up the servers on the panel by uuid, so logs and notifications can show their names
+async function panelServers(ctx, panel) {
+  if (!panel) return new Map();
+  try {
+    return new Map((await panel.listServers()).map(server => [server.uuid, server]));
+  } catch (error) {
+    ctx.warn(`Could not read the server list from the panel (${error.message}), servers are shown by their volume UUID.`);
+    return new Map();
+  }
+}
+
+// Helper function to name a volume in logs and warnings: "Server name (uuid)", or the uuid alone
+function volumeLabel(uuid, name) {
+  return name ? `${name} (${uuid})` : uuid;
+}
+
+// Decide how every server volume is backed up, applying the per-server rules under `servers.<uuid>`:
+//   archive  below the size threshold: a compressed tar per server (or part of the snapshot with storage: dedup)
+//   fast     large volume, a compressed tar like archive, only at the faster largeVolumeLevel
+//   dedup    large volume, stored in the deduplicating repository so only changed chunks cost space
+//   skip     not backed up, reported as a warning
+async function planVolumes(ctx, panelServerList = new Map()) {
+  const { baseDir, sizeThreshold, largeVolumes, servers, consistency, commandsBefore, commandsAfter } = ctx.options;
+  const volumes = [];
+
+  for (const uuid of getDirectories(baseDir).sort()) {
+    const rules = servers[uuid] || {};
+    const folder = path.join(baseDir, uuid);
+    const include = rules.include || [];
+    const exclude = rules.exclude || [];
+    const panelServer = panelServerList.get(uuid);
+    const server = {
+      uuid,
+      folder,
+      name: panelServer ? panelServer.name : null,
+      label: volumeLabel(uuid, panelServer && panelServer.name),
+      identifier: panelServer ? panelServer.identifier : uuid,
+      consistency: rules.consistency || consistency,
+      commandsBefore: rules.commandsBefore || commandsBefore,
+      commandsAfter: rules.commandsAfter || commandsAfter,
+    };
+
+    if (rules.skip) {
+      volumes.push({ ...server, strategy: 'skip', reason: `servers.${uuid}.skip is set` });
+      continue;
+    }
+
+    // With include/exclude rules only the selected files count towards the threshold
+    let entries = null;
+    let bytes;
+    if (include.length || exclude.length) {
+      const selected = collectEntries([folder], baseDir, { include, exclude, followSymlinks: false });
+      entries = selected.entries;
+      bytes = selected.bytes;
+    } else {
+      bytes = directorySize(folder);
+    }
+    const sizeMB = Math.ceil(bytes / (1024 * 1024));
+
+    const threshold = rules.sizeThreshold !== undefined ? rules.sizeThreshold : sizeThreshold;
+    const large = sizeMB >= threshold;
+    let strategy = large ? (rules.largeVolumes || largeVolumes) : 'archive';
+    if (ctx.options.storage === 'dedup' && strategy !== 'skip') strategy = 'dedup';
+
+    volumes.push({
+      ...server,
+      sizeMB,
+      threshold,
+      large,
+      entries,
+      strategy,
+      reason: strategy === 'skip' ? `${sizeMB}MB is over its ${threshold}MB threshold and largeVolumes is skip` : null,
+    });
+  }
+
+  return volumes;
+}
+
+// Helper function to report the volumes that are not backed up, so they show up in the run result and notifications
+function warnSkippedVolumes(ctx, volumes) {
+  for (const volume of volumes.filter(item => item.strategy === 'skip')) {
+    ctx.skip(`Server ${volume.label}`, volume.reason);
+  }
+}
+
+// Helper function to check that a large volume will probably fit on the backup disk
+function warnIfLowOnSpace(ctx, volume, dir) {
+  if (!fs.statfsSync) return; // Node.js < 18.15
+  const { bavail, bsize } = fs.statfsSync(dir);
+  const freeMB = Math.floor((bavail * bsize) / (1024 * 1024));
+  if (freeMB < volume.sizeMB) {
+    ctx.warn(`Only ${freeMB}MB free in ${dir} for server ${volume.label} (${volume.sizeMB}MB before compression), the archive may not fit.`);
+  }
+}
+
+// Helper function to wait until a server reaches a state, false if it didn't within timeout seconds
+async function waitForState(panel, identifier, state, timeout) {
+  const deadline = Date.now() + timeout * 1000;
+  while (Date.now() < deadline) {
+    if (await panel.getState(identifier) === state) return true;
+    await new Promise(resolve => setTimeout(resolve, STATE_POLL_INTERVAL));
+  }
+  return false;
+}
+
+// Prepare a server for a consistent copy of its volume, depending on its consistency setting:
+//   command  send commandsBefore (e.g. save-all) and wait commandWait seconds, commandsAfter once copied
+//   stop     stop the server and wait until it is offline, start it again once copied
+//   suspend  like stop, and suspend it in the meantime so nobody can start it during the copy
+// Returns the function that undoes what was done. Failures are warnings: the volume is still copied, as it is.
+async function pauseServer(ctx, panel, volume) {
+  const { commandWait, stopTimeout } = ctx.options;
+  const { uuid, identifier, label, consistency } = volume;
+  const undo = [];
+
+  const resume = async () => {
+    for (const step of undo.reverse()) {
+      try {
+        await step();
+      } catch (error) {
+        ctx.error(`Failed to bring ${label} back after its backup: ${error.message}`);
+        ctx.warn(`Server ${label} may still be stopped or suspended after the backup, check it in the panel.`);
+        return;
+      }
+    }
+  };
+
+  if (consistency === 'none' || !panel) return resume;
+
+  try {
+    const wasRunning = await panel.getState(identifier) !== 'offline';
+
+    if (consistency === 'command') {
+      if (!wasRunning) return resume;
+      for (const command of volume.commandsBefore) {
+        await panel.sendCommand(identifier, command);
+      }
+      undo.push(async () => {
+        for (const command of volume.commandsAfter) {
+          await panel.sendCommand(identifier, command);
+        }
+      });
+      ctx.log(`Sent ${volume.commandsBefore.join(', ') || 'no commands'} to ${label}, waiting ${commandWait}s for it to save...`);
+      await new Promise(resolve => setTimeout(resolve, commandWait * 1000));
+      return resume;
+    }
+
+    if (wasRunning) {
+      ctx.log(`Stopping ${label}...`);
+      await panel.setPower(identifier, 'stop');
+      undo.push(async () => {
+        await panel.setPower(identifier, 'start');
+        ctx.log(`Started ${label} again.`);
+      });
+      if (!await waitForState(panel, identifier, 'offline', stopTimeout)) {
+        ctx.warn(`Server ${label} did not stop within ${stopTimeout}s, its volume was copied while it was still running.`);
+        return resume;
+      }
+    }
+
+    if (consistency === 'suspend') {
+      await panel.suspend(uuid);
+      undo.push(async () => {
+        await panel.unsuspend(uuid);
+        ctx.log(`Unsuspended ${label}.`);
+      });
+      ctx.log(`Suspended ${label} for the backup.`);
+    }
+  } catch (error) {
+    ctx.warn(`Could not prepare ${label} for its backup (${error.message}), its volume was copied as it was.`);
+  }
+
+  return resume;
+}
+
+// Helper function to build the snapshot source of a volume (honouring its include/exclude rules)
+function snapshotSource(ctx, panel, volume) {
+  const source = { path: volume.folder, as: `volumes/${volume.uuid}`, prepare: () => pauseServer(ctx, panel, volume) };
+  if (volume.entries) {
+    const selected = new Set(volume.entries);
+    source.filter = absolutePath => selected.has(path.relative(ctx.options.baseDir, absolutePath));
+  }
+  return source;
+}
+
+// Helper function to store volumes (and the panel .env) as one snapshot in the repository
+async function createVolumeSnapshot(ctx, panel, volumes, envFile) {
+  const repository = pterodactylRepository(ctx);
+  const snapshotName = `backup_${ctx.date}`;
+  const sources = volumes.map(volume => snapshotSource(ctx, panel, volume));
+
+  if (envFile) {
+    if (fs.existsSync(envFile)) {
+      sources.unshift({ path: envFile, as: 'panel.env' });
+    } else {
+      ctx.error(`Failed to backup environment file: ${envFile} does not exist`);
+    }
+  }
+
+  ctx.log(`Creating snapshot ${snapshotName} of ${volumes.length} volume(s) in ${repository.root}...`);
+  const { file, stats } = await repository.createSnapshot(snapshotName, sources);
+  ctx.success(`Snapshot ${snapshotName} created: ${stats.files} files, ${formatSize(stats.bytes)} (${stats.unchangedFiles} unchanged files, ${stats.newChunks} new chunks, ${formatSize(stats.newBytes)} of new data).`);
+
+  return { file, stats, metadata: { snapshot: snapshotName, repository: repository.root, ...stats } };
+}
+
+// Pterodactyl backup function in dedup mode: one snapshot of the panel .env and every volume,
+// storing only the chunks the repository doesn't have yet
+async function runPterodactylSnapshot(ctx) {
+  const { baseDir, envFile } = ctx.options;
+  const panel = panelClient(ctx);
+  const volumes = await planVolumes(ctx, await panelServers(ctx, panel));
+  warnSkippedVolumes(ctx, volumes);
+
+  const { file, stats, metadata } = await createVolumeSnapshot(ctx, panel, volumes.filter(volume => volume.strategy !== 'skip'), envFile);
+
+  return {
+    artifacts: [file],
+    source: `${baseDir} and ${envFile}`,
+    originalSize: formatSize(stats.bytes),
+    compressedSize: formatSize(stats.newBytes),
+    metadata: { ...metadata, ...volumeMetadata(volumes) },
+  };
+}
+
+// Helper function to record which servers were skipped and the server names, for restore plans
+function volumeMetadata(volumes) {
+  return {
+    skipped: volumes.filter(volume => volume.strategy === 'skip').map(volume => volume.uuid),
+    serverNames: Object.fromEntries(volumes.filter(volume => volume.name).map(volume => [volume.uuid, volume.name])),
+  };
+}
+
+// Pterodactyl backup function
+async function runPterodactylBackup(ctx) {
+  if (ctx.options.storage === 'dedup') {
+    return runPterodactylSnapshot(ctx);
+  }
+
+  const { baseDir, envFile, largeVolumeLevel } = ctx.options;
+  const outputDir = path.join(ctx.backupDir, `backup_${ctx.date}`);
+
+  // Create output directory for individual tar files
+  ensureDir(outputDir);
+
+  let totalOriginalSize = 0;
+  let totalCompressedSize = 0;
+
+  // Step 0: Backup our app key and other Pterodactyl files
+  ctx.log('Backing up Pterodactyl environment file...');
+
+  try {
+    const { file } = await streamCommandToFile({ command: ['cat', envFile], file: path.join(outputDir, 'panel.env'), compress: false, encryption: ctx.encryption });
+    fs.chmodSync(file, 0o600); // The panel .env holds the app key and database password
+    ctx.success('Environment file backed up successfully.');
+  } catch (envError) {
+    ctx.error(`Failed to backup environment file: ${envError.message}`);
+  }
+
+  // Step 1: Create a compressed archive for each volume (large ones use their own strategy)
+  // tar streams into the compression (and the encryption, if configured), so no uncompressed copy is written.
+  // Volumes are compressed at gzip's best level unless the compression options say otherwise.
+  const compression = resolveCompression(ctx.options.compression, { level: 9 });
+  const panel = panelClient(ctx);
+  const volumes = await planVolumes(ctx, await panelServers(ctx, panel));
+  warnSkippedVolumes(ctx, volumes);
+
+  const archiveVolume = async volume => {
+    const { uuid, label } = volume;
+    const fast = volume.strategy === 'fast';
+    const volumeCompression = fast ? { ...compression, level: largeVolumeLevel } : compression;
+    ctx.log(`Creating archive for ${label} (Size: ${volume.sizeMB}MB, ${fast ? 'large volume, ' : ''}${describeCompression(volumeCompression)})`);
+    if (fast) warnIfLowOnSpace(ctx, volume, outputDir);
+
+    // With include/exclude rules, tar gets the exact list of entries to archive
+    const listFile = path.join(outputDir, `.${uuid}_filelist`);
+    let tar = ['tar', '-cf', '-', '-C', baseDir, uuid];
+    if (volume.entries) {
+      fs.writeFileSync(listFile, volume.entries.map(entry => `${entry}\0`).join(''));
+      tar = ['tar', '-cf', '-', '-C', baseDir, '--no-recursion', '--null', '-T', listFile];
+    }
+
+    const resume = await pauseServer(ctx, panel, volume);
+    try {
+      const { file, originalBytes, compressedBytes, seconds } = await streamCommandToFile({
+        command: tar,
+        file: path.join(outputDir, `${uuid}.tar`),
+        compression: volumeCompression,
+        stats: ctx.compressionStats,
+        encryption: ctx.encryption,
+      });
+      removeStaleCopies(file);
+      ctx.success(`Archive created: ${path.basename(file)} (Size: ${formatSize(originalBytes)} -> ${formatSize(compressedBytes)}, ${formatRate(originalBytes, seconds)})`);
+      return { originalBytes, compressedBytes };
+    } catch (tarError) {
+      ctx.error(`Failed to create archive for ${label}: ${tarError.message}`);
+      ctx.skip(`Server ${label}`, 'creating its archive failed');
+      return { originalBytes: 0, compressedBytes: 0 };
+    } finally {
+      fs.rmSync(listFile, { force: true });
+      await resume();
+    }
+  };
+
+  // Step 2: Large volumes with largeVolumes: dedup go into the repository as one snapshot, which is a task
+  // of its own next to the archives (volumes are archived side by side, see the concurrency option)
+  const deduplicated = volumes.filter(volume => volume.strategy === 'dedup');
+  const snapshotVolumes = async () => {
+    const snapshot = await createVolumeSnapshot(ctx, panel, deduplicated, null);
+    return { snapshot, originalBytes: snapshot.stats.bytes, compressedBytes: snapshot.stats.newBytes };
+  };
+  const tasks = [
+    ...volumes.filter(item => item.strategy === 'archive' || item.strategy === 'fast').map(volume => () => archiveVolume(volume)),
+    ...(deduplicated.length ? [snapshotVolumes] : []),
+  ];
+
+  const artifacts = [outputDir];
+  let metadata = null;
+  for (const result of await ctx.runTasks(tasks, task => task())) {
+    totalOriginalSize += result.originalBytes;
+    totalCompressedSize += result.compressedBytes;
+    if (result.snapshot) {
+      artifacts.push(result.snapshot.file);
+      metadata = result.snapshot.metadata;
+    }
+  }
+
+  // Calculate total size in human-readable format
+  const totalOriginalSizeHuman = formatSize(totalOriginalSize);
+  const totalCompressedSizeHuman = formatSize(totalCompressedSize);
+
+  const count = strategy => volumes.filter(volume => volume.strategy === strategy).length;
+  ctx.success(`Backed up ${volumes.length - count('skip')} of ${volumes.length} server volume(s) (${count('fast')} with fast compression, ${count('dedup')} deduplicated, ${count('skip')} skipped).`);
+  ctx.log(`Total size: ${totalOriginalSizeHuman} -> ${totalCompressedSizeHuman}`);
+
+  return {
+    artifacts,
+    location: outputDir,
+    source: `${baseDir} and ${envFile}`,
+    originalSize: totalOriginalSizeHuman,
+    compressedSize: totalCompressedSizeHuman,
+    metadata: { ...metadata, ...volumeMetadata(volumes) },
+  };
+}
+
+// Find backup runs on disk (one backup_<date> directory per run), newest first
+function scanPterodactylBackups(ctx) {
+  if (!fs.existsSync(ctx.backupDir)) return [];
+  return getDirectories(ctx.backupDir)
+    .filter(dir => dir.startsWith('backup_'))
+    .sort((a, b) => b.localeCompare(a)) // Sort by name in descending order (newest first)
+    .map(dir => path.join(ctx.backupDir, dir));
+}
+
+// Check that every chunk a snapshot refers to is still in the repository and intact
+async function verifyPterodactylBackup(ctx, backup) {
+  if (!backup.metadata || !backup.metadata.snapshot) return;
+  const problems = openRepository(backup.metadata.repository).check(backup.metadata.snapshot);
+  if (problems.length) {
+    throw new Error(`${problems.length} chunk(s) of snapshot ${backup.metadata.snapshot} are missing or damaged: ${problems[0]}`);
+  }
+}
+
+// Delete the chunks no snapshot refers to anymore, once retention removed old snapshots
+async function collectPterodactylGarbage(ctx) {
+  const repository = pterodactylRepository(ctx);
+  return repository ? repository.collectGarbage() : { removed: 0, freedBytes: 0 };
+}
+
+// Snapshots can't be encrypted or uploaded yet: only their index would be, not the shared chunks.
+// Pausing servers needs the panel API, suspending them the Application API key as well.
+function validatePterodactylOptions(options) {
+  const problems = [];
+
+  if (usesRepository(options)) {
+    const setting = options.storage === 'dedup' ? "'storage: dedup'" : "'largeVolumes: dedup'";
+    if (options.encryption && options.encryption.method && options.encryption.method !== 'none') {
+      problems.push(`${setting} can't be combined with encryption (set encryption.method: none for this module)`);
+    }
+    if (options.destinations.length) {
+      problems.push(`${setting} can't upload to remote destinations yet (set destinations: [] for this module, and copy the repository directory instead)`);
+    }
+  }
+
+  const modes = [options.consistency, ...Object.values(options.servers).map(rules => rules.consistency)];
+  if (modes.some(mode => mode && mode !== 'none') && (!options.panel.url || !options.panel.apiKey)) {
+    problems.push("'consistency' needs the panel API: set panel.url and panel.apiKey (a client API key of an admin account)");
+  }
+  if (modes.includes('suspend') && !options.panel.applicationApiKey) {
+    problems.push("'consistency: suspend' needs panel.applicationApiKey (an Application API key with read & write access to servers)");
+  }
+
+  return problems;
+}
+
+// Pterodactyl restore plan: replace server volumes (from their archives or the snapshot) and the panel environment file
+async function planPterodactylRestore(ctx, backup, restoreOptions) {
+  const { baseDir, envFile } = ctx.options;
+  const stamp = restoreStamp();
+  const preRestoreDir = path.join(path.dirname(baseDir), `${path.basename(baseDir)}.pre-restore-${stamp}`);
+
+  // Where every server (and the panel .env) can be restored from: uuid -> command
+  const sources = new Map();
+  let envCommand = null;
+
+  // Archives: archive names without the compression extension and encryption suffix decide the server uuid
+  const runDir = fs.statSync(backup.path).isDirectory() ? backup.path : null;
+  if (runDir) {
+    for (const file of fs.readdirSync(runDir)) {
+      const name = stripCompressionExtension(file);
+      const filePath = path.join(runDir, file);
+      if (name.endsWith('.tar')) {
+        sources.set(name.slice(0, -'.tar'.length), `${decompressCommand(filePath, ctx.encryption)} | sudo tar -x -C ${shellQuote(baseDir)}`);
+      } else if (name === 'panel.env') {
+        envCommand = `${decryptCommand(filePath, ctx.encryption)} | sudo tee ${shellQuote(envFile)} > /dev/null`;
+      }
+    }
+  }
+
+  // Snapshot: volumes/<uuid> and panel.env are extracted from the repository
+  if (backup.metadata && backup.metadata.snapshot) {
+    const { snapshot, repository: repositoryDir } = backup.metadata;
+    const extract = (entryPath, destination) =>
+      `sudo node ${shellQuote(require.resolve('../chunk-store'))} extract ${shellQuote(repositoryDir)} ${shellQuote(snapshot)} ${shellQuote(entryPath)} ${shellQuote(destination)}`;
+    for (const source of openRepository(repositoryDir).readSnapshot(snapshot).sources) {
+      if (source === 'panel.env') {
+        envCommand = extract(source, envFile);
+      } else {
+        const uuid = source.slice('volumes/'.length);
+        sources.set(uuid, extract(source, path.join(baseDir, uuid)));
+      }
+    }
+  }
+
+  let servers = [...sources.keys()].sort();
+  if (restoreOptions.servers.length) {
+    const missing = restoreOptions.servers.filter(server => !sources.has(server));
+    if (missing.length) {
+      throw new Error(`Server(s) not found in backup ${backup.id}: ${missing.join(', ')}`);
+    }
+    servers = restoreOptions.servers;
+  }
+
+  const serverNames = (backup.metadata && backup.metadata.serverNames) || {};
+  const overwrites = [];
+  const steps = [];
+
+  for (const uuid of servers) {
+    const label = volumeLabel(uuid, serverNames[uuid]);
+    const volumeDir = path.join(baseDir, uuid);
+    const existing = await describeExistingPath(volumeDir);
+    if (existing) {
+      overwrites.push(`${existing} -> moved to ${path.join(preRestoreDir, uuid)}`);
+      steps.push({ description: `Move current volume of ${label} aside`, command: `sudo mkdir -p ${shellQuote(preRestoreDir)} && sudo mv ${shellQuote(volumeDir)} ${shellQuote(`${preRestoreDir}/`)}` });
+    }
+    steps.push({ description: `Restore volume of ${label}`, command: sources.get(uuid) });
+  }
+
+  if (!restoreOptions.noEnv && envCommand) {
+    const existing = await describeExistingPath(envFile);
+    if (existing) {
+      overwrites.push(`${existing} -> copied to ${envFile}.pre-restore-${stamp}`);
+      steps.push({ description: 'Save current panel environment file', command: `sudo cp ${shellQuote(envFile)} ${shellQuote(`${envFile}.pre-restore-${stamp}`)}` });
+    }
+    steps.push({ description: 'Restore panel environment file', command: envCommand });
+  }
+
+  const notes = ['Stop the affected servers in the panel before applying the restore.'];
+  const skipped = (backup.metadata && backup.metadata.skipped) || [];
+  if (skipped.length) {
+    notes.push(`This backup does not contain ${skipped.length} server(s) that were skipped: ${skipped.map(uuid => volumeLabel(uuid, serverNames[uuid])).join(', ')}`);
+  }
+
+  return {
+    title: `Pterodactyl backup ${backup.id}`,
+    overwrites,
+    notes,
+    steps,
+  };
+}
+
+// Per-server rules under servers.<uuid>
+const serverRulesSchema = {
+  type: 'object',
+  properties: {
+    skip: { type: 'boolean' },
+    sizeThreshold: { type: 'number', min: 0 },
+    largeVolumes: { type: 'string', enum: ['fast', 'dedup', 'skip'] },
+    include: { type: 'array', items: { type: 'string' } },
+    exclude: { type: 'array', items: { type: 'string' } },
+    consistency: { type: 'string', enum: ['none', 'command', 'stop', 'suspend'] },
+    commandsBefore: { type: 'array', items: { type: 'string' } },
+    commandsAfter: { type: 'array', items: { type: 'string' } },
+  },
+};
+
+// Connection to the panel API, used to pause servers while their volume is copied and to show server names
+const panelSchema = {
+  type: 'object',
+  properties: {
+    url: { type: 'string', format: 'url', allowEmpty: true },
+    apiKey: { type: 'string', allowEmpty: true },
+    applicationApiKey: { type: 'string', allowEmpty: true },
+    timeout: { type: 'integer', min: 1 },
+  },
+};
+
+module.exports = {
+  id: 'pterodactyl',
+  name: 'Pterodactyl',
+  iconUrl: 'https://pterodactyl.io/logos/pterry.svg',
+  color: 868992,
+  backupDirName: 'pterodactyl_backups',
+  defaults: {
+    maxBackups: 4,
+    baseDir: '/var/lib/pterodactyl/volumes',
+    envFile: '/var/www/pterodactyl/.env',
+    sizeThreshold: 1000, // in MB, volumes this large are handled by largeVolumes
+    largeVolumes: 'fast', // fast, dedup or skip
+    largeVolumeLevel: 1, // compression level for large volumes with largeVolumes: fast
+    servers: {},
+    storage: 'archive', // or dedup
+    repository: '', // dedup repository, defaults to <backup dir>/repository
+    panel: {
+      url: '', // e.g. https://panel.example.com, enables server names and the consistency options
+      apiKey: '',
+      applicationApiKey: '', // only needed for consistency: suspend
+      timeout: 30, // in seconds, per API request
+    },
+    consistency: 'none', // none, command, stop or suspend
+    commandsBefore: ['save-all'],
+    commandsAfter: [],
+    commandWait: 10, // in seconds, after commandsBefore
+    stopTimeout: 120, // in seconds, for a server to stop
+  },
+  optionsSchema: {
+    baseDir: { type: 'string' },
+    envFile: { type: 'string' },
+    sizeThreshold: { type: 'number', min: 0 },
+    largeVolumes: { type: 'string', enum: ['fast', 'dedup', 'skip'] },
+    largeVolumeLevel: { type: 'integer', min: 1, max: 9 },
+    servers: { type: 'object', values: serverRulesSchema },
+    storage: { type: 'string', enum: ['archive', 'dedup'] },
+    repository: { type: 'string', allowEmpty: true },
+    panel: panelSchema,
+    consistency: { type: 'string', enum: ['none', 'command', 'stop', 'suspend'] },
+    commandsBefore: { type: 'array', items: { type: 'string' } },
+    commandsAfter: { type: 'array', items: { type: 'string' } },
+    commandWait: { type: 'integer', min: 0 },
+    stopTimeout: { type: 'integer', min: 1 },
+  },
+  validate: validatePterodactylOptions,
+  run: runPterodactylBackup,
+  scanBackups: scanPterodactylBackups,
+  collectGarbage: collectPterodactylGarbage,
+  repository: pterodactylRepository,
+  restore: planPterodactylRestore,
+  verify: verifyPterodactylBackup,
+};
@@ -0,0 +1,600 @@
+const fs = require('fs');
+const path = require('path');
+const { BackupError, decompressCommand, decryptCommand, directorySize, ensureDir, execPipeline, formatRate, formatSize, getDirectories, globToRegExp, removeStaleCopies, resolveCompression, restoreStamp, runCommand, shellQuote, streamCommandToFile, stripCompressionExtension, stripEncryptionSuffix } = require('../module-api');
+
+// Dump file (or directory) name per format: plain SQL (plus the extension of the configured compression),
+// pg_dump's custom format (-Fc) or its directory format (-Fd, one file per table, packed into a tar when
+// it gets encrypted). The custom and directory formats are compressed by pg_dump at compressionLevel.
+const dumpExtensions = {
+  plain: '.sql',
+  custom: '.dump',
+  directory: '.dir',
+};
+
+// Helper function to list the Postgres instances to back up, with the module-level options as their defaults
+// Without instances, the single container `containerName` is backed up
+function postgresInstances(options) {
+  const instances = options.instances.length ? options.instances : [{ container: options.containerName }];
+  return instances.map(instance => ({
+    user: options.user,
+    port: 5432,
+    databases: options.databases,
+    include: options.include,
+    exclude: options.exclude,
+    format: options.format,
+    jobs: options.jobs,
+    compressionLevel: options.compressionLevel,
+    includeTables: options.includeTables,
+    excludeTables: options.excludeTables,
+    excludeTableData: options.excludeTableData,
+    ...instance,
+    // The name is also the directory of the instance's dumps in every backup run
+    name: (instance.name || instance.container || `${instance.host}_${instance.port || 5432}`).replace(/[^\w.-]+/g, '_'),
+  }));
+}
+
+// Helper function to build a Postgres client command for an instance:
+// docker exec into its container, or the local client connecting to its host
+function postgresCommand(instance, program, args, { stdin = false } = {}) {
+  if (instance.container) {
+    return `sudo docker exec${stdin ? ' -i' : ''} ${shellQuote(instance.container)} ${program} -U ${shellQuote(instance.user)} ${args}`;
+  }
+  const passfile = instance.passwordFile ? `PGPASSFILE=${shellQuote(instance.passwordFile)} ` : '';
+  return `${passfile}${program} -h ${shellQuote(instance.host)} -p ${instance.port} -U ${shellQuote(instance.user)} ${args}`;
+}
+
+// Helper function to quote a database name for SQL statements
+function sqlIdentifier(name) {
+  return `"${name.replace(/"/g, '""')}"`;
+}
+
+// Helper function to build the same command as an argument array, for runCommand and streamCommandToFile
+// (restore plans are shown to the user and keep using the shell strings above)
+function postgresArgs(instance, program, args) {
+  if (instance.container) {
+    return ['sudo', 'docker', 'exec', instance.container, program, '-U', instance.user, ...args];
+  }
+  const passfile = instance.passwordFile ? ['env', `PGPASSFILE=${instance.passwordFile}`] : [];
+  return [...passfile, program, '-h', instance.host, '-p', String(instance.port), '-U', instance.user, ...args];
+}
+
+// Helper function to check that an instance's container is running (hosts are checked by connecting to them)
+async function checkInstance(ctx, instance) {
+  if (!instance.container) return;
+  const { stdout } = await runCommand(['docker', 'inspect', '-f', '{{.State.Running}}', instance.container], { sudo: true })
+    .catch(() => ({ stdout: '' }));
+  if (stdout.trim() !== 'true') {
+    throw new Error(`Container '${instance.container}' is not running.`);
+  }
+}
+
+// Helper function to find the databases to back up on an instance: its `databases` list, or every database
+// that accepts connections (templates excluded) matching `include` and none of `exclude`
+async function discoverDatabases(ctx, instance) {
+  if (instance.databases.length) return instance.databases;
+
+  const { stdout } = await runCommand(postgresArgs(instance, 'psql', ['-d', 'postgres', '-Atc', 'SELECT datname FROM pg_database WHERE datallowconn AND NOT datistemplate ORDER BY datname']));
+  const matches = (patterns, name) => patterns.some(pattern => globToRegExp(pattern).test(name));
+  return stdout.split('\n')
+    .map(name => name.trim())
+    .filter(name => name && matches(instance.include, name) && !matches(instance.exclude, name));
+}
+
+// Helper function to check whether a database uses the TimescaleDB extension
+async function hasTimescaleDb(ctx, instance, db) {
+  const { stdout } = await runCommand(postgresArgs(instance, 'psql', ['-d', db, '-Atc', "SELECT count(*) FROM pg_extension WHERE extname = 'timescaledb'"]));
+  return stdout.trim() === '1';
+}
+
+// Helper function to build pg_dump's table selection from includeTables, excludeTables and excludeTableData
+// (pg_dump patterns such as public.metrics or *_raw). The rows of a hypertable live in its chunk tables,
+// so a pattern matching a hypertable selects its chunks as well. Returns pg_dump arguments.
+async function tableSelection(ctx, instance, db, timescale) {
+  const { includeTables, excludeTables, excludeTableData } = instance;
+  if (!includeTables.length && !excludeTables.length && !excludeTableData.length) return [];
+
+  let hypertables = [];
+  if (timescale) {
+    const { stdout } = await runCommand(postgresArgs(instance, 'psql', ['-d', db, '-Atc', "SELECT schema_name || '.' || table_name, associated_schema_name || '.' || associated_table_prefix || '_*' FROM _timescaledb_catalog.hypertable"]));
+    hypertables = stdout.split('\n').filter(Boolean).map(line => line.split('|'));
+  }
+
+  const withChunks = patterns => patterns.flatMap(pattern => {
+    const regex = globToRegExp(pattern.includes('.') ? pattern : `*.${pattern}`);
+    return [pattern, ...hypertables.filter(([table]) => regex.test(table)).map(([, chunks]) => chunks)];
+  });
+
+  return [
+    ...withChunks(includeTables).flatMap(pattern => ['-t', pattern]),
+    ...withChunks(excludeTables).flatMap(pattern => ['-T', pattern]),
+    ...withChunks(excludeTableData).map(pattern => `--exclude-table-data=${pattern}`),
+  ];
+}
+
+// Helper function to dump a database in the instance's format, returns the written file (or directory) and its size
+async function dumpDatabase(ctx, instance, db, dbBackupDir, selection) {
+  const { format, jobs, compressionLevel } = instance;
+  const dumpPath = path.join(dbBackupDir, `${db}_${ctx.date}${dumpExtensions[format]}`);
+
+  if (format !== 'directory') {
+    // Plain SQL is compressed on the fly (gzip at compressionLevel, unless compression says otherwise),
+    // the custom format is compressed by pg_dump itself
+    const { file, compressedBytes, seconds } = await streamCommandToFile({
+      command: postgresArgs(instance, 'pg_dump', format === 'plain' ? ['-C', ...selection, db] : ['-Fc', '-Z', String(compressionLevel), ...selection, db]),
+      file: dumpPath,
+      compression: format === 'plain' ? resolveCompression(ctx.options.compression, { level: compressionLevel }) : { algorithm: 'none' },
+      stats: ctx.compressionStats,
+      encryption: ctx.encryption,
+    });
+    return { file, bytes: compressedBytes, seconds };
+  }
+
+  // The directory format is written by `jobs` parallel workers, inside a container to its /tmp first
+  // (pg_dump refuses to write into a directory left by an earlier run of the same day)
+  const startedAt = Date.now();
+  const args = ['-Fd', '-j', String(jobs), '-Z', String(compressionLevel), ...selection];
+  fs.rmSync(dumpPath, { recursive: true, force: true });
+  if (instance.container) {
+    const containerPath = `/tmp/${path.basename(dumpPath)}`;
+    try {
+      await runCommand(postgresArgs(instance, 'pg_dump', [...args, '-f', containerPath, db]));
+      await runCommand(['docker', 'cp', `${instance.container}:${containerPath}`, dumpPath], { sudo: true });
+      await runCommand(['chown', '-R', `${process.getuid()}:${process.getgid()}`, dumpPath], { sudo: true });
+    } finally {
+      await runCommand(['docker', 'exec', instance.container, 'rm', '-rf', containerPath], { sudo: true }).catch(() => {});
+    }
+  } else {
+    await runCommand(postgresArgs(instance, 'pg_dump', [...args, '-f', dumpPath, db]));
+  }
+
+  // Files can only be encrypted one at a time, so an encrypted directory dump becomes a single tar
+  if (ctx.encryption) {
+    const { file, compressedBytes } = await streamCommandToFile({
+      command: ['tar', '-cf', '-', '-C', dbBackupDir, path.basename(dumpPath)],
+      file: `${dumpPath}.tar`,
+      compress: false,
+      encryption: ctx.encryption,
+    });
+    fs.rmSync(dumpPath, { recursive: true, force: true });
+    return { file, bytes: compressedBytes, seconds: (Date.now() - startedAt) / 1000 };
+  }
+
+  return { file: dumpPath, bytes: directorySize(dumpPath), seconds: (Date.now() - startedAt) / 1000 };
+}
+
+// TimescaleDB backup function: per instance, the globals (roles, grants, tablespaces) and a dump of every database
+async function runTimescaleDbBackup(ctx) {
+  const { globals } = ctx.options;
+  const timestamp = ctx.date;
+  const runDir = path.join(ctx.backupDir, timestamp);
+
+  const sources = [];
+  const tasks = [];
+
+  // First find the databases of every instance, then dump them (and the instances' globals) side by side
+  for (const instance of postgresInstances(ctx.options)) {
+    const instanceDir = path.join(runDir, instance.name);
+    let databases;
+
+    try {
+      await checkInstance(ctx, instance);
+      databases = await discoverDatabases(ctx, instance);
+    } catch (error) {
+      ctx.error(`Failed to list the databases of ${instance.name}: ${error.message}`);
+      ctx.skip(`Instance ${instance.name}`, error.message);
+      continue;
+    }
+
+    if (databases.length === 0) {
+      ctx.warn(`No databases to back up on ${instance.name} (check its include/exclude patterns).`);
+      continue;
+    }
+    ctx.log(`=== Instance ${instance.name}: ${databases.join(', ')} ===`);
+    sources.push(`${instance.name}: ${databases.join(', ')}`);
+
+    ensureDir(instanceDir);
+
+    // Roles and grants live outside the databases, pg_dump doesn't include them
+    if (globals) {
+      tasks.push({ instance, instanceDir, globals: true });
+    }
+    tasks.push(...databases.map(db => ({ instance, instanceDir, db })));
+  }
+
+  const dumpGlobals = async ({ instance, instanceDir }) => {
+    try {
+      const { file, compressedBytes } = await streamCommandToFile({
+        command: postgresArgs(instance, 'pg_dumpall', ['--globals-only']),
+        file: path.join(instanceDir, `globals_${timestamp}.sql`),
+        compression: ctx.compression,
+        stats: ctx.compressionStats,
+        encryption: ctx.encryption,
+      });
+      ctx.success(`✓ Roles and grants of ${instance.name} backed up: ${path.basename(file)} (Size: ${formatSize(compressedBytes)})`);
+      removeStaleCopies(file);
+      return { bytes: compressedBytes };
+    } catch (error) {
+      ctx.error(`Failed to back up roles and grants of ${instance.name}: ${error.message}`);
+      ctx.skip(`Roles and grants of ${instance.name}`, 'pg_dumpall --globals-only failed', `Roles and grants of ${instance.name} were NOT backed up (pg_dumpall --globals-only needs a superuser).`);
+      return { bytes: 0 };
+    }
+  };
+
+  const dumpTask = async ({ instance, instanceDir, db }) => {
+    ctx.log(`=== Processing database: ${instance.name}/${db} ===`);
+
+    // Create database-specific backup directory
+    const dbBackupDir = path.join(instanceDir, db);
+    ensureDir(dbBackupDir);
+
+    // Restores wrap TimescaleDB databases in timescaledb_pre_restore()/post_restore()
+    const timescale = await hasTimescaleDb(ctx, instance, db);
+    const selection = await tableSelection(ctx, instance, db, timescale);
+
+    ctx.log(`Creating ${instance.format} dump for ${instance.name}/${db}${selection.length ? ` (tables: ${selection.join(' ')})` : ''}...`);
+
+    // Execute pg_dump (through Docker for containers)
+    const { file, bytes, seconds } = await dumpDatabase(ctx, instance, db, dbBackupDir, selection);
+    removeStaleCopies(file);
+
+    ctx.success(`✓ ${instance.name}/${db} backup completed: ${path.basename(file)} (Size: ${formatSize(bytes)}, ${formatRate(bytes, seconds)})`);
+
+    return { bytes, key: `${instance.name}/${db}`, dump: { format: instance.format, timescaledb: timescale, tables: selection.join(' ') || null } };
+  };
+
+  let totalCompressedSize = 0;
+  let backupCount = 0;
+  const dumped = {};
+  for (const result of await ctx.runTasks(tasks, task => (task.globals ? dumpGlobals(task) : dumpTask(task)))) {
+    totalCompressedSize += result.bytes;
+    if (result.dump) {
+      dumped[result.key] = result.dump;
+      backupCount++;
+    }
+  }
+
+  if (backupCount === 0) {
+    throw new BackupError('No database was backed up.', 'NOTHING_BACKED_UP');
+  }
+
+  const totalCompressedSizeHuman = formatSize(totalCompressedSize);
+
+  ctx.success(`Total backups: ${backupCount}, Total size: ${totalCompressedSizeHuman}`);
+  console.log(`Backup location: ${runDir}/{instance}/{database_name}/`);
+
+  return {
+    artifacts: [runDir],
+    source: sources.join('; '),
+    compressedSize: totalCompressedSizeHuman,
+    metadata: { databases: dumped },
+  };
+}
+
+// Helper function to find the dumps of a backup run, by instance: Map name -> { globals, databases: Map db -> file }
+// Runs made before instances existed have <run>/<database>/ directories, those belong to the first instance
+function findDumps(runDir, instances) {
+  const isDump = file => /\.(sql|dump|dir|dir\.tar)$/.test(stripCompressionExtension(file));
+  const firstDump = dir => fs.readdirSync(dir).filter(isDump).map(file => path.join(dir, file))[0];
+  const dumps = new Map();
+  const instanceDumps = name => {
+    if (!dumps.has(name)) dumps.set(name, { globals: null, databases: new Map() });
+    return dumps.get(name);
+  };
+
+  for (const dir of getDirectories(runDir)) {
+    const dirPath = path.join(runDir, dir);
+    const files = fs.readdirSync(dirPath).filter(isDump);
+
+    if (files.some(file => file.startsWith(`${dir}_`))) {
+      instanceDumps(instances[0].name).databases.set(dir, firstDump(dirPath));
+      continue;
+    }
+
+    const entry = instanceDumps(dir);
+    entry.globals = files.filter(file => file.startsWith('globals_')).map(file => path.join(dirPath, file))[0] || null;
+    for (const db of getDirectories(dirPath)) {
+      const dump = firstDump(path.join(dirPath, db));
+      if (dump) entry.databases.set(db, dump);
+    }
+  }
+
+  return dumps;
+}
+
+// Find backup runs on disk (one directory per date), newest first
+function scanTimescaleDbBackups(ctx) {
+  if (!fs.existsSync(ctx.backupDir)) return [];
+  return getDirectories(ctx.backupDir)
+    .filter(dir => /^\d{4}-\d{2}-\d{2}$/.test(dir))
+    .sort((a, b) => b.localeCompare(a))
+    .map(dir => path.join(ctx.backupDir, dir));
+}
+
+// Helper function to look up what the backup recorded about a database dump (nothing for older backups)
+function databaseInfo(backup, instanceName, db) {
+  const databases = (backup.metadata && backup.metadata.databases) || {};
+  return databases[`${instanceName}/${db}`] || {};
+}
+
+// Helper function to build the steps that load a dump into the (not yet existing) database target:
+// - plain dumps are made with -C and create their database themselves, unless it gets another name
+// - custom and directory dumps go through pg_restore, with `jobs` workers when it can read the dump itself
+//   (directories are extracted and/or copied into the container first, and removed by the steps marked cleanup)
+// - TimescaleDB databases are created first and loaded between timescaledb_pre_restore() and post_restore()
+function loadDumpSteps(ctx, instance, dumpFile, db, target, timescale) {
+  const { jobs } = instance;
+  const psql = postgresCommand(instance, 'psql', '-v ON_ERROR_STOP=1', { stdin: true });
+  const dumpName = path.basename(dumpFile);
+  const format = stripEncryptionSuffix(dumpFile);
+  const createsDatabase = target === db && !timescale;
+  const steps = [];
+  const cleanup = [];
+  let load;
+
+  if (stripCompressionExtension(dumpFile).endsWith('.sql')) {
+    const readDump = decompressCommand(dumpFile, ctx.encryption);
+    // Strip the CREATE DATABASE and \connect statements so the dump loads into the created database, and point
+    // its ALTER DATABASE statements (owner, settings such as search_path) and comment at that database
+    const renameDatabase = `s/^(ALTER DATABASE|COMMENT ON DATABASE) ("([^"]|"")*"|[^ ]+) /\\1 ${sqlIdentifier(target).replace(/[\\&/]/g, '\\$&')} /`;
+    load = createsDatabase
+      ? `${readDump} | ${psql} -d postgres`
+      : `${readDump} | sed -E ${shellQuote(`/^CREATE DATABASE /d; /^\\\\connect /d; ${renameDatabase}`)} | ${psql} -d ${shellQuote(target)}`;
+  } else {
+    const restoreArgs = createsDatabase ? '-C -d postgres' : `-d ${shellQuote(target)}`;
+    let source = dumpFile;
+
+    if (format.endsWith('.dir.tar')) {
+      source = path.join(path.dirname(dumpFile), path.basename(format, '.tar'));
+      steps.push({ description: `Extract ${dumpName}`, command: `${decryptCommand(dumpFile, ctx.encryption)} | tar -x -C ${shellQuote(path.dirname(dumpFile))}` });
+      cleanup.push({ description: `Remove the extracted ${path.basename(source)}`, command: `rm -rf ${shellQuote(source)}` });
+    }
+
+    if (format.endsWith('.dump') && (instance.container || ctx.encryption)) {
+      // Read from stdin, which pg_restore can't split between parallel workers
+      load = `${decryptCommand(dumpFile, ctx.encryption)} | ${postgresCommand(instance, 'pg_restore', restoreArgs, { stdin: true })}`;
+    } else {
+      if (instance.container) {
+        const containerPath = `/tmp/restore_${restoreStamp()}_${path.basename(source)}`;
+        steps.push({ description: `Copy ${path.basename(source)} into ${instance.container}`, command: `sudo docker cp ${shellQuote(source)} ${shellQuote(`${instance.container}:${containerPath}`)}` });
+        cleanup.push({ description: `Remove the copy in ${instance.container}`, command: `sudo docker exec ${shellQuote(instance.container)} rm -rf ${shellQuote(containerPath)}` });
+        source = containerPath;
+      }
+      load = postgresCommand(instance, 'pg_restore', `-j ${jobs} ${restoreArgs} ${shellQuote(source)}`);
+    }
+  }
+
+  if (!createsDatabase) {
+    steps.push({ description: `Create database ${target}`, command: `${psql} -d postgres -c ${shellQuote(`CREATE DATABASE ${sqlIdentifier(target)}`)}` });
+  }
+  if (timescale) {
+    steps.push({ description: `Prepare ${target} for a TimescaleDB restore`, command: `${psql} -d ${shellQuote(target)} -c 'CREATE EXTENSION IF NOT EXISTS timescaledb' -c 'SELECT timescaledb_pre_restore()'` });
+  }
+  steps.push({ description: `Load ${dumpName} into ${target}`, command: load });
+  if (timescale) {
+    steps.push({ description: `Finish the TimescaleDB restore of ${target}`, command: `${psql} -d ${shellQuote(target)} -c 'SELECT timescaledb_post_restore()'` });
+  }
+
+  return [...steps, ...cleanup.map(step => ({ ...step, cleanup: true }))];
+}
+
+// TimescaleDB restore plan: load the roles and grants, then the gzipped SQL dumps into their instance with psql
+async function planTimescaleDbRestore(ctx, backup, restoreOptions) {
+  const instances = postgresInstances(ctx.options);
+  const dumps = findDumps(backup.path, instances);
+
+  let selected = [...dumps.keys()];
+  if (restoreOptions.instance) {
+    if (!dumps.has(restoreOptions.instance)) {
+      throw new Error(`Instance '${restoreOptions.instance}' is not part of backup ${backup.id} (it has: ${selected.join(', ')}).`);
+    }
+    selected = [restoreOptions.instance];
+  }
+
+  // Databases to restore per instance
+  const plan = selected.map(name => {
+    let databases = [...dumps.get(name).databases.keys()];
+    if (restoreOptions.database) databases = databases.filter(db => db === restoreOptions.database);
+    return { name, globals: dumps.get(name).globals, databases };
+  }).filter(item => item.databases.length);
+
+  const databaseCount = plan.reduce((sum, item) => sum + item.databases.length, 0);
+  if (restoreOptions.database && databaseCount === 0) {
+    throw new Error(`Database '${restoreOptions.database}' is not part of backup ${backup.id}.`);
+  }
+  if (restoreOptions.as && databaseCount !== 1) {
+    throw new Error(`--as can only be used when restoring a single database (use --database, and --instance if several instances have it).`);
+  }
+
+  const overwrites = [];
+  const notes = [];
+  const steps = [];
+
+  for (const { name, globals, databases } of plan) {
+    const instance = instances.find(item => item.name === name);
+    if (!instance) {
+      throw new Error(`Backup ${backup.id} contains instance '${name}', which is not configured anymore (see instances).`);
+    }
+    const psql = postgresCommand(instance, 'psql', '-v ON_ERROR_STOP=1', { stdin: true });
+
+    // Find out which databases already exist on the instance
+    const { stdout: dbList } = await ctx.exec(postgresCommand(instance, 'psql', '-d postgres -Atc "SELECT datname FROM pg_database"'));
+    const existingDatabases = dbList.trim().split('\n').map(db => db.trim());
+
+    if (globals && !restoreOptions.noGlobals) {
+      // Without ON_ERROR_STOP: roles that already exist report an error, and the rest still applies
+      overwrites.push(`roles of ${name} (existing roles get the attributes and passwords from the backup)`);
+      steps.push({
+        description: `Load roles and grants into ${name} ("already exists" errors are expected)`,
+        command: `${decompressCommand(globals, ctx.encryption)} | ${postgresCommand(instance, 'psql', '-q -d postgres', { stdin: true })}`,
+      });
+    } else if (!globals) {
+      notes.push(`Backup ${backup.id} has no roles and grants for ${name}, the roles owning its databases must exist already.`);
+    }
+
+    for (const db of databases) {
+      const dumpFile = dumps.get(name).databases.get(db);
+      const target = restoreOptions.as || db;
+
+      if (existingDatabases.includes(target)) {
+        if (!restoreOptions.force) {
+          throw new Error(`Database '${target}' already exists in ${name}. Use --force to drop and replace it, or --as <name> to restore under a different name.`);
+        }
+        overwrites.push(`database ${target} in ${name} (dropped and recreated)`);
+        steps.push({ description: `Drop existing database ${target}`, command: `${psql} -d postgres -c ${shellQuote(`DROP DATABASE ${sqlIdentifier(target)}`)}` });
+      }
+
+      steps.push(...loadDumpSteps(ctx, instance, dumpFile, db, target, databaseInfo(backup, name, db).timescaledb));
+    }
+  }
+
+  return {
+    title: `TimescaleDB backup ${backup.id}`,
+    overwrites,
+    notes,
+    steps,
+  };
+}
+
+// Helper function to wait until Postgres in a container accepts TCP connections (i.e. its init is done)
+async function waitForPostgres(ctx, container, user, attempts = 60) {
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    try {
+      await ctx.exec(`sudo docker exec ${container} pg_isready -h 127.0.0.1 -U ${user}`);
+      return;
+    } catch (error) {
+      await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+  }
+  throw new Error(`Postgres in ${container} did not become ready within ${attempts} seconds.`);
+}
+
+// TimescaleDB verification: optionally load every dump into a throwaway container to prove it restores
+// (one container per instance, as database names may repeat across instances)
+async function verifyTimescaleDbBackup(ctx, backup, verifyOptions) {
+  const { verifyRestore, verifyImage } = ctx.options;
+  if (!verifyOptions.restoreTest && !verifyRestore) return;
+
+  for (const [name, { globals, databases }] of findDumps(backup.path, postgresInstances(ctx.options))) {
+    const container = `backup-verify-${ctx.id}-${Date.now()}`;
+    const throwaway = { name, container, user: 'postgres', jobs: ctx.options.jobs };
+    const psql = `sudo docker exec -i ${container} psql -U postgres -v ON_ERROR_STOP=1`;
+
+    ctx.log(`Starting throwaway container ${container} (${verifyImage}) for ${name}...`);
+    await ctx.exec(`sudo docker run -d --rm --name ${container} -e POSTGRES_PASSWORD=verify ${verifyImage}`);
+
+    try {
+      await waitForPostgres(ctx, container, 'postgres');
+
+      // Roles first, so the databases can be given to their owners (the postgres role itself already exists)
+      if (globals) {
+        await execPipeline(`${decompressCommand(globals, ctx.encryption)} | sudo docker exec -i ${container} psql -U postgres -q -d postgres > /dev/null 2>&1`);
+      }
+
+      for (const [db, dumpFile] of databases) {
+        ctx.log(`Loading ${path.basename(dumpFile)} into the throwaway container...`);
+        const steps = loadDumpSteps(ctx, throwaway, dumpFile, db, db, databaseInfo(backup, name, db).timescaledb);
+        try {
+          for (const step of steps.filter(item => !item.cleanup)) {
+            await execPipeline(`${step.command} > /dev/null`);
+          }
+        } finally {
+          for (const step of steps.filter(item => item.cleanup)) {
+            await execPipeline(step.command).catch(() => {});
+          }
+        }
+
+        const { stdout } = await ctx.exec(`${psql} -d ${shellQuote(db)} -Atc "SELECT count(*) FROM information_schema.tables WHERE table_schema NOT IN ('pg_catalog', 'information_schema', '_timescaledb_catalog', '_timescaledb_config', '_timescaledb_internal', '_timescaledb_cache', 'timescaledb_information', 'timescaledb_experimental')"`);
+        ctx.success(`✓ ${db} of ${name} restored in the throwaway container (${stdout.trim()} tables).`);
+      }
+    } finally {
+      await ctx.exec(`sudo docker rm -f ${container}`).catch(() => {});
+    }
+  }
+}
+
+// Every instance needs either a container or a host, and a name of its own
+function validateTimescaleDbOptions(options) {
+  const problems = [];
+  options.instances.forEach((instance, index) => {
+    if (Boolean(instance.container) === Boolean(instance.host)) {
+      problems.push(`'instances[${index}]' needs either 'container' or 'host'`);
+    }
+  });
+  const names = postgresInstances(options).map(instance => instance.name);
+  const duplicates = names.filter((name, index) => names.indexOf(name) !== index);
+  if (duplicates.length) {
+    problems.push(`'instances' has several instances named ${[...new Set(duplicates)].join(', ')} (set 'name' to tell them apart)`);
+  }
+  return problems;
+}
+
+// One Postgres instance under instances: a Docker container, or a host the local client connects to
+// (user, databases, include, exclude, the dump format and the table options default to the module-level options)
+const instanceSchema = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    container: { type: 'string' },
+    host: { type: 'string' },
+    port: { type: 'integer', min: 1, max: 65535 },
+    user: { type: 'string' },
+    passwordFile: { type: 'string' }, // a .pgpass file, passed as PGPASSFILE
+    databases: { type: 'array', items: { type: 'string' } },
+    include: { type: 'array', items: { type: 'string' } },
+    exclude: { type: 'array', items: { type: 'string' } },
+    format: { type: 'string', enum: Object.keys(dumpExtensions) },
+    jobs: { type: 'integer', min: 1 },
+    compressionLevel: { type: 'integer', min: 0, max: 9 },
+    includeTables: { type: 'array', items: { type: 'string' } },
+    excludeTables: { type: 'array', items: { type: 'string' } },
+    excludeTableData: { type: 'array', items: { type: 'string' } },
+  },
+};
+
+module.exports = {
+  id: 'timescaledb',
+  name: 'TimescaleDB',
+  iconUrl: 'https://s3.amazonaws.com/assets.timescale.com/timescale-web/brand-images/badge/yellow/logo-yellow.svg',
+  color: 16121728,
+  backupDirName: 'timescaledb_backups',
+  defaults: {
+    maxBackups: 6,
+    containerName: 'TimescaleDB', // used when no instances are listed
+    user: 'postgres',
+    databases: [], // empty: every database of the instance matching include and not exclude
+    include: ['*'],
+    exclude: ['postgres'],
+    globals: true, // roles, grants and tablespaces (pg_dumpall --globals-only)
+    format: 'plain', // plain (SQL through gzip), custom (pg_dump -Fc) or directory (pg_dump -Fd)
+    jobs: 1, // parallel pg_dump workers (directory format) and pg_restore workers
+    compressionLevel: 6,
+    includeTables: [], // pg_dump table patterns, hypertables include their chunks
+    excludeTables: [],
+    excludeTableData: [], // keep the table definition, leave out its rows
+    instances: [], // containers ({ container }) and Postgres hosts ({ host, port, passwordFile }) to back up
+    verifyRestore: false,
+    verifyImage: 'timescale/timescaledb:latest-pg16',
+  },
+  optionsSchema: {
+    containerName: { type: 'string' },
+    user: { type: 'string' },
+    databases: { type: 'array', items: { type: 'string' } },
+    include: { type: 'array', items: { type: 'string' } },
+    exclude: { type: 'array', items: { type: 'string' } },
+    globals: { type: 'boolean' },
+    format: { type: 'string', enum: Object.keys(dumpExtensions) },
+    jobs: { type: 'integer', min: 1 },
+    compressionLevel: { type: 'integer', min: 0, max: 9 },
+    includeTables: { type: 'array', items: { type: 'string' } },
+    excludeTables: { type: 'array', items: { type: 'string' } },
+    excludeTableData: { type: 'array', items: { type: 'string' } },
+    instances: { type: 'array', items: instanceSchema },
+    verifyRestore: { type: 'boolean' },
+    verifyImage: { type: 'string' },
+  },
+  validate: validateTimescaleDbOptions,
+  run: runTimescaleDbBackup,
+  scanBackups: scanTimescaleDbBackups,
+  restore: planTimescaleDbRestore,
+  verify: verifyTimescaleDbBackup,
+};
@@ -0,0 +1,107 @@
+const { hookLines, reportHeadline } = require('./format');
+const { request } = require('./http');
+
+// Embed color of failed modules (red)
+const FAILURE_COLOR = 15158332;
+
+// Helper function to format the available backups for an embed
+function formatBackupList(backups) {
+  return backups
+    .slice(0, 10)
+    .map(backup => {
+      const date = backup.startedAt.split('T')[0].split('-').reverse().join('/');
+      const size = backup.totalBytes > 1024 * 1024 * 1024
+        ? `${(backup.totalBytes / (1024 * 1024 * 1024)).toFixed(2)} GB`
+        : `${(backup.totalBytes / (1024 * 1024)).toFixed(2)} MB`;
+      const icon = backup.files > 1 ? '📁' : '📄';
+      return `- ${icon} ${date} (${size}${backup.files > 1 ? `, ${backup.files} files` : ''})`;
+    })
+    .join('\n');
+}
+
+// Helper function to format the warnings of a module for an embed
+function formatWarnings(warnings) {
+  if (warnings.length === 0) return '';
+  return `**⚠️ Warnings:**\n${warnings.map(warning => `- ${warning}`).join('\n')}\n`;
+}
+
+// Helper function to format where a backup was uploaded to for an embed
+function formatRemoteCopies(remote) {
+  if (remote.length === 0) return '';
+  return `**Uploaded To:**\n${remote.map(copy => `- ${copy.destination}: \`${copy.location}\``).join('\n')}\n`;
+}
+
+// Helper function to build the embed description of a module: logs, warnings, uploads and backups
+function embedDescription(module) {
+  return `**Logs:**\n\`\`\`\n${module.logs.slice(-10).join('\n')}\n\`\`\`\n${formatWarnings(module.warnings)}${formatRemoteCopies(module.remote)}**Backups Available:**\n${formatBackupList(module.backups) || 'No backups found'}\nKeeping ${module.retention}, Currently ${module.backups.length} backups`;
+}
+
+// Message for a backup of a single module that succeeded
+function singlePayload(report) {
+  const module = report.modules[0];
+  const heading = module.warnings.length
+    ? `⚠️ Completed ${module.name} Backup with ${module.warnings.length} warning(s)`
+    : `✅ Completed ${module.name} Backup`;
+  return {
+    content: `${[heading, ...hookLines(report)].join('\n')}\n💽 Size${module.originalSize ? ' (Unzipped)' : ''}: \`${module.compressedSize}\`${module.originalSize ? ` (\`${module.originalSize}\`)` : ''}`,
+    embeds: [{
+      title: `Backup Completed (Size: \`${module.compressedSize}\`)`,
+      description: embedDescription(module),
+      color: module.color,
+      author: { name: module.name, icon_url: module.iconUrl },
+    }],
+  };
+}
+
+// Message with a summary and one embed per module (several modules, failures, verifications)
+function combinedPayload(report) {
+  const action = report.action.charAt(0).toUpperCase() + report.action.slice(1);
+  return {
+    content: [reportHeadline(report), ...hookLines(report)].join('\n'),
+    embeds: report.modules.map(module => ({
+      title: `${module.name} ${action} ${module.status === 'failure' ? 'Failed' : 'Completed'} (${module.summary || `Size: \`${module.compressedSize || 'FAILED'}\``})`,
+      description: embedDescription(module),
+      color: module.status === 'failure' ? FAILURE_COLOR : module.color,
+      author: { name: module.name, icon_url: module.iconUrl },
+    })),
+  };
+}
+
+// Create a Discord webhook notifier from its config section
+function create(name, options) {
+  return {
+    name,
+    type: 'discord',
+    description: `Discord webhook (${new URL(options.webhookUrl).host})`,
+
+    async send(report) {
+      const single = report.action === 'backup' && report.modules.length === 1 && report.status !== 'failure';
+      // Discord allows at most 10 embeds per message
+      const payload = single ? singlePayload(report) : combinedPayload(report);
+      for (let i = 0; i < Math.max(payload.embeds.length, 1); i += 10) {
+        await request({
+          url: options.webhookUrl,
+          data: {
+            content: i === 0 ? payload.content : '',
+            embeds: payload.embeds.slice(i, i + 10),
+            username: options.username,
+            attachments: [],
+          },
+          timeout: options.timeout,
+        });
+      }
+    },
+  };
+}
+
+module.exports = {
+  type: 'discord',
+  defaults: {
+    username: '', // Default: webhookUsername
+  },
+  optionsSchema: {
+    webhookUrl: { type: 'string', format: 'url', required: true },
+    username: { type: 'string', allowEmpty: true },
+  },
+  create,
+};
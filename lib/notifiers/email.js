@@ -0,0 +1,59 @@
+const nodemailer = require('nodemailer');
+const { reportHtml, reportText, reportTitle } = require('./format');
+
+// Create an email notifier (sends through an SMTP server) from its config section
+function create(name, options) {
+  const transport = nodemailer.createTransport({
+    host: options.host,
+    port: options.port,
+    secure: options.secure, // TLS from the start (port 465), otherwise STARTTLS when the server offers it
+    auth: options.user ? { user: options.user, pass: options.password } : undefined,
+    connectionTimeout: options.timeout * 1000,
+    greetingTimeout: options.timeout * 1000,
+    socketTimeout: options.timeout * 1000,
+  });
+
+  return {
+    name,
+    type: 'email',
+    description: `email to ${options.to.join(', ')} via ${options.host}:${options.port}`,
+
+    async send(report) {
+      try {
+        await transport.sendMail({
+          from: options.from,
+          to: options.to,
+          subject: `${options.subjectPrefix}${reportTitle(report)}`,
+          text: reportText(report),
+          html: `<div style="font-family: monospace">${reportHtml(report)}</div>`,
+        });
+      } catch (error) {
+        // 5xx replies (unknown recipient, authentication failed) won't change on the next attempt
+        if (error.responseCode >= 500) error.retryable = false;
+        throw error;
+      }
+    },
+  };
+}
+
+module.exports = {
+  type: 'email',
+  defaults: {
+    port: 587,
+    secure: false,
+    user: '',
+    password: '',
+    subjectPrefix: '[Backup] ',
+  },
+  optionsSchema: {
+    host: { type: 'string', required: true },
+    port: { type: 'integer', min: 1, max: 65535 },
+    secure: { type: 'boolean' },
+    user: { type: 'string', allowEmpty: true },
+    password: { type: 'string', allowEmpty: true },
+    from: { type: 'string', required: true },
+    to: { type: 'array', items: { type: 'string' }, minItems: 1, required: true },
+    subjectPrefix: { type: 'string', allowEmpty: true },
+  },
+  create,
+};
@@ -0,0 +1,85 @@
+const { formatSize } = require('../size');
+
+// Text versions of a run report (see lib/report.js) shared by the notifiers that don't build their own layout
+
+const statusIcons = {
+  success: '✅',
+  warning: '⚠️',
+  failure: '❌',
+};
+
+// Helper function to capitalize an action for titles (backup -> Backup)
+function actionName(report) {
+  return report.action.charAt(0).toUpperCase() + report.action.slice(1);
+}
+
+// One-line summary of a report, e.g. "✅ Backup Summary: 3 completed, ❌ 1 failed, ⚠️ 2 warning(s)"
+function reportHeadline(report) {
+  const { succeeded, failed, warnings } = report.summary;
+  let headline = `✅ ${actionName(report)} Summary: ${succeeded} completed`;
+  if (failed > 0) headline += `, ❌ ${failed} failed`;
+  if (warnings > 0) headline += `, ⚠️ ${warnings} warning(s)`;
+  return headline;
+}
+
+// Lines about hooks of the run that failed (module hooks show up in the module's warnings and logs)
+function hookLines(report) {
+  return (report.hooks || [])
+    .filter(hook => !hook.success)
+    .map(hook => `⚠️ The ${hook.stage} hook ${hook.name} failed: ${hook.error.message}`);
+}
+
+// Short title for subjects and push messages, e.g. "web01: Backup failed (TimescaleDB)"
+function reportTitle(report) {
+  const failed = report.modules.filter(module => module.status === 'failure').map(module => module.name);
+  if (failed.length) return `${report.host}: ${actionName(report)} failed (${failed.join(', ')})`;
+  if (report.status === 'warning') return `${report.host}: ${actionName(report)} completed with ${report.summary.warnings} warning(s)`;
+  return `${report.host}: ${actionName(report)} completed (${report.modules.map(module => module.name).join(', ')})`;
+}
+
+// Lines describing one module of a report, `bold` marks up the module name
+function moduleLines(module, bold = text => text) {
+  const size = module.compressedSize && module.compressedSize !== 'FAILED' && module.compressedSize !== 'SKIPPED'
+    ? ` (Size: ${module.compressedSize}${module.originalSize ? `, ${module.originalSize} uncompressed` : ''})`
+    : '';
+  const lines = [`${statusIcons[module.status]} ${bold(module.name)}: ${module.summary || (module.status === 'failure' ? 'failed' : 'completed')}${size}`];
+
+  if (module.error) lines.push(`   Error: ${module.error.message.replace(/\n/g, '\n   ')}`);
+  for (const warning of module.warnings) lines.push(`   Warning: ${warning}`);
+  for (const copy of module.remote) lines.push(`   Uploaded to ${copy.destination}: ${copy.location}`);
+  if (module.compression) lines.push(`   Compression: ${module.compression.summary}`);
+
+  const newest = module.backups[0];
+  lines.push(`   Backups: ${module.backups.length} (keeping ${module.retention})${newest ? `, newest ${newest.startedAt.slice(0, 10)} (${formatSize(newest.totalBytes)})` : ''}`);
+  return lines;
+}
+
+// The whole report as text: headline, then every module
+function reportText(report, bold = text => text) {
+  return [reportHeadline(report), ...hookLines(report), '', ...report.modules.flatMap(module => [...moduleLines(module, bold), ''])].join('\n').trim();
+}
+
+// Helper function to escape text for HTML bodies (email, Matrix)
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// The whole report as simple HTML (bold module names, one line per item)
+function reportHtml(report) {
+  const placeholder = '\u0000';
+  const text = reportText(report, name => `${placeholder}${name}${placeholder}`);
+  return escapeHtml(text)
+    .replace(new RegExp(`${placeholder}(.*?)${placeholder}`, 'g'), '<b>$1</b>')
+    .replace(/\n/g, '<br>\n');
+}
+
+module.exports = {
+  escapeHtml,
+  hookLines,
+  moduleLines,
+  reportHeadline,
+  reportHtml,
+  reportText,
+  reportTitle,
+  statusIcons,
+};
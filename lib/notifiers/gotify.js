@@ -0,0 +1,54 @@
+const { reportText, reportTitle } = require('./format');
+const { request } = require('./http');
+
+// Message priority (0-10) by report status, Gotify's apps alert from 8 up by default
+const statusPriorities = {
+  success: 2,
+  warning: 5,
+  failure: 8,
+};
+
+// Create a Gotify notifier (pushes a message with an application token) from its config section
+function create(name, options) {
+  const url = options.url.replace(/\/+$/, '');
+
+  return {
+    name,
+    type: 'gotify',
+    description: `Gotify server ${new URL(url).host}`,
+
+    async send(report) {
+      await request({
+        url: `${url}/message`,
+        headers: { 'X-Gotify-Key': options.token },
+        data: {
+          title: reportTitle(report),
+          message: reportText(report),
+          priority: options.priority[report.status] !== undefined ? options.priority[report.status] : statusPriorities[report.status],
+          extras: { 'client::display': { contentType: 'text/plain' } },
+        },
+        timeout: options.timeout,
+      });
+    },
+  };
+}
+
+module.exports = {
+  type: 'gotify',
+  defaults: {
+    priority: {}, // Per status, e.g. { success: 0, failure: 10 }
+  },
+  optionsSchema: {
+    url: { type: 'string', format: 'url', required: true },
+    token: { type: 'string', required: true },
+    priority: {
+      type: 'object',
+      properties: {
+        success: { type: 'integer', min: 0, max: 10 },
+        warning: { type: 'integer', min: 0, max: 10 },
+        failure: { type: 'integer', min: 0, max: 10 },
+      },
+    },
+  },
+  create,
+};
@@ -0,0 +1,23 @@
+const axios = require('axios');
+
+// Send an HTTP request for a notifier, resolves with the response body
+// Errors say whether trying again can help (network errors, 5xx and 429 rate limits) and how long the
+// server asked to wait. Webhook URLs contain their secret, so messages only name the host.
+async function request({ method = 'post', url, data, headers = {}, timeout = 15 }) {
+  try {
+    const response = await axios.request({ method, url, data, headers, timeout: timeout * 1000 });
+    return response.data;
+  } catch (error) {
+    const status = error.response && error.response.status;
+    const body = error.response && error.response.data ? JSON.stringify(error.response.data).slice(0, 200) : '';
+    const failure = new Error(`${method.toUpperCase()} to ${new URL(url).host} failed: ${status ? `HTTP ${status}${body ? ` ${body}` : ''}` : error.message}`);
+    failure.retryable = !status || status >= 500 || status === 429;
+    const retryAfter = error.response && Number(error.response.headers['retry-after']);
+    if (retryAfter > 0) failure.retryAfter = retryAfter;
+    throw failure;
+  }
+}
+
+module.exports = {
+  request,
+};
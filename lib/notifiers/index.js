@@ -0,0 +1,128 @@
+const { ConfigError, mergeConfig, suggestKey, validateOptions } = require('../config');
+const { filterReport } = require('../report');
+const colors = require('../colors');
+
+// Notifier types that can be used under `notifiers.<name>.type`
+const notifierTypes = {
+  discord: require('./discord'),
+  slack: require('./slack'),
+  matrix: require('./matrix'),
+  email: require('./email'),
+  ntfy: require('./ntfy'),
+  gotify: require('./gotify'),
+  webhook: require('./webhook'),
+};
+
+// Options every notifier accepts: which runs it is sent for, and how failed sends are retried
+const commonDefaults = {
+  on: ['success', 'warning', 'failure'], // Statuses of the (filtered) report that are sent
+  actions: ['backup', 'verify'],
+  modules: [], // Only report these modules (default: all)
+  retries: 3,
+  retryDelay: 5, // Seconds before the first retry, doubled for every next one
+  timeout: 15, // Seconds per attempt
+};
+const commonSchema = {
+  type: { type: 'string' },
+  on: { type: 'array', items: { type: 'string', enum: ['success', 'warning', 'failure'] } },
+  actions: { type: 'array', items: { type: 'string', enum: ['backup', 'verify'] } },
+  modules: { type: 'array', items: { type: 'string' } },
+  retries: { type: 'integer', min: 0, max: 10 },
+  retryDelay: { type: 'integer', min: 0 },
+  timeout: { type: 'integer', min: 1 },
+};
+
+// Helper function to wait before a retry
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Create the notifiers declared in the config file (plus a Discord one for the older top-level webhookUrl)
+// moduleIds are the loaded modules, to check the modules filters against
+function loadNotifiers(config, moduleIds) {
+  const notifierConfigs = { ...config.notifiers };
+  if (config.webhookUrl && config.webhookUrl !== 'YOUR_DISCORD_WEBHOOK_URL_HERE' && !notifierConfigs.discord) {
+    notifierConfigs.discord = { type: 'discord', webhookUrl: config.webhookUrl };
+  }
+
+  const notifiers = {};
+  const errors = [];
+
+  for (const [name, notifierConfig] of Object.entries(notifierConfigs)) {
+    const notifierType = notifierTypes[notifierConfig.type];
+    if (!notifierType) {
+      errors.push(`Unknown notifier type '${notifierConfig.type}' for 'notifiers.${name}' (available types: ${Object.keys(notifierTypes).join(', ')})`);
+      continue;
+    }
+
+    const options = mergeConfig(mergeConfig(commonDefaults, notifierType.defaults), notifierConfig);
+    if (notifierType.type === 'discord' && !options.username) options.username = config.webhookUsername;
+    const problems = validateOptions(`notifiers.${name}`, options, { ...commonSchema, ...notifierType.optionsSchema });
+    for (const moduleId of options.modules) {
+      if (moduleIds.includes(moduleId)) continue;
+      const suggestion = suggestKey(moduleId, moduleIds);
+      problems.push(`'notifiers.${name}.modules' names unknown module '${moduleId}'${suggestion ? ` (did you mean '${suggestion}'?)` : ''}`);
+    }
+    if (problems.length) {
+      errors.push(...problems);
+      continue;
+    }
+    notifiers[name] = { ...notifierType.create(name, options), options };
+  }
+
+  if (errors.length) {
+    throw new ConfigError(`Invalid configuration${config.configPath ? ` in ${config.configPath}` : ''}:`, errors);
+  }
+
+  return notifiers;
+}
+
+// Helper function to send a report, retrying failures that may go away (network errors, 5xx, rate limits)
+async function sendWithRetry(notifier, report) {
+  const { retries, retryDelay } = notifier.options;
+  for (let attempt = 0; ; attempt++) {
+    try {
+      await notifier.send(report);
+      return;
+    } catch (error) {
+      if (attempt >= retries || error.retryable === false) throw error;
+      const delay = error.retryAfter || retryDelay * 2 ** attempt;
+      console.log(`${colors.yellow}Notification to ${notifier.name} failed (${error.message}), retrying in ${delay}s (${attempt + 1}/${retries})...${colors.reset}`);
+      await sleep(delay * 1000);
+    }
+  }
+}
+
+// Send a run report (see lib/report.js) to every notifier whose filters match it, all at once
+// Never throws: a notification that can't be sent is logged, it doesn't fail the run.
+// With `force`, the filters are ignored (notify-test). Resolves with { name, sent, skipped, error } per notifier.
+async function notify(notifiers, report, { force = false } = {}) {
+  const targets = Object.values(notifiers);
+  if (targets.length === 0) {
+    console.log(`${colors.yellow}No notifiers configured. Skipping notification.${colors.reset}`);
+    return [];
+  }
+
+  return Promise.all(targets.map(async notifier => {
+    const { on, actions, modules } = notifier.options;
+    const filtered = force ? report : filterReport(report, modules);
+    if (!force && (filtered.modules.length === 0 || !on.includes(filtered.status) || !actions.includes(report.action))) {
+      return { name: notifier.name, sent: false, skipped: true };
+    }
+
+    try {
+      await sendWithRetry(notifier, filtered);
+      console.log(`${colors.green}Notification sent to ${notifier.name} (${notifier.description}).${colors.reset}`);
+      return { name: notifier.name, sent: true };
+    } catch (error) {
+      console.error(`${colors.red}Failed to send notification to ${notifier.name}: ${error.message}${colors.reset}`);
+      return { name: notifier.name, sent: false, error: error.message };
+    }
+  }));
+}
+
+module.exports = {
+  loadNotifiers,
+  notifierTypes,
+  notify,
+};
@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+const { escapeHtml, reportHtml, reportText, reportTitle } = require('./format');
+const { request } = require('./http');
+
+// Create a Matrix notifier (posts a notice to a room as a bot user) from its config section
+function create(name, options) {
+  const homeserver = options.homeserverUrl.replace(/\/+$/, '');
+
+  return {
+    name,
+    type: 'matrix',
+    description: `Matrix room ${options.roomId} on ${new URL(homeserver).host}`,
+
+    async send(report) {
+      // The same transaction id for every attempt of a report: the homeserver doesn't post a retried message twice
+      const txnId = `backup-${crypto.createHash('sha256').update(`${name} ${report.action} ${report.finishedAt}`).digest('hex').slice(0, 16)}`;
+      await request({
+        method: 'put',
+        url: `${homeserver}/_matrix/client/v3/rooms/${encodeURIComponent(options.roomId)}/send/m.room.message/${encodeURIComponent(txnId)}`,
+        headers: { Authorization: `Bearer ${options.accessToken}` },
+        data: {
+          msgtype: options.msgtype,
+          body: `${reportTitle(report)}\n\n${reportText(report)}`,
+          format: 'org.matrix.custom.html',
+          formatted_body: `<b>${escapeHtml(reportTitle(report))}</b><br>\n${reportHtml(report)}`,
+        },
+        timeout: options.timeout,
+      });
+    },
+  };
+}
+
+module.exports = {
+  type: 'matrix',
+  defaults: {
+    msgtype: 'm.notice', // Notices don't trigger other bots
+  },
+  optionsSchema: {
+    homeserverUrl: { type: 'string', format: 'url', required: true },
+    accessToken: { type: 'string', required: true },
+    roomId: { type: 'string', required: true },
+    msgtype: { type: 'string', enum: ['m.notice', 'm.text'] },
+  },
+  create,
+};
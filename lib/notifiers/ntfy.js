@@ -0,0 +1,74 @@
+const { reportText, reportTitle } = require('./format');
+const { request } = require('./http');
+
+// Message priority (1-5) and tags (shown as emojis) by report status
+const statusPriorities = {
+  success: 3,
+  warning: 4,
+  failure: 5,
+};
+const statusTags = {
+  success: 'white_check_mark',
+  warning: 'warning',
+  failure: 'x',
+};
+
+// Create an ntfy notifier (publishes to a topic on ntfy.sh or a self-hosted server) from its config section
+function create(name, options) {
+  const url = options.url.replace(/\/+$/, '');
+  const headers = {};
+  if (options.token) {
+    headers.Authorization = `Bearer ${options.token}`;
+  } else if (options.user) {
+    headers.Authorization = `Basic ${Buffer.from(`${options.user}:${options.password}`).toString('base64')}`;
+  }
+
+  return {
+    name,
+    type: 'ntfy',
+    description: `ntfy topic ${options.topic} on ${new URL(url).host}`,
+
+    async send(report) {
+      // Published as JSON to the server root rather than with Title/Priority headers, which can't hold UTF-8
+      await request({
+        url,
+        headers,
+        data: {
+          topic: options.topic,
+          title: reportTitle(report),
+          message: reportText(report),
+          priority: options.priority[report.status] || statusPriorities[report.status],
+          tags: [statusTags[report.status]],
+        },
+        timeout: options.timeout,
+      });
+    },
+  };
+}
+
+module.exports = {
+  type: 'ntfy',
+  defaults: {
+    url: 'https://ntfy.sh',
+    token: '',
+    user: '',
+    password: '',
+    priority: {}, // Per status, e.g. { success: 2, failure: 5 }
+  },
+  optionsSchema: {
+    url: { type: 'string', format: 'url', required: true },
+    topic: { type: 'string', required: true },
+    token: { type: 'string', allowEmpty: true },
+    user: { type: 'string', allowEmpty: true },
+    password: { type: 'string', allowEmpty: true },
+    priority: {
+      type: 'object',
+      properties: {
+        success: { type: 'integer', min: 1, max: 5 },
+        warning: { type: 'integer', min: 1, max: 5 },
+        failure: { type: 'integer', min: 1, max: 5 },
+      },
+    },
+  },
+  create,
+};
@@ -0,0 +1,59 @@
+const { hookLines, moduleLines, reportHeadline, reportTitle } = require('./format');
+const { request } = require('./http');
+
+// Attachment colors by module status
+const statusColors = {
+  success: 'good',
+  warning: 'warning',
+  failure: 'danger',
+};
+
+// Helper function to escape text for Slack's mrkdwn (only &, < and > are special)
+function escapeSlack(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Create a Slack incoming webhook notifier from its config section
+function create(name, options) {
+  return {
+    name,
+    type: 'slack',
+    description: `Slack webhook (${new URL(options.webhookUrl).host})`,
+
+    async send(report) {
+      await request({
+        url: options.webhookUrl,
+        data: {
+          text: [reportTitle(report), reportHeadline(report), ...hookLines(report)].map(escapeSlack).join('\n'),
+          username: options.username || undefined,
+          channel: options.channel || undefined,
+          icon_emoji: options.iconEmoji || undefined,
+          // One colored block per module
+          attachments: report.modules.map(module => ({
+            color: statusColors[module.status],
+            fallback: `${module.name}: ${module.status}`,
+            text: moduleLines(module, text => `*${text}*`).map(escapeSlack).join('\n'),
+            mrkdwn_in: ['text'],
+          })),
+        },
+        timeout: options.timeout,
+      });
+    },
+  };
+}
+
+module.exports = {
+  type: 'slack',
+  defaults: {
+    username: '',
+    channel: '', // Default: the channel of the webhook
+    iconEmoji: '',
+  },
+  optionsSchema: {
+    webhookUrl: { type: 'string', format: 'url', required: true },
+    username: { type: 'string', allowEmpty: true },
+    channel: { type: 'string', allowEmpty: true },
+    iconEmoji: { type: 'string', allowEmpty: true },
+  },
+  create,
+};
@@ -0,0 +1,115 @@
+const http = require('http');
+const net = require('net');
+
+// Stub servers to try notifiers without real accounts: an HTTP server that accepts any request (Discord,
+// Slack, Matrix, ntfy, Gotify and generic webhooks) and a minimal SMTP server, both printing what they receive.
+// The first `failures` requests (or mails) are refused with a temporary error, to watch the retries.
+
+// Create the HTTP stub, failing requests get `failStatus` (e.g. 503, or 429 with a Retry-After of 1s)
+function createStubHttpServer({ failures = 0, failStatus = 503 } = {}) {
+  let remaining = failures;
+  return http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const headers = Object.entries(req.headers)
+        .filter(([name]) => /^(authorization|content-type|x-.*)$/.test(name))
+        .map(([name, value]) => `${name}: ${value}`);
+      console.log(`[stub http] ${req.method} ${req.url}${headers.length ? ` (${headers.join(', ')})` : ''}\n${body}`);
+
+      if (remaining > 0) {
+        remaining--;
+        console.log(`[stub http] Refusing with ${failStatus} (${remaining} more to refuse)`);
+        res.writeHead(failStatus, { 'Content-Type': 'application/json', ...(failStatus === 429 ? { 'Retry-After': '1' } : {}) });
+        res.end(JSON.stringify({ message: 'Stub failure' }));
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true, event_id: '$stub' }));
+    });
+  });
+}
+
+// Create the SMTP stub (no TLS, accepts any AUTH PLAIN / LOGIN), refused mails get a 451 after DATA
+function createStubSmtpServer({ failures = 0 } = {}) {
+  let remaining = failures;
+  return net.createServer(socket => {
+    const reply = line => socket.write(`${line}\r\n`);
+    let buffer = '';
+    let data = null; // Lines of the message while receiving DATA
+    let loginStep = 0; // AUTH LOGIN asks for the user, then the password
+
+    reply('220 stub.local ESMTP stub');
+    socket.on('error', () => {});
+    socket.on('data', chunk => {
+      buffer += chunk;
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+
+        if (data) {
+          if (line !== '.') {
+            data.push(line.startsWith('..') ? line.slice(1) : line);
+            continue;
+          }
+          console.log(`[stub smtp] Message:\n${data.join('\n')}`);
+          data = null;
+          if (remaining > 0) {
+            remaining--;
+            console.log(`[stub smtp] Refusing with 451 (${remaining} more to refuse)`);
+            reply('451 4.3.0 Stub failure, try again later');
+          } else {
+            reply('250 2.0.0 Accepted');
+          }
+          continue;
+        }
+        if (loginStep) {
+          console.log(`[stub smtp] AUTH LOGIN ${loginStep === 1 ? 'user' : 'password'}: ${Buffer.from(line, 'base64').toString()}`);
+          loginStep = loginStep === 1 ? 2 : 0;
+          reply(loginStep ? '334 UGFzc3dvcmQ6' : '235 2.7.0 Authenticated');
+          continue;
+        }
+
+        console.log(`[stub smtp] ${line}`);
+        const command = line.split(' ')[0].toUpperCase();
+        if (command === 'EHLO') {
+          socket.write('250-stub.local\r\n250-AUTH PLAIN LOGIN\r\n250 8BITMIME\r\n');
+        } else if (command === 'HELO' || command === 'MAIL' || command === 'RCPT' || command === 'RSET' || command === 'NOOP') {
+          reply('250 OK');
+        } else if (command === 'AUTH' && /^AUTH LOGIN/i.test(line)) {
+          loginStep = 1;
+          reply('334 VXNlcm5hbWU6');
+        } else if (command === 'AUTH') {
+          reply('235 2.7.0 Authenticated');
+        } else if (command === 'DATA') {
+          data = [];
+          reply('354 End data with <CR><LF>.<CR><LF>');
+        } else if (command === 'QUIT') {
+          reply('221 Bye');
+          socket.end();
+        } else {
+          reply('502 Command not implemented');
+        }
+      }
+    });
+  });
+}
+
+// Command line: node lib/notifiers/stub.js [http port] [smtp port] [failures] [fail status]
+// (then point notifiers at http://127.0.0.1:<http port>/... and an email notifier at 127.0.0.1:<smtp port>)
+if (require.main === module) {
+  const [httpPort = '8025', smtpPort = '2525', failures = '0', failStatus = '503'] = process.argv.slice(2);
+  const options = { failures: Number(failures), failStatus: Number(failStatus) };
+  createStubHttpServer(options).listen(Number(httpPort), '127.0.0.1', () => {
+    console.log(`Stub HTTP server listening on http://127.0.0.1:${httpPort}`);
+  });
+  createStubSmtpServer(options).listen(Number(smtpPort), '127.0.0.1', () => {
+    console.log(`Stub SMTP server listening on 127.0.0.1:${smtpPort}`);
+  });
+}
+
+module.exports = {
+  createStubHttpServer,
+  createStubSmtpServer,
+};
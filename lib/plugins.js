@@ -0,0 +1,75 @@
+const fs = require('fs');
+const path = require('path');
+const api = require('./module-api');
+const { ConfigError } = require('./config');
+
+// Turn a plugin export (object, factory function or a list of those) into module definitions
+function toDefinitions(exported, defaultId) {
+  const items = Array.isArray(exported) ? exported : [exported];
+  return items.map(item => {
+    const definition = typeof item === 'function' ? item(api) : item;
+    if (definition && typeof definition === 'object' && !definition.id && items.length === 1) {
+      return { ...definition, id: defaultId };
+    }
+    return definition;
+  });
+}
+
+// Derive a module id from a plugin file or package name
+function idFromName(name) {
+  return path.basename(name, '.js')
+    .replace(/^@[^/]+\//, '')
+    .replace(/^(simple-node-backup|backup)-(module|plugin)-/, '')
+    .toLowerCase();
+}
+
+// Load a single plugin file, directory or package
+function loadPlugin(request, resolveFrom, source) {
+  let resolved;
+  try {
+    resolved = require.resolve(request, { paths: [resolveFrom, process.cwd()] });
+  } catch (error) {
+    throw new ConfigError(`Plugin '${source}' could not be found (${error.message.split('\n')[0]})`);
+  }
+
+  try {
+    return toDefinitions(require(resolved), idFromName(request))
+      .map(definition => ({ definition, source }));
+  } catch (error) {
+    throw new ConfigError(`Plugin '${source}' failed to load: ${error.message}`);
+  }
+}
+
+// Load all plugin modules from the plugins directory and the plugins list in the config
+function loadPlugins(config) {
+  const plugins = [];
+
+  if (config.pluginsDir) {
+    const pluginsDir = path.resolve(config.configDir, config.pluginsDir);
+    if (!fs.existsSync(pluginsDir)) {
+      throw new ConfigError(`Plugins directory not found: ${pluginsDir}`);
+    }
+
+    const entries = fs.readdirSync(pluginsDir, { withFileTypes: true })
+      .filter(entry => (entry.isFile() && entry.name.endsWith('.js')) || entry.isDirectory())
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    for (const entry of entries) {
+      const pluginPath = path.join(pluginsDir, entry.name);
+      plugins.push(...loadPlugin(pluginPath, pluginsDir, pluginPath));
+    }
+  }
+
+  for (const request of config.plugins) {
+    // Relative paths are resolved from the config file, anything else is treated as a package name
+    const isPath = request.startsWith('.') || path.isAbsolute(request);
+    const target = isPath ? path.resolve(config.configDir, request) : request;
+    plugins.push(...loadPlugin(target, config.configDir, request));
+  }
+
+  return plugins;
+}
+
+module.exports = {
+  loadPlugins,
+};
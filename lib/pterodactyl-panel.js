@@ -0,0 +1,187 @@
+const fs = require('fs');
+const http = require('http');
+const axios = require('axios');
+
+// Client for the Pterodactyl panel API, which forwards power actions and console commands to Wings:
+//   Client API (apiKey, ptlc_..., of an admin account): server list, current state, console commands, power
+//   Application API (applicationApiKey, ptla_...): suspending servers, only needed for consistency: suspend
+function createPanelClient({ url, apiKey, applicationApiKey, timeout }) {
+  const api = axios.create({
+    baseURL: url.replace(/\/+$/, ''),
+    timeout: timeout * 1000,
+    headers: { Accept: 'Application/vnd.pterodactyl.v1+json', 'Content-Type': 'application/json' },
+  });
+
+  // Send a request with one of the two keys, errors carry the panel's own message when it has one
+  const request = async (key, method, endpoint, data) => {
+    try {
+      const response = await api.request({ method, url: endpoint, data, headers: { Authorization: `Bearer ${key}` } });
+      return response.data;
+    } catch (error) {
+      const detail = error.response && error.response.data && error.response.data.errors && error.response.data.errors[0];
+      throw new Error(`Panel API ${method.toUpperCase()} ${endpoint} failed: ${detail ? detail.detail || detail.code : error.message}`);
+    }
+  };
+
+  const client = (method, endpoint, data) => request(apiKey, method, endpoint, data);
+
+  const application = (method, endpoint, data) => {
+    if (!applicationApiKey) {
+      throw new Error('Suspending servers needs an Application API key (panel.applicationApiKey)');
+    }
+    return request(applicationApiKey, method, endpoint, data);
+  };
+
+  // Internal id of a server in the Application API, which addresses servers by it instead of the uuid
+  const applicationId = async uuid => {
+    const { data } = await application('get', `/api/application/servers?filter[uuid]=${encodeURIComponent(uuid)}`);
+    if (!data.length) throw new Error(`Server ${uuid} not found in the panel`);
+    return data[0].attributes.id;
+  };
+
+  return {
+    // Every server on the panel (type=admin-all also lists servers the key's owner isn't a subuser of)
+    async listServers() {
+      const servers = [];
+      for (let page = 1; ; page++) {
+        const { data, meta } = await client('get', `/api/client?type=admin-all&per_page=100&page=${page}`);
+        servers.push(...data.map(({ attributes }) => ({ uuid: attributes.uuid, identifier: attributes.identifier, name: attributes.name })));
+        if (!meta || !meta.pagination || page >= meta.pagination.total_pages) break;
+      }
+      return servers;
+    },
+
+    // running, starting, stopping or offline
+    async getState(identifier) {
+      const { attributes } = await client('get', `/api/client/servers/${identifier}/resources`);
+      return attributes.current_state;
+    },
+
+    async sendCommand(identifier, command) {
+      await client('post', `/api/client/servers/${identifier}/command`, { command });
+    },
+
+    // start, stop, restart or kill
+    async setPower(identifier, signal) {
+      await client('post', `/api/client/servers/${identifier}/power`, { signal });
+    },
+
+    async suspend(uuid) {
+      await application('post', `/api/application/servers/${await applicationId(uuid)}/suspend`);
+    },
+
+    async unsuspend(uuid) {
+      await application('post', `/api/application/servers/${await applicationId(uuid)}/unsuspend`);
+    },
+  };
+}
+
+// Mock of the panel API endpoints used above, for trying the consistency options without a real panel.
+// Every directory in volumesDir becomes a running server; power actions take stopDelay/startDelay ms,
+// and every request is printed, so the order of commands, stops and starts around a backup can be checked.
+function createMockPanel(volumesDir, { stopDelay = 3000, startDelay = 1000 } = {}) {
+  const servers = fs.readdirSync(volumesDir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map((entry, index) => ({
+      id: index + 1,
+      uuid: entry.name,
+      identifier: entry.name.slice(0, 8),
+      name: `Mock Server ${index + 1}`,
+      state: 'running',
+      suspended: false,
+    }));
+
+  // Change a server's state after a delay, unless something else changed it in the meantime
+  const transition = (server, from, to, delay) => {
+    server.state = from;
+    setTimeout(() => {
+      if (server.state === from) server.state = to;
+    }, delay);
+  };
+
+  const send = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+  };
+  const fail = (res, status, detail) => send(res, status, { errors: [{ code: 'MockPanelError', status: String(status), detail }] });
+  const clientAttributes = server => ({ uuid: server.uuid, identifier: server.identifier, name: server.name, is_suspended: server.suspended });
+
+  return http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://mock');
+      const data = body ? JSON.parse(body) : {};
+      console.log(`[mock panel] ${req.method} ${url.pathname}${url.search}${body ? ` ${body}` : ''}`);
+
+      if (!/^Bearer \S+/.test(req.headers.authorization || '')) {
+        return fail(res, 401, 'Unauthenticated.');
+      }
+
+      let match;
+      if (req.method === 'GET' && url.pathname === '/api/client') {
+        return send(res, 200, {
+          object: 'list',
+          data: servers.map(server => ({ object: 'server', attributes: clientAttributes(server) })),
+          meta: { pagination: { total: servers.length, current_page: 1, total_pages: 1 } },
+        });
+      }
+      if ((match = url.pathname.match(/^\/api\/client\/servers\/([^/]+)\/(resources|command|power)$/))) {
+        const server = servers.find(item => item.identifier === match[1] || item.uuid === match[1]);
+        if (!server) return fail(res, 404, 'The requested resource could not be found on the server.');
+
+        if (req.method === 'GET' && match[2] === 'resources') {
+          return send(res, 200, { object: 'stats', attributes: { current_state: server.state, is_suspended: server.suspended } });
+        }
+        if (req.method === 'POST' && match[2] === 'command') {
+          if (server.state !== 'running') return fail(res, 502, 'Server must be online in order to send commands.');
+          return send(res, 204);
+        }
+        if (req.method === 'POST' && match[2] === 'power') {
+          if (server.suspended) return fail(res, 409, 'This server is currently suspended.');
+          if (data.signal === 'stop') transition(server, 'stopping', 'offline', stopDelay);
+          else if (data.signal === 'kill') server.state = 'offline';
+          else if (data.signal === 'start' || data.signal === 'restart') transition(server, 'starting', 'running', startDelay);
+          else return fail(res, 422, `Unknown power signal ${data.signal}.`);
+          return send(res, 204);
+        }
+      }
+      if (req.method === 'GET' && url.pathname === '/api/application/servers') {
+        const uuid = url.searchParams.get('filter[uuid]');
+        return send(res, 200, {
+          object: 'list',
+          data: servers
+            .filter(server => !uuid || server.uuid === uuid)
+            .map(server => ({ object: 'server', attributes: { id: server.id, uuid: server.uuid, identifier: server.identifier, name: server.name, suspended: server.suspended } })),
+        });
+      }
+      if (req.method === 'POST' && (match = url.pathname.match(/^\/api\/application\/servers\/(\d+)\/(suspend|unsuspend)$/))) {
+        const server = servers.find(item => item.id === Number(match[1]));
+        if (!server) return fail(res, 404, 'The requested resource could not be found on the server.');
+        server.suspended = match[2] === 'suspend';
+        if (server.suspended) server.state = 'offline'; // Wings stops a server when it gets suspended
+        return send(res, 204);
+      }
+
+      fail(res, 404, 'The requested resource could not be found on the server.');
+    });
+  });
+}
+
+// Command line: node lib/pterodactyl-panel.js mock <volumes dir> [port]
+// (then set panel.url: http://127.0.0.1:<port> and any apiKey / applicationApiKey)
+if (require.main === module) {
+  const [action, volumesDir, port = '8080'] = process.argv.slice(2);
+  if (action !== 'mock' || !volumesDir) {
+    console.error('Usage: node lib/pterodactyl-panel.js mock <volumes dir> [port]');
+    process.exit(2);
+  }
+  createMockPanel(volumesDir).listen(Number(port), '127.0.0.1', () => {
+    console.log(`Mock Pterodactyl panel listening on http://127.0.0.1:${port}`);
+  });
+}
+
+module.exports = {
+  createMockPanel,
+  createPanelClient,
+};
@@ -0,0 +1,184 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describePolicy } = require('./retention');
+
+// Structured report of a run (backups of some modules, or a verification), the input of every notifier,
+// of --json / --report-file and of the report history shown by the dashboard:
+//   { reportVersion, action, status, exitCode, host, startedAt, finishedAt, durationSeconds,
+//     summary: { modules, succeeded, failed, warnings }, modules: [...], skipped: [{ id, reason }], hooks: [...] }
+// Each module has its display settings, outcome (error with a code), timing, artifacts with their bytes and
+// checksums, compression, warnings, items it skipped, log tail, remote copies and the backups now in its
+// catalog. status is success, warning (succeeded with warnings) or failure. skipped lists the modules that
+// didn't run (disabled), hooks the outcomes of the run's own hooks (see lib/hooks.js).
+
+// Bumped when fields are renamed or removed (new fields don't change it)
+const REPORT_VERSION = 1;
+
+// Log lines of a module kept in the report (notifications show the end of the log)
+const LOG_LINES = 20;
+
+// Helper function to get the status of a module from its result
+function moduleStatus(result) {
+  if (!result.success) return 'failure';
+  return result.warnings && result.warnings.length ? 'warning' : 'success';
+}
+
+// Exit code of a run: 0 if every module succeeded (with or without warnings), 2 if some failed, 1 if all did
+function exitCodeOf(summary) {
+  if (summary.failed === 0) return 0;
+  return summary.failed === summary.modules ? 1 : 2;
+}
+
+// Code of an error for the report: BackupError codes (lib/module-api.js), Node's (ENOENT, EACCES, ...), or a
+// generic one
+function errorCode(error) {
+  if (typeof error.code === 'string') return error.code;
+  if (typeof error.code === 'number') return 'COMMAND_FAILED'; // child_process.exec: the exit code
+  return 'BACKUP_FAILED';
+}
+
+// Helper function to get the seconds between two dates (or ISO strings), null if one is missing
+function secondsBetween(start, end) {
+  if (!start || !end) return null;
+  return (new Date(end) - new Date(start)) / 1000;
+}
+
+// Helper function to get the overall status of a list of module reports
+function overallStatus(modules) {
+  if (modules.some(module => module.status === 'failure')) return 'failure';
+  if (modules.some(module => module.status === 'warning')) return 'warning';
+  return 'success';
+}
+
+// Helper function to summarize a catalog entry for the report
+function summarizeBackup(backup) {
+  return {
+    id: backup.id,
+    startedAt: backup.startedAt,
+    totalBytes: backup.totalBytes,
+    files: backup.files.length,
+  };
+}
+
+// Helper function to build the counts, status and exit code of a report from its modules
+function summarize(report, modules) {
+  const summary = {
+    modules: modules.length,
+    succeeded: modules.filter(module => module.status !== 'failure').length,
+    failed: modules.filter(module => module.status === 'failure').length,
+    warnings: modules.reduce((sum, module) => sum + module.warnings.length, 0),
+  };
+  return {
+    ...report,
+    status: overallStatus(modules),
+    exitCode: exitCodeOf(summary),
+    summary,
+    modules,
+  };
+}
+
+// Build the report of a run from the results by module id (as returned by runBackup / runVerify)
+// skipped lists the modules that were left out, as { id, reason }
+function createRunReport(action, results, backupModules, startedAt = new Date(), skipped = []) {
+  const modules = Object.entries(results).map(([moduleId, result]) => {
+    const module = backupModules[moduleId];
+    const files = result.backup ? result.backup.files : [];
+    return {
+      id: moduleId,
+      name: module.name,
+      iconUrl: module.iconUrl,
+      color: module.color,
+      status: moduleStatus(result),
+      error: result.error ? { code: result.errorCode || 'BACKUP_FAILED', message: result.error } : null,
+      summary: result.summary || null, // e.g. "3/3 intact" for verify
+      startedAt: result.startedAt ? result.startedAt.toISOString() : null,
+      finishedAt: result.finishedAt ? result.finishedAt.toISOString() : null,
+      durationSeconds: secondsBetween(result.startedAt, result.finishedAt),
+      artifacts: files.map(file => ({ path: file.path, bytes: file.bytes, sha256: file.sha256 })),
+      bytes: result.backup ? result.backup.totalBytes : null,
+      originalBytes: result.compression ? result.compression.originalBytes : null,
+      originalSize: result.originalSize || null,
+      compressedSize: result.compressedSize || null,
+      compression: result.compression || null,
+      warnings: result.warnings || [],
+      skipped: result.skipped || [],
+      checks: result.checks || [], // verify: { backup, intact, error } per backup
+      logs: (result.logs || []).slice(-LOG_LINES),
+      remote: result.remote || [],
+      backup: result.backup ? summarizeBackup(result.backup) : null,
+      backups: (result.backups || []).map(summarizeBackup),
+      retention: describePolicy(module.retention),
+    };
+  });
+
+  const finishedAt = new Date();
+  return summarize({
+    reportVersion: REPORT_VERSION,
+    action,
+    host: os.hostname(),
+    startedAt: startedAt.toISOString(),
+    finishedAt: finishedAt.toISOString(),
+    durationSeconds: secondsBetween(startedAt, finishedAt),
+    skipped,
+    hooks: [],
+  }, modules);
+}
+
+// The same report limited to some modules (with its status and counts recalculated)
+function filterReport(report, moduleIds) {
+  if (!moduleIds || moduleIds.length === 0) return report;
+  return summarize(report, report.modules.filter(module => moduleIds.includes(module.id)));
+}
+
+// Helper function to get the directory of the report history (in backupRootDir, like the catalog)
+function reportsDir(config) {
+  return path.resolve(config.backupRootDir, 'reports');
+}
+
+// Ids of the reports in the history, newest first (an id is the start time and action of the run)
+function listReportIds(config) {
+  try {
+    return fs.readdirSync(reportsDir(config))
+      .filter(name => name.endsWith('.json'))
+      .map(name => name.slice(0, -'.json'.length))
+      .sort()
+      .reverse();
+  } catch (error) {
+    return [];
+  }
+}
+
+// A report of the history by id ({ id, ...report }), or null if there is no such report
+function readReport(config, reportId) {
+  if (!/^[\w.-]+$/.test(reportId)) return null;
+  try {
+    return { id: reportId, ...JSON.parse(fs.readFileSync(path.join(reportsDir(config), `${reportId}.json`), 'utf8')) };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Add a report to the history and remove the ones beyond server.keepReports, returns its id (null if none are kept)
+function saveReport(config, report) {
+  const keep = config.server.keepReports;
+  if (!keep) return null;
+  const dir = reportsDir(config);
+  const reportId = `${report.startedAt.replace(/:/g, '-')}-${report.action}`;
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, `${reportId}.json.tmp`), `${JSON.stringify(report, null, 2)}\n`);
+  fs.renameSync(path.join(dir, `${reportId}.json.tmp`), path.join(dir, `${reportId}.json`));
+  for (const oldId of listReportIds(config).slice(keep)) {
+    fs.rmSync(path.join(dir, `${oldId}.json`), { force: true });
+  }
+  return reportId;
+}
+
+module.exports = {
+  createRunReport,
+  errorCode,
+  filterReport,
+  listReportIds,
+  readReport,
+  saveReport,
+};
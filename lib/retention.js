@@ -0,0 +1,157 @@
+const { parseSize } = require('./size');
+
+// Retention engine: decides which catalog entries of a module to keep
+//
+// A policy combines "keep the newest N" (last) with grandfather-father-son rules (keep the newest
+// backup of each of the last N days, ISO weeks, months and years that have backups), and optional
+// maxAge / maxTotalSize limits applied on top. The newest backup is never deleted, and neither is
+// a backup that a kept backup depends on (its `parent`, e.g. the base of an incremental backup).
+
+// Count rules in the order they are applied, with the function that buckets a backup's start time
+const periodRules = {
+  daily: date => date.toISOString().slice(0, 10),
+  weekly: date => isoWeek(date),
+  monthly: date => date.toISOString().slice(0, 7),
+  yearly: date => date.toISOString().slice(0, 4),
+};
+
+const durationUnits = {
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+  m: 30 * 24 * 60 * 60 * 1000,
+  y: 365 * 24 * 60 * 60 * 1000,
+};
+
+// Helper function to get the ISO week of a date (UTC), e.g. 2025-W19
+function isoWeek(date) {
+  const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  const weekday = day.getUTCDay() || 7;
+  day.setUTCDate(day.getUTCDate() + 4 - weekday); // Thursday of the same week decides the year
+  const yearStart = new Date(Date.UTC(day.getUTCFullYear(), 0, 1));
+  const week = Math.ceil(((day - yearStart) / durationUnits.d + 1) / 7);
+  return `${day.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+// Helper function to convert a duration such as 90d, 12w, 6m or 2y into milliseconds
+function parseDuration(duration) {
+  const match = /^(\d+)\s*([hdwmy])$/i.exec(String(duration).trim());
+  if (!match) {
+    throw new Error(`Invalid duration '${duration}' (use a number followed by h, d, w, m or y, e.g. 90d)`);
+  }
+  return parseInt(match[1]) * durationUnits[match[2].toLowerCase()];
+}
+
+// Build the effective policy from a module's options (retention falls back to keeping maxBackups)
+function resolvePolicy(options) {
+  const retention = options.retention || {};
+  const policy = {
+    last: retention.last || 0,
+    daily: retention.daily || 0,
+    weekly: retention.weekly || 0,
+    monthly: retention.monthly || 0,
+    yearly: retention.yearly || 0,
+    maxAge: retention.maxAge || null,
+    maxTotalSize: retention.maxTotalSize || null,
+  };
+
+  const hasCountRule = ['last', ...Object.keys(periodRules)].some(rule => retention[rule] !== undefined);
+  if (!hasCountRule) {
+    policy.last = options.maxBackups;
+  }
+  return policy;
+}
+
+// Describe a policy for logs and notifications, e.g. "7 daily, 4 weekly, 12 monthly, max age 1y"
+function describePolicy(policy) {
+  const parts = [];
+  if (policy.last) parts.push(`last ${policy.last}`);
+  for (const rule of Object.keys(periodRules)) {
+    if (policy[rule]) parts.push(`${policy[rule]} ${rule}`);
+  }
+  if (policy.maxAge) parts.push(`max age ${policy.maxAge}`);
+  if (policy.maxTotalSize) parts.push(`max total ${policy.maxTotalSize}`);
+  return parts.join(', ') || 'newest only';
+}
+
+// Decide for every backup (newest first) whether it is kept, and why
+// Returns [{ backup, keep, reasons }] in the same order
+function applyRetention(backups, policy, now = new Date()) {
+  const decisions = backups.map(backup => ({ backup, keep: false, reasons: [] }));
+  const keep = (decision, reason) => {
+    decision.keep = true;
+    decision.reasons.push(reason);
+  };
+
+  decisions.slice(0, policy.last).forEach((decision, index) => keep(decision, `last ${index + 1}/${policy.last}`));
+
+  for (const [rule, bucketOf] of Object.entries(periodRules)) {
+    if (!policy[rule]) continue;
+    const seen = new Set();
+    for (const decision of decisions) {
+      const bucket = bucketOf(new Date(decision.backup.startedAt));
+      if (seen.has(bucket)) continue;
+      seen.add(bucket);
+      if (seen.size > policy[rule]) break;
+      keep(decision, `${rule} ${bucket}`);
+    }
+  }
+
+  if (policy.maxAge) {
+    const cutoff = now.getTime() - parseDuration(policy.maxAge);
+    for (const decision of decisions) {
+      if (decision.keep && new Date(decision.backup.startedAt).getTime() < cutoff) {
+        decision.keep = false;
+        decision.reasons = [`older than ${policy.maxAge}`];
+      }
+    }
+  }
+
+  if (policy.maxTotalSize) {
+    const limit = parseSize(policy.maxTotalSize);
+    let total = 0;
+    for (const decision of decisions) {
+      if (!decision.keep) continue;
+      // A backup that doesn't fit doesn't count, smaller older ones may still fit
+      if (total + decision.backup.totalBytes > limit) {
+        decision.keep = false;
+        decision.reasons = [`total size would exceed ${policy.maxTotalSize}`];
+        continue;
+      }
+      total += decision.backup.totalBytes;
+    }
+  }
+
+  // Whatever the limits say, never delete the newest backup
+  if (decisions.length && !decisions[0].keep) {
+    decisions[0].keep = true;
+    decisions[0].reasons.push('newest backup is always kept');
+  }
+
+  // Keep the whole chain a kept backup needs to be restored (parents are older, so one pass suffices)
+  const byId = new Map(decisions.map(decision => [decision.backup.id, decision]));
+  for (const decision of decisions) {
+    const parent = decision.keep && decision.backup.parent && byId.get(decision.backup.parent);
+    if (!parent) continue;
+    if (!parent.keep) {
+      parent.keep = true;
+      parent.reasons = [];
+    }
+    parent.reasons.push(`needed by ${decision.backup.id}`);
+  }
+
+  for (const decision of decisions) {
+    if (!decision.keep && decision.reasons.length === 0) {
+      decision.reasons.push('not selected by any rule');
+    }
+  }
+  return decisions;
+}
+
+module.exports = {
+  applyRetention,
+  describePolicy,
+  isoWeek,
+  parseDuration,
+  resolvePolicy,
+};
@@ -0,0 +1,167 @@
+const os = require('os');
+const { execFile } = require('child_process');
+
+// Scheduling of backup work:
+//   modules  run side by side (concurrency.modules at a time), after the modules they depend on (dependsOn)
+//   tasks    the volumes and databases inside a module run side by side too, limited by the module's own
+//            concurrency and by concurrency.tasks over all modules together
+// Backups run at a lower CPU and IO priority (nice/ionice), so they don't starve production services.
+
+// ionice scheduling classes by name
+const ioClasses = {
+  'best-effort': 2,
+  idle: 3,
+};
+
+// Limit how many async functions run at the same time: limit(fn) waits for a free slot, then calls fn
+// (waiting functions start in the order they were queued)
+function createLimiter(concurrency) {
+  let active = 0;
+  const queue = [];
+
+  const next = () => {
+    if (active >= concurrency || queue.length === 0) return;
+    active++;
+    const { fn, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(fn)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return fn => new Promise((resolve, reject) => {
+    queue.push({ fn, resolve, reject });
+    next();
+  });
+}
+
+// Run a function for every item, each call holding a slot of every limiter (acquired in the given order,
+// which must be the same everywhere: the module's own limiter before the shared one)
+// Returns the results in the order of the items. After a failure no further items are started, and the
+// first error is thrown once the running ones have finished (so nothing is still writing files).
+async function runTasks(items, worker, limiters) {
+  let failure = null;
+  const withLimits = (fn, [limit, ...rest]) => (limit ? limit(() => withLimits(fn, rest)) : fn());
+
+  const results = await Promise.all(items.map((item, index) => withLimits(async () => {
+    if (failure) return undefined;
+    try {
+      return await worker(item, index);
+    } catch (error) {
+      if (!failure) failure = error;
+      return undefined;
+    }
+  }, limiters)));
+
+  if (failure) throw failure;
+  return results;
+}
+
+// Run jobs that may depend on each other: [{ id, dependsOn: [ids], run() }], at most `concurrency` at a time
+// A job starts once every job it depends on has finished, whether that succeeded or not (a failed database
+// backup is no reason to also skip the volumes). Dependencies on ids that aren't in the list are ignored.
+// Returns the results by id.
+async function runDependencyGraph(jobs, concurrency) {
+  const limit = createLimiter(concurrency);
+  const byId = new Map(jobs.map(job => [job.id, job]));
+  const started = new Map();
+
+  const start = job => {
+    if (!started.has(job.id)) {
+      const dependencies = (job.dependsOn || []).filter(id => byId.has(id)).map(id => start(byId.get(id)));
+      started.set(job.id, Promise.allSettled(dependencies).then(() => limit(() => job.run())));
+    }
+    return started.get(job.id);
+  };
+
+  const results = {};
+  await Promise.all(jobs.map(async job => {
+    results[job.id] = await start(job);
+  }));
+  // Same order as the jobs, not the order they finished in
+  return Object.fromEntries(jobs.map(job => [job.id, results[job.id]]));
+}
+
+// Find a dependency cycle in { id: [ids it depends on] }, returns it as a list of ids (first = last) or null
+function findDependencyCycle(graph) {
+  const state = {}; // undefined: not visited, 1: on the current path, 2: done
+  const pathStack = [];
+
+  const visit = id => {
+    if (state[id] === 2 || !graph[id]) return null;
+    if (state[id] === 1) return [...pathStack.slice(pathStack.indexOf(id)), id];
+    state[id] = 1;
+    pathStack.push(id);
+    for (const dependency of graph[id]) {
+      const cycle = visit(dependency);
+      if (cycle) return cycle;
+    }
+    pathStack.pop();
+    state[id] = 2;
+    return null;
+  };
+
+  for (const id of Object.keys(graph)) {
+    const cycle = visit(id);
+    if (cycle) return cycle;
+  }
+  return null;
+}
+
+// Shared limiter for the tasks of every module run with the same configuration (concurrency.tasks)
+const taskLimiters = new WeakMap();
+function sharedTaskLimiter(config) {
+  if (!taskLimiters.has(config)) {
+    taskLimiters.set(config, createLimiter(config.concurrency.tasks));
+  }
+  return taskLimiters.get(config);
+}
+
+// Lower the CPU (nice) and IO (ionice) priority of this process, which every command it starts inherits
+// Applied before the backups start, so worker threads created later get it too. Returns problems as
+// messages: an unprivileged process can lower its priority but not raise it back, and ionice may be missing.
+async function applyPriority({ nice, ioClass, ioLevel }) {
+  const problems = [];
+
+  if (nice && os.getPriority() < nice) {
+    try {
+      os.setPriority(nice);
+    } catch (error) {
+      problems.push(`Could not set the CPU priority to nice ${nice}: ${error.message}`);
+    }
+  }
+
+  if (ioClasses[ioClass] && process.platform === 'linux') {
+    const args = ['-c', String(ioClasses[ioClass]), ...(ioClass === 'best-effort' ? ['-n', String(ioLevel)] : []), '-p', String(process.pid)];
+    await new Promise(resolve => {
+      execFile('ionice', args, error => {
+        if (error) problems.push(`Could not set the IO priority with ionice: ${error.message.trim()}`);
+        resolve();
+      });
+    });
+  }
+
+  return problems;
+}
+
+// Short description of the priority options for logs, e.g. "nice 10, ionice best-effort 7"
+function describePriority({ nice, ioClass, ioLevel }) {
+  const parts = [];
+  if (nice) parts.push(`nice ${nice}`);
+  if (ioClasses[ioClass]) parts.push(`ionice ${ioClass}${ioClass === 'best-effort' ? ` ${ioLevel}` : ''}`);
+  return parts.length ? parts.join(', ') : 'normal priority';
+}
+
+module.exports = {
+  applyPriority,
+  createLimiter,
+  describePriority,
+  findDependencyCycle,
+  ioClasses,
+  runDependencyGraph,
+  runTasks,
+  sharedTaskLimiter,
+};
@@ -0,0 +1,412 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const colors = require('./colors');
+const { LockError, acquireLock, runLockPath } = require('./lock');
+const { parseListenAddress, readMetricsState } = require('./metrics');
+const { escapeHtml, statusIcons } = require('./notifiers/format');
+const { listReportIds, readReport } = require('./report');
+const { describePolicy } = require('./retention');
+const { formatSize } = require('./size');
+
+// Dashboard and JSON API: the modules with their backups (from the catalog), the history of run reports,
+// backups and verifications on demand and downloads of backup files. Every request needs server.token, as a
+// bearer token or as the password of HTTP basic auth (which browsers ask for on the dashboard).
+//   GET  /                                     Dashboard (HTML)
+//   GET  /api/status                           Host and the run the server started, if one is running
+//   GET  /api/modules                          Every module with its newest backup and last run
+//   GET  /api/modules/<id>/backups             Backups of a module, newest first
+//   POST /api/modules/<id>/backup              Back up a module now (202, or 409 while another run holds the run lock)
+//   POST /api/modules/<id>/verify              Verify the backups of a module (or only { "backupId": ... })
+//   GET  /api/reports[?module=<id>&limit=<n>]  Recent run reports (summaries), newest first
+//   GET  /api/reports/<report id>              A whole run report (see lib/report.js)
+//   GET  /api/backups/<backup id>/download     A file of a backup (?file=<path> if it has several)
+
+// Address used by 'serve' when server.listen isn't set (localhost, like any address without a host)
+const DEFAULT_LISTEN = '8095';
+
+// Largest request body accepted (POST bodies only carry a few options)
+const MAX_BODY = 64 * 1024;
+
+// Error answered with its HTTP status and message
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+// Helper function to read the token from server.token or server.tokenFile
+function readToken(config) {
+  const { token, tokenFile } = config.server;
+  if (token) return token;
+  if (tokenFile) return fs.readFileSync(path.resolve(config.configDir, tokenFile), 'utf8').trim();
+  return '';
+}
+
+// Helper function to get the token of a request (Authorization: Bearer <token>, or Basic with any user name)
+function requestToken(req) {
+  const [scheme, value = ''] = (req.headers.authorization || '').split(' ');
+  if (/^bearer$/i.test(scheme)) return value;
+  if (/^basic$/i.test(scheme)) {
+    const credentials = Buffer.from(value, 'base64').toString('utf8');
+    return credentials.slice(credentials.indexOf(':') + 1);
+  }
+  return '';
+}
+
+// Helper function to compare tokens in constant time
+function tokenMatches(given, token) {
+  const hash = text => crypto.createHash('sha256').update(text).digest();
+  return Boolean(given) && crypto.timingSafeEqual(hash(given), hash(token));
+}
+
+// Helper function to reject requests made by other sites (browsers send basic auth along with forms of any site)
+function isCrossSite(req) {
+  if (req.headers['sec-fetch-site'] === 'cross-site') return true;
+  const { origin } = req.headers;
+  if (!origin || origin === 'null') return false;
+  try {
+    return new URL(origin).host !== req.headers.host;
+  } catch (error) {
+    return true; // An Origin that isn't a URL can't be this site
+  }
+}
+
+// Helper function to decode a parameter of the path, e.g. a report id (a malformed %-escape is a bad request)
+function decodeParam(param) {
+  try {
+    return decodeURIComponent(param);
+  } catch (error) {
+    throw new HttpError(400, `Invalid escape in the URL: ${param}`);
+  }
+}
+
+// Helper function to read the options of a POST (JSON or a form), {} if there is no body
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > MAX_BODY) {
+        reject(new HttpError(413, 'Request body too large'));
+        req.destroy();
+      }
+    });
+    req.on('error', reject);
+    req.on('end', () => {
+      if (!body.trim()) return resolve({});
+      if ((req.headers['content-type'] || '').includes('application/x-www-form-urlencoded')) {
+        return resolve(Object.fromEntries(new URLSearchParams(body)));
+      }
+      try {
+        resolve(JSON.parse(body));
+      } catch (error) {
+        reject(new HttpError(400, `Invalid JSON body: ${error.message}`));
+      }
+    });
+  });
+}
+
+// Helper function to format an age in seconds, e.g. 45m, 7h or 3d
+function formatAge(seconds) {
+  if (seconds < 60 * 60) return `${Math.max(0, Math.floor(seconds / 60))}m`;
+  if (seconds < 48 * 60 * 60) return `${Math.floor(seconds / 3600)}h`;
+  return `${Math.floor(seconds / 86400)}d`;
+}
+
+// Helper function to describe a catalog entry for the API
+function backupInfo(backup, now) {
+  const ageSeconds = Math.round((now - Date.parse(backup.finishedAt || backup.startedAt)) / 1000);
+  return {
+    id: backup.id,
+    startedAt: backup.startedAt,
+    finishedAt: backup.finishedAt,
+    ageSeconds,
+    age: formatAge(ageSeconds),
+    bytes: backup.totalBytes,
+    size: formatSize(backup.totalBytes),
+    location: backup.location,
+    files: backup.files.map(file => ({ path: file.path, bytes: file.bytes, sha256: file.sha256 })),
+    parent: backup.parent,
+    verifiedAt: backup.verifiedAt || null,
+    verifyError: backup.verifyError || null,
+  };
+}
+
+// Helper function to describe a module for the API: its catalog and the last runs from the metrics state
+function moduleInfo(module, state, now) {
+  const backups = module.listBackups();
+  const bytes = backups.reduce((sum, backup) => sum + backup.totalBytes, 0);
+  const entry = state.modules[module.id] || {};
+  const time = seconds => (seconds ? new Date(seconds * 1000).toISOString() : null);
+  return {
+    id: module.id,
+    name: module.name,
+    enabled: module.options.enabled,
+    schedule: module.options.schedule || null,
+    retention: describePolicy(module.retention),
+    backups: backups.length,
+    bytes,
+    size: formatSize(bytes),
+    newest: backups.length ? backupInfo(backups[0], now) : null,
+    lastRun: entry.lastRunTime
+      ? { finishedAt: time(entry.lastRunTime), success: entry.lastRunSuccess, durationSeconds: entry.lastRunDuration, warnings: entry.lastRunWarnings }
+      : null,
+    lastVerify: entry.lastVerifyTime ? { finishedAt: time(entry.lastVerifyTime), success: entry.lastVerifySuccess } : null,
+    consecutiveFailures: entry.consecutiveFailures || 0,
+  };
+}
+
+// Helper function to shorten a report of the history for lists
+function reportSummary(report) {
+  return {
+    id: report.id,
+    action: report.action,
+    status: report.status,
+    exitCode: report.exitCode,
+    startedAt: report.startedAt,
+    finishedAt: report.finishedAt,
+    durationSeconds: report.durationSeconds,
+    summary: report.summary,
+    modules: report.modules.map(module => ({ id: module.id, name: module.name, status: module.status, error: module.error })),
+  };
+}
+
+// Helper function to render the dashboard
+function renderDashboard({ host, running, modules, backups, reports }) {
+  const icon = status => statusIcons[status] || '';
+  const button = (moduleId, action, label) => `<form method="post" action="/api/modules/${encodeURIComponent(moduleId)}/${action}"><button${running ? ' disabled' : ''}>${label}</button></form>`;
+  const download = (backup, file) => `<a href="/api/backups/${encodeURIComponent(backup.id)}/download?file=${encodeURIComponent(file.path)}">${escapeHtml(path.basename(file.path))}</a>`;
+
+  const moduleRows = modules.map(module => {
+    const lastRun = module.lastRun ? `${icon(module.lastRun.success ? 'success' : 'failure')} ${escapeHtml(module.lastRun.finishedAt.slice(0, 16).replace('T', ' '))}` : '';
+    return `<tr><td>${escapeHtml(module.name)}${module.enabled ? '' : ' (disabled)'}</td><td>${escapeHtml(module.schedule || '')}</td><td>${module.backups}</td>`
+      + `<td>${module.newest ? `${module.newest.age} ago (${module.newest.size})` : 'none'}</td><td>${module.size}</td><td>${lastRun}</td>`
+      + `<td>${button(module.id, 'backup', 'Back up')}${button(module.id, 'verify', 'Verify')}</td></tr>`;
+  }).join('\n');
+
+  const backupSections = modules.map(module => `<details><summary>${escapeHtml(module.name)}: ${module.backups} backup(s), keeping ${escapeHtml(module.retention)}</summary><table>
+<tr><th>Backup</th><th>Age</th><th>Size</th><th>Verified</th><th>Files</th></tr>
+${backups[module.id].map(backup => `<tr><td>${escapeHtml(backup.id)}</td><td>${backup.age}</td><td>${backup.size}</td>`
+    + `<td>${backup.verifiedAt ? `${icon(backup.verifyError ? 'failure' : 'success')} ${escapeHtml(backup.verifiedAt.slice(0, 10))}` : ''}</td>`
+    + `<td>${backup.files.map(file => download(backup, file)).join('<br>')}</td></tr>`).join('\n')}
+</table></details>`).join('\n');
+
+  const reportRows = reports.map(report => `<tr><td><a href="/api/reports/${encodeURIComponent(report.id)}">${escapeHtml(report.startedAt.slice(0, 19).replace('T', ' '))}</a></td>`
+    + `<td>${escapeHtml(report.action)}</td><td>${icon(report.status)} ${escapeHtml(report.status)}</td><td>${Math.round(report.durationSeconds)}s</td>`
+    + `<td>${report.modules.map(module => `${icon(module.status)} ${escapeHtml(module.name)}${module.error ? `: ${escapeHtml(module.error.message)}` : ''}`).join('<br>')}</td></tr>`).join('\n');
+
+  return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>Backups on ${escapeHtml(host)}</title>${running ? '<meta http-equiv="refresh" content="10">' : ''}
+<style>body{font-family:sans-serif;margin:2em}table{border-collapse:collapse;margin:.5em 0}td,th{border:1px solid #ccc;padding:.3em .6em;text-align:left;vertical-align:top}form{display:inline}details{margin:.5em 0}</style>
+</head><body>
+<h1>Backups on ${escapeHtml(host)}</h1>
+<p>${running ? `Running: ${escapeHtml(running.action)} of ${escapeHtml(running.modules.join(', '))} since ${escapeHtml(running.startedAt.slice(11, 19))} UTC` : 'No run started here is in progress.'}</p>
+<h2>Modules</h2>
+<table><tr><th>Module</th><th>Schedule</th><th>Backups</th><th>Newest</th><th>Total</th><th>Last run</th><th></th></tr>
+${moduleRows}
+</table>
+<h2>Backups</h2>
+${backupSections}
+<h2>Recent runs</h2>
+<table><tr><th>Started (UTC)</th><th>Action</th><th>Status</th><th>Duration</th><th>Modules</th></tr>
+${reportRows}
+</table>
+</body></html>
+`;
+}
+
+// Serve the dashboard and API on server.listen (127.0.0.1:8095 if it isn't set), until close() is called
+// runBackup(moduleNames) and runVerify(moduleNames, backupId, options) run and publish like the command line
+// does; the server holds the run lock while they run, so they never overlap with the daemon or manual runs.
+// Resolves once it listens with { address, close }, close() resolves once a run it started has finished.
+async function startServer({ config, modules, runBackup, runVerify }) {
+  const token = readToken(config);
+  if (!token) {
+    throw new Error('The dashboard needs a token: set server.token, server.tokenFile or BACKUP_SERVER_TOKEN.');
+  }
+  const { host, port } = parseListenAddress(config.server.listen || DEFAULT_LISTEN);
+  let running = null; // { action, modules, startedAt } of the run started here
+  let runDone = Promise.resolve();
+
+  const findModule = moduleId => {
+    if (!Object.prototype.hasOwnProperty.call(modules, moduleId)) throw new HttpError(404, `Unknown module: ${moduleId}`);
+    return modules[moduleId];
+  };
+
+  // Manual runs and the daemon change the catalog on disk
+  const reloadCatalogs = () => {
+    for (const catalog of new Set(Object.values(modules).map(module => module.catalog))) {
+      catalog.reload();
+    }
+  };
+
+  const listReports = (moduleId, limit) => listReportIds(config)
+    .map(reportId => readReport(config, reportId))
+    .filter(report => report && (!moduleId || report.modules.some(module => module.id === moduleId)))
+    .slice(0, limit)
+    .map(reportSummary);
+
+  // Start a run in the background under the run lock
+  const startRun = (action, moduleNames, run) => {
+    let release;
+    try {
+      release = acquireLock(runLockPath(config), `${action} of ${moduleNames.join(', ')} from the dashboard`);
+    } catch (error) {
+      if (error instanceof LockError) throw new HttpError(409, `Another run is in progress: ${error.message}`);
+      throw error;
+    }
+    console.log(`${colors.cyan}Starting ${action} of ${moduleNames.join(', ')} from the dashboard.${colors.reset}`);
+    running = { action, modules: moduleNames, startedAt: new Date().toISOString() };
+    runDone = Promise.resolve()
+      .then(run)
+      .catch(error => console.error(`${colors.red}The ${action} started from the dashboard failed: ${error.message}${colors.reset}`))
+      .finally(() => {
+        release();
+        running = null;
+      });
+    return running;
+  };
+
+  const routes = [
+    ['GET', /^\/$/, () => {
+      reloadCatalogs();
+      const now = Date.now();
+      const state = readMetricsState(config);
+      return {
+        html: renderDashboard({
+          host: os.hostname(),
+          running,
+          modules: Object.values(modules).map(module => moduleInfo(module, state, now)),
+          backups: Object.fromEntries(Object.values(modules).map(module => [module.id, module.listBackups().map(backup => backupInfo(backup, now))])),
+          reports: listReports(null, 20),
+        }),
+      };
+    }],
+    ['GET', /^\/api\/status$/, () => ({ json: { host: os.hostname(), running } })],
+    ['GET', /^\/api\/modules$/, () => {
+      reloadCatalogs();
+      const state = readMetricsState(config);
+      return { json: Object.values(modules).map(module => moduleInfo(module, state, Date.now())) };
+    }],
+    ['GET', /^\/api\/modules\/([^/]+)\/backups$/, ([moduleId]) => {
+      const module = findModule(moduleId);
+      reloadCatalogs();
+      return { json: module.listBackups().map(backup => backupInfo(backup, Date.now())) };
+    }],
+    ['POST', /^\/api\/modules\/([^/]+)\/backup$/, ([moduleId]) => {
+      findModule(moduleId);
+      return { status: 202, json: { started: startRun('backup', [moduleId], () => runBackup([moduleId])) } };
+    }],
+    ['POST', /^\/api\/modules\/([^/]+)\/verify$/, ([moduleId], body) => {
+      const module = findModule(moduleId);
+      const backupId = body.backupId || null;
+      if (backupId && !module.catalog.get(backupId)) throw new HttpError(404, `${module.name} backup '${backupId}' not found`);
+      const options = { restoreTest: body.restoreTest === true || body.restoreTest === 'true' };
+      return { status: 202, json: { started: startRun('verify', [moduleId], () => runVerify([moduleId], backupId, options)) } };
+    }],
+    ['GET', /^\/api\/reports$/, (params, body, query) => {
+      const moduleId = query.get('module');
+      if (moduleId) findModule(moduleId);
+      const limit = Number(query.get('limit')) || 20;
+      return { json: listReports(moduleId, limit) };
+    }],
+    ['GET', /^\/api\/reports\/([^/]+)$/, ([reportId]) => {
+      const report = readReport(config, reportId);
+      if (!report) throw new HttpError(404, `Report '${reportId}' not found`);
+      return { json: report };
+    }],
+    ['GET', /^\/api\/backups\/([^/]+)\/download$/, ([backupId], body, query) => {
+      reloadCatalogs();
+      const backup = Object.values(modules).map(module => module.catalog.get(backupId)).find(Boolean);
+      if (!backup || !modules[backup.module]) throw new HttpError(404, `Backup '${backupId}' not found`);
+      const name = query.get('file');
+      const file = name
+        ? backup.files.find(item => item.path === name || path.basename(item.path) === name)
+        : backup.files.length === 1 && backup.files[0];
+      if (!file) {
+        throw new HttpError(name ? 404 : 400, `${name ? `${backupId} has no file '${name}'` : `${backupId} has ${backup.files.length} files, choose one with ?file=`}: ${backup.files.map(item => item.path).join(', ')}`);
+      }
+      return { file: path.join(modules[backup.module].catalog.root, file.path), sha256: file.sha256 };
+    }],
+  ];
+
+  const server = http.createServer(async (req, res) => {
+    const send = (status, contentType, body, headers = {}) => {
+      res.writeHead(status, { 'Content-Type': contentType, 'Cache-Control': 'no-store', ...headers });
+      res.end(body);
+    };
+    const wantsHtml = (req.headers.accept || '').includes('text/html');
+
+    try {
+      if (!tokenMatches(requestToken(req), token)) {
+        throw new HttpError(401, 'A valid token is required (Authorization: Bearer <token>)');
+      }
+      const url = new URL(req.url, 'http://localhost');
+      const route = routes.find(([method, pattern]) => method === req.method && pattern.test(url.pathname));
+      if (!route) {
+        const known = routes.some(([, pattern]) => pattern.test(url.pathname));
+        throw new HttpError(known ? 405 : 404, known ? `${req.method} is not allowed here` : 'Not found');
+      }
+      if (req.method === 'POST' && isCrossSite(req)) {
+        throw new HttpError(403, 'Requests from other sites are not allowed');
+      }
+
+      const params = url.pathname.match(route[1]).slice(1).map(decodeParam);
+      const body = req.method === 'POST' ? await readBody(req) : {};
+      const result = route[2](params, body, url.searchParams);
+
+      if (result.file) {
+        const { size } = await fs.promises.stat(result.file).catch(() => {
+          throw new HttpError(404, `${path.basename(result.file)} no longer exists`);
+        });
+        res.writeHead(200, {
+          'Content-Type': 'application/octet-stream',
+          'Content-Length': size,
+          'Content-Disposition': `attachment; filename="${path.basename(result.file).replace(/"/g, '')}"`,
+          'X-Backup-Sha256': result.sha256,
+        });
+        fs.createReadStream(result.file).on('error', () => res.destroy()).pipe(res);
+      } else if (result.html) {
+        send(200, 'text/html; charset=utf-8', result.html);
+      } else if (req.method === 'POST' && wantsHtml) {
+        send(303, 'text/plain', 'Started\n', { Location: '/' }); // A form of the dashboard
+      } else {
+        send(result.status || 200, 'application/json', `${JSON.stringify(result.json, null, 2)}\n`);
+      }
+    } catch (error) {
+      const status = error instanceof HttpError ? error.status : 500;
+      const headers = status === 401 ? { 'WWW-Authenticate': 'Basic realm="Backups"' } : {};
+      if (wantsHtml) {
+        send(status, 'text/html; charset=utf-8', `<!DOCTYPE html><p>${escapeHtml(error.message)}</p><p><a href="/">Back to the dashboard</a></p>\n`, headers);
+      } else {
+        send(status, 'application/json', `${JSON.stringify({ error: error.message })}\n`, headers);
+      }
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', error => reject(new Error(`Could not serve the dashboard on ${host}:${port}: ${error.message}`)));
+    server.listen(port, host, resolve);
+  });
+
+  return {
+    address: server.address(),
+    close: async () => {
+      await new Promise(resolve => server.close(resolve));
+      if (running) {
+        console.log(`${colors.yellow}Waiting for the ${running.action} started from the dashboard to finish...${colors.reset}`);
+        await runDone;
+      }
+    },
+  };
+}
+
+module.exports = {
+  startServer,
+};
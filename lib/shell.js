@@ -0,0 +1,12 @@
+// Helper function to quote a value (a path, a database name) for a shell command: plain values are left as
+// they are so restore plans stay readable, anything else is put in single quotes, which keep $, ` and "
+// from being interpreted
+function shellQuote(value) {
+  const text = String(value);
+  if (/^[\w@%+=:,./-]+$/.test(text)) return text;
+  return `'${text.replace(/'/g, `'\\''`)}'`;
+}
+
+module.exports = {
+  shellQuote,
+};
@@ -0,0 +1,28 @@
+// Helper function to convert a human-readable size (as printed by du -h) into bytes
+function parseSize(size) {
+  const numericSize = parseFloat(size.replace(/[^0-9.]/g, ''));
+  const unit = size.replace(/[0-9.]/g, '').trim();
+  if (unit.includes('K')) return numericSize * 1024;
+  if (unit.includes('M')) return numericSize * 1024 * 1024;
+  if (unit.includes('G')) return numericSize * 1024 * 1024 * 1024;
+  if (unit.includes('T')) return numericSize * 1024 * 1024 * 1024 * 1024;
+  return numericSize;
+}
+
+// Helper function to format a byte count in human-readable form
+function formatSize(bytes) {
+  if (bytes > 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)}GB`;
+  if (bytes > 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(2)}MB`;
+  return `${(bytes / 1024).toFixed(2)}KB`;
+}
+
+// Helper function to format a throughput from a byte count and the seconds it took
+function formatRate(bytes, seconds) {
+  return `${formatSize(bytes / Math.max(seconds, 0.001))}/s`;
+}
+
+module.exports = {
+  formatRate,
+  formatSize,
+  parseSize,
+};
@@ -0,0 +1,65 @@
+const assert = require('assert');
+const { test } = require('node:test');
+const { runHooks } = require('../lib/hooks');
+const { abortCommands, runCommand } = require('../lib/module-api');
+
+const context = { scope: 'run', stage: 'pre', action: 'backup', backupRootDir: '/tmp', modules: ['test'] };
+const options = { log: () => {}, warn: () => {}, cwd: __dirname };
+
+test('a hook that times out is stopped with everything it started', async () => {
+  const startedAt = Date.now();
+  await assert.rejects(
+    runHooks([{ command: 'sleep 20; echo done', timeout: 1 }], 'pre', context, options),
+    error => error.code === 'HOOK_TIMEOUT' && error.outcomes[0].success === false
+  );
+  assert.ok(Date.now() - startedAt < 5000, `took ${Date.now() - startedAt}ms`);
+});
+
+test('a timed out hook gets SIGKILL only while something of its process group is left', async t => {
+  const signals = [];
+  const kill = process.kill;
+  process.kill = (pid, signal) => {
+    if (signal) signals.push(`${-pid} ${signal}`);
+    return kill.call(process, pid, signal);
+  };
+  t.after(() => { process.kill = kill; });
+
+  const groupOf = error => error.outcomes[0].output[0];
+  const [stops, ignores] = await Promise.all([
+    runHooks([{ command: 'echo $$; sleep 20', timeout: 1 }], 'pre', context, options).catch(groupOf),
+    runHooks([{ command: 'echo $$; trap "" TERM; sleep 20', timeout: 2 }], 'pre', context, options).catch(groupOf),
+  ]);
+  assert.deepStrictEqual(signals.filter(signal => signal.startsWith(`${stops} `)), [`${stops} SIGTERM`]);
+  assert.deepStrictEqual(signals.filter(signal => signal.startsWith(`${ignores} `)), [`${ignores} SIGTERM`, `${ignores} SIGKILL`]);
+});
+
+test('a hook is done once it exited, even if it left a process holding its output', async () => {
+  const startedAt = Date.now();
+  const outcomes = await runHooks(['sleep 3 & echo started'], 'pre', context, options);
+  assert.deepStrictEqual(outcomes[0].output, ['started']);
+  assert.ok(Date.now() - startedAt < 2500, `took ${Date.now() - startedAt}ms`);
+});
+
+test('hooks get the context as environment variables and on stdin', async () => {
+  const outcomes = await runHooks(['echo "$BACKUP_HOOK $BACKUP_MODULES"; cat; echo'], 'pre', context, options);
+  assert.strictEqual(outcomes[0].output[0], 'pre test');
+  assert.deepStrictEqual(JSON.parse(outcomes[0].output[1]), context);
+});
+
+test('a failing hook fails the stage unless it may continue on errors', async () => {
+  await assert.rejects(runHooks(['exit 3', 'echo never'], 'pre', context, options), { code: 'HOOK_FAILED' });
+
+  const warnings = [];
+  const outcomes = await runHooks([{ command: 'exit 3', continueOnError: true }, 'echo next'], 'pre', context, { ...options, warn: message => warnings.push(message) });
+  assert.deepStrictEqual(outcomes.map(outcome => outcome.success), [false, true]);
+  assert.strictEqual(warnings.length, 1);
+});
+
+// Last: the shutdown can't be undone in this process
+test('hooks still run after a shutdown stopped the backup commands', async () => {
+  abortCommands();
+  await assert.rejects(runCommand(['true']), { code: 'ABORTED' });
+
+  const outcomes = await runHooks(['echo cleaning up'], 'onFailure', { ...context, stage: 'onFailure' }, options);
+  assert.deepStrictEqual(outcomes[0].output, ['cleaning up']);
+});
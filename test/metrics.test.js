@@ -0,0 +1,34 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test } = require('node:test');
+const { openCatalog } = require('../lib/catalog');
+const { startMetricsServer } = require('../lib/metrics');
+
+test('/metrics reads the catalog again on every scrape', async () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'backup-metrics-'));
+  const file = path.join(root, 'db_backups', 'db.sql');
+  fs.mkdirSync(path.dirname(file));
+  fs.writeFileSync(file, 'data');
+
+  const catalog = openCatalog(root);
+  await catalog.record({ moduleId: 'db', moduleName: 'DB', startedAt: new Date(Date.now() - 60000), finishedAt: new Date(Date.now() - 60000), artifacts: [file] });
+  const modules = { db: { id: 'db', options: { enabled: true }, catalog, listBackups: () => catalog.list('db') } };
+  const server = await startMetricsServer({ backupRootDir: root, metrics: { listen: '127.0.0.1:0' } }, modules);
+  const url = `http://127.0.0.1:${server.address().port}/metrics`;
+
+  try {
+    assert.match(await (await fetch(url)).text(), /^backup_count\{module="db"\} 1$/m);
+
+    // Another process (a manual run) adds a backup
+    const index = JSON.parse(fs.readFileSync(path.join(root, 'catalog.json'), 'utf8'));
+    index.backups.push({ ...index.backups[0], id: 'db-new', startedAt: new Date().toISOString(), finishedAt: new Date().toISOString() });
+    fs.writeFileSync(path.join(root, 'catalog.json'), JSON.stringify(index));
+
+    assert.match(await (await fetch(url)).text(), /^backup_count\{module="db"\} 2$/m);
+  } finally {
+    server.close();
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
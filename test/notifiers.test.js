@@ -0,0 +1,77 @@
+const assert = require('assert');
+const { test } = require('node:test');
+const { loadNotifiers, notify } = require('../lib/notifiers');
+const { createStubHttpServer, createStubSmtpServer } = require('../lib/notifiers/stub');
+const { createRunReport } = require('../lib/report');
+
+const report = createRunReport('backup', { db: { success: true, warnings: [], logs: ['Dumped 3 databases'] } }, { db: { name: 'DB', retention: { last: 7 } } });
+
+// Helper function to start a stub on a free port, with the times it got HTTP requests at
+async function startStub(t, server) {
+  const times = [];
+  server.on('request', () => times.push(Date.now()));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return { port: server.address().port, times };
+}
+
+// Helper function to send the report to one notifier from a config section, quietly
+async function send(t, notifierConfig) {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  const notifiers = loadNotifiers({ notifiers: { target: notifierConfig } }, ['db']);
+  const [outcome] = await notify(notifiers, report);
+  return outcome;
+}
+
+test('failed sends are retried with exponential backoff', async t => {
+  const stub = await startStub(t, createStubHttpServer({ failures: 2, failStatus: 503 }));
+  const outcome = await send(t, { type: 'webhook', url: `http://127.0.0.1:${stub.port}/hook`, retries: 3, retryDelay: 1 });
+
+  assert.deepStrictEqual(outcome, { name: 'target', sent: true });
+  assert.strictEqual(stub.times.length, 3);
+  const [first, second] = [stub.times[1] - stub.times[0], stub.times[2] - stub.times[1]];
+  assert.ok(first >= 950 && first < 1900, `waited ${first}ms before the first retry`);
+  assert.ok(second >= 1950 && second < 3000, `waited ${second}ms before the second retry`);
+});
+
+test('a rate limit is retried after the Retry-After the server asked for', async t => {
+  const stub = await startStub(t, createStubHttpServer({ failures: 1, failStatus: 429 }));
+  const outcome = await send(t, { type: 'webhook', url: `http://127.0.0.1:${stub.port}/hook`, retryDelay: 30 });
+
+  assert.strictEqual(outcome.sent, true);
+  const waited = stub.times[1] - stub.times[0];
+  assert.ok(waited >= 950 && waited < 5000, `waited ${waited}ms`);
+});
+
+test('errors that won\'t go away are not retried, others only as often as configured', async t => {
+  const refused = await startStub(t, createStubHttpServer({ failures: 1, failStatus: 400 }));
+  const outcome = await send(t, { type: 'webhook', url: `http://127.0.0.1:${refused.port}/hook`, retryDelay: 0 });
+  assert.strictEqual(outcome.sent, false);
+  assert.match(outcome.error, /HTTP 400/);
+  assert.strictEqual(refused.times.length, 1);
+
+  const down = await startStub(t, createStubHttpServer({ failures: 5, failStatus: 502 }));
+  const gaveUp = await send(t, { type: 'webhook', url: `http://127.0.0.1:${down.port}/hook`, retries: 2, retryDelay: 0 });
+  assert.strictEqual(gaveUp.sent, false);
+  assert.match(gaveUp.error, /HTTP 502/);
+  assert.strictEqual(down.times.length, 3);
+});
+
+test('a mail refused with a temporary error is sent again', async t => {
+  const stub = await startStub(t, createStubSmtpServer({ failures: 1 }));
+  const outcome = await send(t, { type: 'email', host: '127.0.0.1', port: stub.port, from: 'backup@example.com', to: ['admin@example.com'], retryDelay: 0 });
+
+  assert.deepStrictEqual(outcome, { name: 'target', sent: true });
+  const messages = console.log.mock.calls.filter(call => String(call.arguments[0]).startsWith('[stub smtp] Message:'));
+  assert.strictEqual(messages.length, 2);
+  assert.match(messages[1].arguments[0], /Subject: \[Backup\] /);
+});
+
+test('reports that don\'t match the filters are not sent', async t => {
+  const stub = await startStub(t, createStubHttpServer());
+  const outcome = await send(t, { type: 'webhook', url: `http://127.0.0.1:${stub.port}/hook`, on: ['failure'] });
+
+  assert.deepStrictEqual(outcome, { name: 'target', sent: false, skipped: true });
+  assert.strictEqual(stub.times.length, 0);
+});
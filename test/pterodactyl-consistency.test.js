@@ -0,0 +1,117 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test } = require('node:test');
+const { loadConfig } = require('../lib/config');
+const { createContext } = require('../lib/module-api');
+const { loadModules } = require('../lib/modules');
+const { createMockPanel, createPanelClient } = require('../lib/pterodactyl-panel');
+
+const survival = 'aaaaaaaa-0000-4000-8000-000000000001';
+const creative = 'bbbbbbbb-0000-4000-8000-000000000002';
+const modded = 'cccccccc-0000-4000-8000-000000000003';
+
+// Helper function to start the mock panel on volumes for the given servers, returns the panel options to use
+async function startPanel(t, servers) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'backup-pterodactyl-'));
+  const baseDir = path.join(dir, 'volumes');
+  for (const uuid of servers) {
+    fs.mkdirSync(path.join(baseDir, uuid, 'world'), { recursive: true });
+    fs.writeFileSync(path.join(baseDir, uuid, 'world', 'level.dat'), uuid);
+  }
+  fs.writeFileSync(path.join(dir, '.env'), 'APP_KEY=base64:test\n');
+
+  const mock = createMockPanel(baseDir, { stopDelay: 0, startDelay: 0 });
+  await new Promise(resolve => mock.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    mock.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return { dir, baseDir, mock, url: `http://127.0.0.1:${mock.address().port}`, apiKey: 'ptlc_test', timeout: 5 };
+}
+
+// Helper function to run a Pterodactyl backup the way the runner does, with the given module options
+// Everything printed (the mock panel prints every request) is collected in order, without colors
+async function runBackup(t, panel, options) {
+  const { dir, baseDir, mock, ...panelOptions } = panel;
+  const configPath = path.join(dir, 'backup.config.json');
+  fs.writeFileSync(configPath, JSON.stringify({
+    backupRootDir: path.join(dir, 'backups'),
+    modules: { pterodactyl: { baseDir, envFile: path.join(dir, '.env'), panel: panelOptions, ...options } },
+  }));
+  const config = loadConfig({ configPath, env: {} });
+  const module = loadModules(config).pterodactyl;
+
+  const printed = [];
+  const errors = [];
+  const strip = line => String(line).replace(/\x1b\[\d+m/g, '').replace(/^\[(mock panel|pterodactyl)\] /, '');
+  t.mock.method(console, 'log', line => printed.push(strip(line)));
+  t.mock.method(console, 'error', line => errors.push(strip(line)));
+  const ctx = createContext(module, config);
+  const result = await module.definition.run(ctx);
+  t.mock.restoreAll();
+  return { ctx, result, printed, errors };
+}
+
+test('servers are paused for the copy of their volume and brought back afterwards', async t => {
+  const panel = await startPanel(t, [survival, creative, modded]);
+  const { ctx, result, printed, errors } = await runBackup(t, { ...panel, applicationApiKey: 'ptla_test' }, {
+    consistency: 'stop',
+    commandWait: 0,
+    servers: {
+      [survival]: { consistency: 'command', commandsBefore: ['save-off', 'save-all'], commandsAfter: ['save-on'] },
+      [creative]: { consistency: 'suspend' },
+    },
+  });
+
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(ctx.warnings, []);
+  assert.deepStrictEqual(result.metadata.serverNames, { [survival]: 'Mock Server 1', [creative]: 'Mock Server 2', [modded]: 'Mock Server 3' });
+
+  // Helper function to check that lines were printed in this order (volumes are archived side by side, so
+  // only the lines of one server are in order)
+  const inOrder = (...patterns) => {
+    let position = -1;
+    for (const pattern of patterns) {
+      const index = printed.findIndex((line, i) => i > position && pattern.test(line));
+      assert.ok(index > position, `${pattern} not found after ${printed[position]}\n${printed.join('\n')}`);
+      position = index;
+    }
+  };
+
+  inOrder(
+    /^POST \/api\/client\/servers\/aaaaaaaa\/command \{"command":"save-off"\}$/,
+    /^POST \/api\/client\/servers\/aaaaaaaa\/command \{"command":"save-all"\}$/,
+    new RegExp(`^Archive created: ${survival}\\.tar\\.gz`),
+    /^POST \/api\/client\/servers\/aaaaaaaa\/command \{"command":"save-on"\}$/
+  );
+  inOrder(
+    /^POST \/api\/client\/servers\/bbbbbbbb\/power \{"signal":"stop"\}$/,
+    /^POST \/api\/application\/servers\/2\/suspend$/,
+    new RegExp(`^Archive created: ${creative}\\.tar\\.gz`),
+    /^POST \/api\/application\/servers\/2\/unsuspend$/,
+    /^POST \/api\/client\/servers\/bbbbbbbb\/power \{"signal":"start"\}$/
+  );
+  inOrder(
+    new RegExp(`^Stopping Mock Server 3 \\(${modded}\\)`),
+    /^POST \/api\/client\/servers\/cccccccc\/power \{"signal":"stop"\}$/,
+    new RegExp(`^Archive created: ${modded}\\.tar\\.gz`),
+    /^POST \/api\/client\/servers\/cccccccc\/power \{"signal":"start"\}$/
+  );
+
+  const client = createPanelClient(panel);
+  for (const identifier of ['aaaaaaaa', 'bbbbbbbb', 'cccccccc']) {
+    assert.strictEqual(await client.getState(identifier), 'running');
+  }
+});
+
+test('servers are still backed up, with warnings, when the panel can not be reached', async t => {
+  const panel = await startPanel(t, [survival]);
+  await new Promise(resolve => panel.mock.close(resolve));
+  const { ctx } = await runBackup(t, panel, { consistency: 'stop' });
+
+  assert.ok(fs.existsSync(path.join(ctx.backupDir, `backup_${ctx.date}`, `${survival}.tar.gz`)));
+  assert.match(ctx.warnings[0], /Could not read the server list from the panel/);
+  assert.match(ctx.warnings[1], new RegExp(`Could not prepare ${survival} for its backup`));
+});
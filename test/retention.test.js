@@ -0,0 +1,29 @@
+const assert = require('assert');
+const { test } = require('node:test');
+const { applyRetention, resolvePolicy } = require('../lib/retention');
+
+const MB = 1024 * 1024;
+
+// Helper function to make catalog entries, newest first, one day apart
+function backups(...sizes) {
+  return sizes.map((size, index) => ({
+    id: `db-${index}`,
+    startedAt: new Date(Date.UTC(2025, 0, 31 - index)).toISOString(),
+    totalBytes: size * MB,
+  }));
+}
+
+test('a backup that exceeds maxTotalSize does not push out smaller older ones', () => {
+  const policy = resolvePolicy({ retention: { last: 5, maxTotalSize: '10MB' } });
+  const decisions = applyRetention(backups(3, 8, 2, 2, 2), policy, new Date('2025-02-01'));
+
+  assert.deepStrictEqual(decisions.map(decision => decision.keep), [true, false, true, true, true]);
+  assert.deepStrictEqual(decisions[1].reasons, ['total size would exceed 10MB']);
+});
+
+test('backups beyond maxTotalSize are dropped, oldest first', () => {
+  const policy = resolvePolicy({ retention: { last: 5, maxTotalSize: '5MB' } });
+  const decisions = applyRetention(backups(2, 2, 2, 2), policy, new Date('2025-02-01'));
+
+  assert.deepStrictEqual(decisions.map(decision => decision.keep), [true, true, false, false]);
+});
@@ -0,0 +1,131 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { test } = require('node:test');
+const s3Destination = require('../lib/destinations/s3');
+
+// Helper function to decode an aws-chunked body (the SDK streams files with a checksum trailer)
+function decodeAwsChunked(body) {
+  const chunks = [];
+  let offset = 0;
+  for (;;) {
+    const lineEnd = body.indexOf('\r\n', offset);
+    const size = parseInt(body.toString('latin1', offset, lineEnd).split(';')[0], 16);
+    if (!size) return Buffer.concat(chunks);
+    chunks.push(body.subarray(lineEnd + 2, lineEnd + 2 + size));
+    offset = lineEnd + 2 + size + 2;
+  }
+}
+
+// Stand-in for MinIO with the few calls the destination makes, objects are kept in memory
+function createStubS3() {
+  const objects = new Map(); // "bucket/key" => { body, metadata }
+  const uploads = new Map(); // upload id => { parts, metadata }
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const objectPath = decodeURIComponent(url.pathname.slice(1));
+      let body = Buffer.concat(chunks);
+      if ((req.headers['content-encoding'] || '').includes('aws-chunked')) body = decodeAwsChunked(body);
+      const metadata = req.headers['x-amz-meta-sha256'];
+      const etag = `"${crypto.createHash('md5').update(body).digest('hex')}"`;
+      const xml = text => {
+        res.writeHead(200, { 'Content-Type': 'application/xml' });
+        res.end(`<?xml version="1.0" encoding="UTF-8"?>${text}`);
+      };
+
+      if (req.method === 'POST' && url.searchParams.has('uploads')) {
+        requests.push('CreateMultipartUpload');
+        const uploadId = `upload-${uploads.size + 1}`;
+        uploads.set(uploadId, { parts: [], metadata });
+        xml(`<InitiateMultipartUploadResult><UploadId>${uploadId}</UploadId></InitiateMultipartUploadResult>`);
+      } else if (req.method === 'PUT' && url.searchParams.has('uploadId')) {
+        requests.push('UploadPart');
+        uploads.get(url.searchParams.get('uploadId')).parts[Number(url.searchParams.get('partNumber')) - 1] = body;
+        res.writeHead(200, { ETag: etag });
+        res.end();
+      } else if (req.method === 'POST' && url.searchParams.has('uploadId')) {
+        requests.push('CompleteMultipartUpload');
+        const upload = uploads.get(url.searchParams.get('uploadId'));
+        objects.set(objectPath, { body: Buffer.concat(upload.parts), metadata: upload.metadata });
+        xml(`<CompleteMultipartUploadResult><Key>${objectPath}</Key><ETag>${etag}</ETag></CompleteMultipartUploadResult>`);
+      } else if (req.method === 'PUT') {
+        requests.push('PutObject');
+        objects.set(objectPath, { body, metadata });
+        res.writeHead(200, { ETag: etag });
+        res.end();
+      } else if (req.method === 'HEAD') {
+        const object = objects.get(objectPath);
+        res.writeHead(object ? 200 : 404, object ? { 'Content-Length': object.body.length, ETag: etag } : {});
+        res.end();
+      } else if (req.method === 'POST' && url.searchParams.has('delete')) {
+        requests.push('DeleteObjects');
+        const bucket = objectPath.replace(/\/$/, '');
+        for (const [, key] of body.toString().matchAll(/<Key>([^<]*)<\/Key>/g)) objects.delete(`${bucket}/${key}`);
+        xml('<DeleteResult></DeleteResult>');
+      } else {
+        res.writeHead(501);
+        res.end();
+      }
+    });
+  });
+  return { server, objects, requests };
+}
+
+test('backups are uploaded to an S3-compatible bucket and removed again', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'backup-s3-'));
+  const stub = createStubS3();
+  await new Promise(resolve => stub.server.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    stub.server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const backupDir = path.join(dir, 'pterodactyl_backups');
+  const archiveDir = path.join(backupDir, 'pterodactyl_2024-01-01');
+  fs.mkdirSync(archiveDir, { recursive: true });
+  const contents = {
+    'world.tar.gz': crypto.randomBytes(11 * 1024 * 1024), // Multipart with 5 MB parts
+    'config.json': Buffer.from('{}\n'),
+  };
+  const files = Object.entries(contents).map(([name, data]) => {
+    fs.writeFileSync(path.join(archiveDir, name), data);
+    return { path: `pterodactyl_backups/pterodactyl_2024-01-01/${name}`, bytes: data.length, sha256: crypto.createHash('sha256').update(data).digest('hex') };
+  });
+
+  const destination = s3Destination.create('minio', {
+    ...s3Destination.defaults,
+    bucket: 'backups',
+    endpoint: `http://127.0.0.1:${stub.server.address().port}`,
+    forcePathStyle: true,
+    accessKeyId: 'minio',
+    secretAccessKey: 'minio123',
+    prefix: '/offsite/',
+    partSize: 5,
+  });
+  assert.strictEqual(destination.description, 's3://backups/offsite/');
+
+  const ctx = { catalog: { root: dir }, backupDir, log: () => {} };
+  const copy = await destination.upload(ctx, { files, path: archiveDir }, { remotePrefix: 'game' });
+
+  assert.strictEqual(copy.location, 's3://backups/offsite/game/pterodactyl_2024-01-01/');
+  assert.deepStrictEqual(copy.objects.map(object => object.key), [
+    'offsite/game/pterodactyl_2024-01-01/world.tar.gz',
+    'offsite/game/pterodactyl_2024-01-01/config.json',
+  ]);
+  for (const [index, [name, data]] of Object.entries(contents).entries()) {
+    const object = stub.objects.get(`backups/offsite/game/pterodactyl_2024-01-01/${name}`);
+    assert.ok(object.body.equals(data), `${name} differs`);
+    assert.strictEqual(object.metadata, files[index].sha256);
+  }
+  assert.deepStrictEqual(stub.requests, ['CreateMultipartUpload', 'UploadPart', 'UploadPart', 'UploadPart', 'CompleteMultipartUpload', 'PutObject']);
+
+  await destination.remove(copy);
+  assert.strictEqual(stub.objects.size, 0);
+});
@@ -0,0 +1,47 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test } = require('node:test');
+const { startServer } = require('../lib/server');
+
+// Start a server without modules on a free port, returns its URL and a function to request a path with the token
+async function startTestServer(t) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'backup-server-'));
+  const config = { backupRootDir: root, server: { listen: '127.0.0.1:0', token: 's3cret' } };
+  const server = await startServer({ config, modules: {} });
+  t.after(async () => {
+    await server.close();
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+  const url = `http://127.0.0.1:${server.address.port}`;
+  const request = (pathname, { method = 'GET', headers = {} } = {}) => fetch(`${url}${pathname}`, {
+    method,
+    headers: { Authorization: 'Bearer s3cret', ...headers },
+  });
+  return { url, request };
+}
+
+test('a malformed escape in the path is a bad request', async t => {
+  const { request } = await startTestServer(t);
+
+  const response = await request('/api/reports/%E0%A4%A');
+  assert.strictEqual(response.status, 400);
+  assert.match((await response.json()).error, /Invalid escape/);
+
+  assert.strictEqual((await request('/api/reports/missing%20report')).status, 404);
+});
+
+test('a POST with an Origin of another site, or one that is not a URL, is refused', async t => {
+  const { url, request } = await startTestServer(t);
+  const post = origin => request('/api/modules/missing/backup', { method: 'POST', headers: { Origin: origin } });
+
+  for (const origin of ['http://evil.example', 'foo', 'http://[::1']) {
+    const response = await post(origin);
+    assert.strictEqual(response.status, 403, origin);
+    assert.match((await response.json()).error, /other sites/);
+  }
+
+  // The same site gets past the check (to the unknown module)
+  assert.strictEqual((await post(url)).status, 404);
+});
@@ -0,0 +1,35 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { test } = require('node:test');
+const { archiveTestCommand, decompressCommand, execPipeline, shellQuote } = require('../lib/module-api');
+
+// A directory name with every character that used to break out of "${file}"
+const hostileName = 'vol "$(touch pwned)" `touch pwned` \'it\'s\'';
+
+test('shellQuote leaves plain values alone and quotes everything else', () => {
+  assert.strictEqual(shellQuote('/var/lib/mysql'), '/var/lib/mysql');
+  assert.strictEqual(shellQuote('a b'), "'a b'");
+  assert.strictEqual(shellQuote("it's"), "'it'\\''s'");
+});
+
+test('restore and verify commands handle paths with quotes, $ and backticks', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'backup-quoting-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const backupDir = path.join(dir, hostileName);
+  fs.mkdirSync(backupDir);
+  const file = path.join(backupDir, 'dump.sql.gz');
+  fs.writeFileSync(file, zlib.gzipSync('SELECT 1;\n'));
+
+  const { stdout } = await execPipeline(decompressCommand(file), { cwd: dir });
+  assert.strictEqual(stdout, 'SELECT 1;\n');
+  await execPipeline(archiveTestCommand(file), { cwd: dir });
+
+  const target = path.join(backupDir, 'restored $HOME.sql');
+  await execPipeline(`${decompressCommand(file)} > ${shellQuote(target)}`, { cwd: dir });
+  assert.strictEqual(fs.readFileSync(target, 'utf8'), 'SELECT 1;\n');
+
+  assert.ok(!fs.existsSync(path.join(dir, 'pwned')), 'a command in the path was executed');
+});
@@ -0,0 +1,91 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test } = require('node:test');
+const sshDestination = require('../lib/destinations/ssh');
+
+// Stand-ins for ssh (runs the remote command locally) and rsync (logs its arguments; its first copy is
+// corrupt, like a remote file left by another run)
+const fakeSsh = `#!/bin/bash
+for last; do :; done
+exec sh -c "$last"
+`;
+const fakeRsync = `#!/bin/bash
+printf '%s\\n' "$@" --- >> "$FAKE_LOG"
+for dest; do :; done
+dest="\${dest#*:}"
+if [ -e "$FAKE_LOG.copied" ]; then cp "\${@: -2:1}" "$dest"; else echo corrupt > "$dest"; touch "$FAKE_LOG.copied"; fi
+`;
+
+test('rsync copies again without resuming or the quick check after a mismatch', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'backup-ssh-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const bin = path.join(dir, 'bin');
+  fs.mkdirSync(bin);
+  fs.writeFileSync(path.join(bin, 'ssh'), fakeSsh, { mode: 0o755 });
+  fs.writeFileSync(path.join(bin, 'rsync'), fakeRsync, { mode: 0o755 });
+  const originalPath = process.env.PATH;
+  process.env.PATH = `${bin}:${originalPath}`;
+  process.env.FAKE_LOG = path.join(dir, 'rsync.log');
+  t.after(() => {
+    process.env.PATH = originalPath;
+    delete process.env.FAKE_LOG;
+  });
+
+  const backupDir = path.join(dir, 'root', 'db_backups');
+  fs.mkdirSync(backupDir, { recursive: true });
+  const filePath = path.join(backupDir, 'db backup.sql');
+  fs.writeFileSync(filePath, 'the real backup\n');
+  const file = { path: 'db_backups/db backup.sql', bytes: 16, sha256: require('crypto').createHash('sha256').update('the real backup\n').digest('hex') };
+
+  const destination = sshDestination.create('nas', {
+    ...sshDestination.defaults,
+    host: 'nas',
+    identityFile: "/keys/it's a key",
+    path: path.join(dir, 'remote dir'),
+  });
+  const warnings = [];
+  const ctx = { catalog: { root: path.join(dir, 'root') }, backupDir, log: () => {}, warn: message => warnings.push(message) };
+  const copy = await destination.upload(ctx, { files: [file], path: filePath }, { remotePrefix: '' });
+
+  assert.strictEqual(fs.readFileSync(path.join(dir, 'remote dir', 'db backup.sql'), 'utf8'), 'the real backup\n');
+  assert.strictEqual(copy.objects[0].key, path.join(dir, 'remote dir', 'db backup.sql'));
+  assert.strictEqual(warnings.length, 1);
+
+  const [first, retry] = fs.readFileSync(process.env.FAKE_LOG, 'utf8').split('---\n').map(call => call.split('\n').filter(Boolean));
+  assert.ok(first.includes('--partial-dir=.rsync-partial') && !first.includes('--ignore-times'));
+  assert.ok(retry.includes('--ignore-times') && !retry.some(arg => arg.startsWith('--partial-dir')));
+  assert.ok(retry.includes('--protect-args'));
+  // rsync splits -e itself: each word quoted, quotes inside doubled
+  assert.strictEqual(retry[retry.indexOf('-e') + 1], "'ssh' '-p' '22' '-o' 'BatchMode=yes' '-i' '/keys/it''s a key'");
+});
+
+test('remove only deletes paths inside the destination path and the remote prefix', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'backup-ssh-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const bin = path.join(dir, 'bin');
+  fs.mkdirSync(bin);
+  fs.writeFileSync(path.join(bin, 'ssh'), fakeSsh, { mode: 0o755 });
+  const originalPath = process.env.PATH;
+  process.env.PATH = `${bin}:${originalPath}`;
+  t.after(() => { process.env.PATH = originalPath; });
+
+  const remote = path.join(dir, 'remote');
+  const old = path.join(remote, 'nginx', 'run-1');
+  fs.mkdirSync(old, { recursive: true });
+  fs.writeFileSync(path.join(old, 'file'), 'old');
+  const destination = sshDestination.create('nas', { ...sshDestination.defaults, host: 'nas', path: remote });
+
+  for (const directory of [remote, path.join(remote, 'nginx'), path.join(remote, 'nginx', '..', 'other'), dir]) {
+    await assert.rejects(destination.remove({ directory, objects: [] }, { remotePrefix: 'nginx' }), /Refusing to delete/);
+  }
+  for (const key of ['', '/etc/passwd']) {
+    await assert.rejects(destination.remove({ directory: null, objects: [{ key }] }, { remotePrefix: 'nginx' }), /Refusing to delete/);
+  }
+  assert.ok(fs.existsSync(path.join(old, 'file')));
+
+  await destination.remove({ directory: old, objects: [] }, { remotePrefix: 'nginx' });
+  assert.ok(!fs.existsSync(old));
+  assert.ok(fs.existsSync(path.join(remote, 'nginx')));
+});
@@ -0,0 +1,20 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test } = require('node:test');
+const { streamCommandToFile } = require('../lib/module-api');
+
+test('a command is stopped when its output can not be written', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'backup-stream-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  // Ignores SIGPIPE and keeps writing, it only ends when it is killed
+  const command = 'trap "" PIPE; while :; do echo data; done 2>/dev/null';
+  const startedAt = Date.now();
+  await assert.rejects(
+    streamCommandToFile({ command, file: path.join(dir, 'missing', 'dump.sql') }),
+    { code: 'ENOENT' }
+  );
+  assert.ok(Date.now() - startedAt < 5000, `took ${Date.now() - startedAt}ms`);
+});
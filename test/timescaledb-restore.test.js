@@ -0,0 +1,49 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { execSync } = require('child_process');
+const { test } = require('node:test');
+const timescaledb = require('../lib/modules/timescaledb');
+
+// Start of a plain dump as pg_dump -C writes it
+const dump = `CREATE DATABASE shop WITH TEMPLATE = template0 ENCODING = 'UTF8' LOCALE_PROVIDER = libc LOCALE = 'en_US.utf8';
+ALTER DATABASE shop OWNER TO shop_owner;
+\\connect shop
+SET statement_timeout = 0;
+ALTER DATABASE shop SET search_path TO 'app', 'public';
+COMMENT ON DATABASE shop IS 'orders';
+CREATE TABLE app.orders (id integer);
+`;
+
+test('restoring a plain dump under another name keeps its ALTER DATABASE settings', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'backup-timescaledb-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const dumpFile = path.join(dir, '2025-05-06', 'TimescaleDB', 'shop', 'shop_2025-05-06.sql.gz');
+  fs.mkdirSync(path.dirname(dumpFile), { recursive: true });
+  fs.writeFileSync(dumpFile, zlib.gzipSync(dump));
+
+  const ctx = {
+    options: { ...timescaledb.defaults },
+    encryption: null,
+    exec: async () => ({ stdout: 'postgres\nshop\n' }),
+  };
+  const backup = { id: 'timescaledb-2025-05-06', path: path.join(dir, '2025-05-06'), metadata: {} };
+  const plan = await timescaledb.restore(ctx, backup, { database: 'shop', as: 'shop&"copy', noGlobals: true });
+
+  assert.deepStrictEqual(plan.steps.map(step => step.description), [
+    'Create database shop&"copy',
+    'Load shop_2025-05-06.sql.gz into shop&"copy',
+  ]);
+
+  // Everything up to psql, run on the dump
+  const load = plan.steps[1].command;
+  const sql = execSync(load.slice(0, load.lastIndexOf(' | ')), { encoding: 'utf8' });
+  assert.strictEqual(sql, `ALTER DATABASE "shop&""copy" OWNER TO shop_owner;
+SET statement_timeout = 0;
+ALTER DATABASE "shop&""copy" SET search_path TO 'app', 'public';
+COMMENT ON DATABASE "shop&""copy" IS 'orders';
+CREATE TABLE app.orders (id integer);
+`);
+});